@@ -12,16 +12,25 @@ import dotenv from 'dotenv';
 import morgan from 'morgan';
 import path from 'path';
 import crypto from 'crypto';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
 
 // Worker (payment reconciler) — starts on server boot
 import './worker/check-payments.js';
 
 import validateRoute from './routes/validate.js';
 import validateFinalRoute from './routes/validateFinal.js';
+import authRoutes from './routes/auth.js';
 import playerRoutes from './routes/player.js';
-import { authenticate } from './middleware/auth.js';
+import adminRoutes from './routes/admin.js';
+import { localeMiddleware } from './middleware/locale.js';
+import {
+  ASSET_FOLDERS,
+  isKnownAsset,
+  assetFilePath,
+  verifyAssetRequest,
+  missingAssets,
+  PUBLIC_DIR,
+} from './services/assets.js';
+import { signingEnabled } from './services/signedUrls.js';
 
 /* ────────────────────────────────────────────────────────────────────
  * Environment & Constants
@@ -34,8 +43,8 @@ const {
   NODE_ENV,
   PORT: PORT_ENV,
   JWT_SECRET,
-  FRAG_HMAC_SECRET,
   TON_WALLET_ADDRESS,
+  ASSETS_STRICT,
 } = process.env;
 
 // Validate required envs early
@@ -43,10 +52,10 @@ const missing = [];
 if (!JWT_SECRET) missing.push('JWT_SECRET');
 if (!TON_WALLET_ADDRESS) missing.push('TON_WALLET_ADDRESS');
 
-if (!FRAG_HMAC_SECRET) {
+if (!signingEnabled()) {
   // Optional in dev; warn loudly for production
   console.warn(
-    '⚠️  FRAG_HMAC_SECRET is not set — riddles/runes/fragment links will be UNSIGNED in dev.'
+    '⚠️  Neither ASSET_HMAC_KEYS nor FRAG_HMAC_SECRET is set — riddles/runes/fragment links will be UNSIGNED in dev.'
   );
 }
 if (missing.length) {
@@ -54,14 +63,14 @@ if (missing.length) {
   process.exit(1);
 }
 
-// Paths
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const ROOT_DIR = __dirname; // repo root entry assumed
-const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
-const IMAGES_DIR = path.join(PUBLIC_DIR, 'images');
-const FRAGMENTS_DIR = path.join(PUBLIC_DIR, 'fragments');
-
+// Every image the game links to (fragments, final, riddles, runes) should be deployed.
+// Fragment art is not in the repo (see README) -> loud error, but the server still boots
+// unless ASSETS_STRICT=1 asks for a hard failure.
+const missingFiles = missingAssets();
+if (missingFiles.length) {
+  console.error(`❌ Missing asset files in public/ (links to them will 404): ${missingFiles.join(', ')}`);
+  if (ASSETS_STRICT === '1') process.exit(1);
+}
 
 // API
 const PORT = Number(PORT_ENV || 3000);
@@ -86,55 +95,25 @@ function isOriginAllowed(origin) {
   );
 }
 
-/** Signs payload with HMAC-SHA256 (hex). */
-function hmacHex(secret, payload) {
-  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
-}
-
-/** Simple guard for file names to avoid path traversal. */
-function isSafeName(name) {
-  return !!name && !name.includes('..') && !name.includes('/') && !name.includes('\\');
-}
-
-/** HMAC verifier used by riddles & runes (exp in seconds). */
-function verifyHmacParams(name, exp, sig) {
-  if (!exp || Number.isNaN(Number(exp))) return { ok: false, code: 400, msg: 'bad_exp' };
-  if (Date.now() / 1000 > Number(exp)) return { ok: false, code: 403, msg: 'expired' };
-  const want = hmacHex(FRAG_HMAC_SECRET, `${name}|${exp}`);
-  if (want !== sig) return { ok: false, code: 403, msg: 'bad_sig' };
-  return { ok: true };
-}
-
-/** Generic HMAC-signed static delivery (riddles, runes). */
-function serveSignedAsset(app, routeBase, folder) {
-  app.get(`${routeBase}/:name`, (req, res) => {
+/** Signed static delivery for one public/ folder (see services/assets.js). */
+function serveSignedAsset(app, folder) {
+  app.get(`/${folder}/:name`, async (req, res) => {
     try {
       const { name } = req.params;
-      if (!isSafeName(name)) return res.status(400).json({ error: 'bad_name' });
-
-      const filePath = path.join(PUBLIC_DIR, folder, name);
+      if (!isKnownAsset(folder, name)) return res.status(404).end();
 
-      // Dev fallback: serve unsigned with no-store to prevent caching surprises
-      if (!FRAG_HMAC_SECRET) {
-        if (!fs.existsSync(filePath)) return res.status(404).end();
-        res.set('Access-Control-Allow-Origin', '*');
-        res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-        res.set('Cache-Control', 'no-store');
-        return res.sendFile(filePath);
-      }
-
-      const { exp, sig } = req.query;
-      const v = verifyHmacParams(name, exp, sig);
+      const v = await verifyAssetRequest(folder, name, req.query);
       if (!v.ok) return res.status(v.code).json({ error: v.msg });
 
-      if (!fs.existsSync(filePath)) return res.status(404).end();
-
       res.set('Access-Control-Allow-Origin', '*');
       res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-      res.set('Cache-Control', 'public, max-age=60, must-revalidate');
-      return res.sendFile(filePath);
+      // dev (unsigned) links never expire -> no caching surprises
+      res.set('Cache-Control', signingEnabled() ? 'public, max-age=60, must-revalidate' : 'no-store');
+      return res.sendFile(assetFilePath(folder, name), (err) => {
+        if (err && !res.headersSent) res.status(404).end();
+      });
     } catch (e) {
-      console.error(`[GET ${routeBase}/:name] ERROR`, e);
+      console.error(`[GET /${folder}/:name] ERROR`, e);
       return res.status(500).json({ error: 'internal' });
     }
   });
@@ -159,8 +138,8 @@ app.use(
 app.use(morgan('dev'));
 app.use(express.json({ limit: '10kb' }));
 
-// 2) Static assets (background images only)
-app.use('/images', express.static(IMAGES_DIR));
+// 2) Static assets (background images only; fragment/final art is signed below)
+app.use('/images', express.static(path.join(PUBLIC_DIR, 'images')));
 
 // 3) CORS for /api (scoped)
 app.use(
@@ -170,14 +149,17 @@ app.use(
       const allowed = isOriginAllowed(origin);
       return callback(allowed ? null : new Error(`CORS blocked: ${origin}`), allowed);
     },
-    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Debug-Key'],
     credentials: true,
   })
 );
 app.options('/api/*', cors());
 
-// 4) Rate-limit for validate endpoints
+// 3b) Locale (?locale= / Accept-Language) + localised error messages for /api
+app.use('/api', localeMiddleware);
+
+// 4) Rate-limits: sign-in per IP, session endpoints per token
 const validateLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 30,
@@ -186,81 +168,45 @@ const validateLimiter = rateLimit({
   message: { error: 'Too many requests, please try later.' },
 });
 app.use('/api/validate', validateLimiter, validateRoute);
+app.use('/api/init', validateLimiter); // same sign-in flow, handled in routes/player.js
 app.use('/api/validate-final', validateLimiter, validateFinalRoute);
 
+// Session endpoints are hit by every open client, often many behind one NAT, so
+// they are limited per credential (the presented refresh or access token) rather
+// than per IP. A rotated-out refresh token reused in a loop still hits the cap.
+const sha256 = (v) => crypto.createHash('sha256').update(String(v)).digest('hex');
+const sessionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    const refreshToken = req.body?.refreshToken;
+    if (typeof refreshToken === 'string' && refreshToken) return `refresh:${sha256(refreshToken)}`;
+    const auth = req.headers['authorization'];
+    if (auth) return `access:${sha256(auth)}`;
+    return `ip:${req.ip}`;
+  },
+  message: { error: 'Too many requests, please try later.' },
+});
+app.use('/api/auth', sessionLimiter, authRoutes);
+
 // 5) No-cache for burn-status to avoid stale payment state
 app.use('/api/burn-status', (_req, res, next) => {
   res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
   next();
 });
 
-// 6) Signed final image URL issuer (JWT-protected)
-app.get('/api/fragments/urls', authenticate, (req, res) => {
-  try {
-    const TTL_MS = 5 * 60 * 1000; // 5 minutes (ms-based, как раньше)
-    const now = Date.now();
-
-    const names = [FINAL_IMAGE];
-    const out = {};
-
-    // Dev fallback: when no secret, expose unsigned direct URLs
-    if (!FRAG_HMAC_SECRET) {
-      for (const name of names) {
-        out[name] = `${req.protocol}://${req.get('host')}/fragments/${encodeURIComponent(name)}`;
-      }
-      return res.json({ signedUrls: out });
-    }
-
-    for (const name of names) {
-      const exp = now + TTL_MS; // ms-based
-      const sig = hmacHex(FRAG_HMAC_SECRET, `${name}|${exp}`);
-      out[name] = `${req.protocol}://${req.get('host')}/fragments/${encodeURIComponent(
-        name
-      )}?exp=${exp}&sig=${sig}`;
-    }
-
-    return res.json({ signedUrls: out });
-  } catch (err) {
-    console.error('[GET /api/fragments/urls] ERROR:', err);
-    return res.status(500).json({ error: 'internal' });
-  }
-});
-
-
-// 7) Game API routes (burn*, referral, third-quest, etc.)
+// 6) Admin API (admin JWT + roles, audited; login rate-limited like player sign-in)
+//    + game API routes (burn*, referral, third-quest, etc.)
+app.use('/api/admin/auth/login', validateLimiter);
+app.use('/api/admin', adminRoutes);
 app.use('/api', playerRoutes);
 
-// 8) HMAC-protected fragment delivery (ms-based exp)
-app.get('/fragments/:name', (req, res, next) => {
-  const { name } = req.params;
-  if (name !== FINAL_IMAGE) return next();
-
-  // Dev fallback: serve unsigned
-  if (!FRAG_HMAC_SECRET) {
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-    const filePath = path.join(FRAGMENTS_DIR, name);
-    return res.sendFile(filePath);
-  }
-
-  const exp = Number(req.query.exp || 0); // ms-based
-  const sig = String(req.query.sig || '');
-  if (Date.now() > exp) return res.status(403).json({ error: 'Link expired' });
-
-  const expected = hmacHex(FRAG_HMAC_SECRET, `${name}|${exp}`);
-  if (sig !== expected) return res.status(403).json({ error: 'Invalid signature' });
-
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-  const filePath = path.join(FRAGMENTS_DIR, name);
-  return res.sendFile(filePath);
-});
-
-// 9) Signed riddles & runes (sec-based exp)
-serveSignedAsset(app, '/riddles', 'riddles');
-serveSignedAsset(app, '/runes', 'runes');
+// 7) Signed fragments, riddles & runes (links issued by /api/fragments/urls, /api/cipher*, /api/runes/urls)
+for (const folder of ASSET_FOLDERS) serveSignedAsset(app, folder);
 
-// 10) 404 + Error handler
+// 8) 404 + Error handler
 app.use((_req, res) => res.sendStatus(404));
 app.use((err, _req, res, _next) => {
   console.error('Unhandled error:', err);
@@ -270,7 +216,7 @@ app.use((err, _req, res, _next) => {
   res.status(500).json({ error: 'internal' });
 });
 
-// 11) Start server
+// 9) Start server
 app.listen(PORT, () => {
   console.log(`🟢 Server listening on port ${PORT} (${IS_PROD ? 'prod' : 'dev'})`);
 });
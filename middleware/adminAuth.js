@@ -0,0 +1,89 @@
+// middleware/adminAuth.js
+// Operator authentication, separate from player JWTs: admin tokens carry their own
+// audience (and ADMIN_JWT_SECRET when set), and the role is re-read on every request
+// so disabling an admin takes effect immediately.
+import jwt from 'jsonwebtoken';
+import pool from '../db.js';
+
+/** Roles in ascending privilege order. */
+export const ADMIN_ROLES = ['viewer', 'support', 'superadmin'];
+
+const ADMIN_AUDIENCE  = 'ash-admin';
+const ADMIN_TOKEN_TTL = '8h';
+
+const ADMIN_SECRET = process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET;
+if (!process.env.ADMIN_JWT_SECRET) {
+  console.warn('⚠️  ADMIN_JWT_SECRET is not set — admin tokens are signed with JWT_SECRET');
+}
+
+/**
+ * ADMIN_TG_IDS allowlist: "111:superadmin,222:support,333" (no role = viewer).
+ * Lets the first superadmin in before any row exists in `admins`.
+ * @returns {Map<string, string>} tg_id -> role
+ */
+function allowlist() {
+  const map = new Map();
+  for (const part of String(process.env.ADMIN_TG_IDS || '').split(',')) {
+    const [id, role = 'viewer'] = part.trim().split(':');
+    if (id && ADMIN_ROLES.includes(role)) map.set(id, role);
+  }
+  return map;
+}
+
+/**
+ * Active admin for a tg_id — `admins` row first, then the env allowlist.
+ * @returns {Promise<{tg_id: string, role: string, name: string|null}|null>}
+ */
+export async function findAdmin(tgId) {
+  const { rows: [row] } = await pool.query(
+    `SELECT tg_id, role, name FROM admins WHERE tg_id=$1 AND disabled_at IS NULL`,
+    [tgId]
+  );
+  if (row) return { tg_id: String(row.tg_id), role: row.role, name: row.name };
+
+  const role = allowlist().get(String(tgId));
+  return role ? { tg_id: String(tgId), role, name: null } : null;
+}
+
+/** Issues an admin access token (role is NOT trusted from the token). */
+export function signAdminToken(admin) {
+  return jwt.sign({ tg_id: admin.tg_id }, ADMIN_SECRET, {
+    audience: ADMIN_AUDIENCE,
+    expiresIn: ADMIN_TOKEN_TTL,
+  });
+}
+
+/** Bearer admin token -> req.admin = { tg_id, role, name }. */
+export async function authenticateAdmin(req, res, next) {
+  const [scheme, token] = (req.headers['authorization'] || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, ADMIN_SECRET, { audience: ADMIN_AUDIENCE });
+  } catch {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  try {
+    const admin = await findAdmin(payload.tg_id);
+    if (!admin) return res.status(403).json({ error: 'Forbidden' });
+    req.admin = admin;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/** Allows `minRole` and anything above it. */
+export function requireRole(minRole) {
+  const min = ADMIN_ROLES.indexOf(minRole);
+  return (req, res, next) => {
+    if (ADMIN_ROLES.indexOf(req.admin?.role) < min) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+  };
+}
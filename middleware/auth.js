@@ -1,22 +1,40 @@
 // src/middleware/auth.js
 import jwt from 'jsonwebtoken';
+import { validate as isUuid } from 'uuid';
+import { isSessionActive } from '../services/sessions.js';
 
 const JWT_SECRET = process.env.JWT_SECRET;
 if (!JWT_SECRET) {
   console.error('⚠️ JWT_SECRET is not set in .env');
 }
 
-export function authenticate(req, res, next) {
+/**
+ * Bearer access token -> req.user. The token's session must still be open and
+ * its token version current (see services/sessions.js), so logout and
+ * "log out everywhere" take effect before the token expires.
+ */
+export async function authenticate(req, res, next) {
   const authHeader = req.headers['authorization'] || '';
   const [scheme, token] = authHeader.split(' ');
   if (scheme !== 'Bearer' || !token) {
     return res.status(401).json({ error: 'No token provided' });
   }
+
+  let payload;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload; // payload: { tg_id, name, iat, exp }
-    next();
+    payload = jwt.verify(token, JWT_SECRET); // payload: { tg_id, name, locale, sid, tv, iat, exp }
   } catch (err) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+  // tokens issued before sessions existed carry no sid
+  if (!isUuid(String(payload.sid ?? ''))) return res.status(401).json({ error: 'Invalid token' });
+
+  try {
+    if (!(await isSessionActive(payload))) return res.status(401).json({ error: 'session_revoked' });
+  } catch (err) {
+    console.error('[authenticate] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+  req.user = payload;
+  next();
 }
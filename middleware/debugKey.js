@@ -0,0 +1,9 @@
+// middleware/debugKey.js
+
+/** Debug/operator routes: require X-Debug-Key, masked as 404 otherwise. */
+export function requireDebugKey(req, res, next) {
+  const { DEBUG_KEY } = process.env;
+  const key = req.get('X-Debug-Key') || '';
+  if (!DEBUG_KEY || key !== DEBUG_KEY) return res.status(404).json({ error: 'not_found' });
+  next();
+}
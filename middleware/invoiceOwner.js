@@ -0,0 +1,24 @@
+// middleware/invoiceOwner.js
+import { validate as isUuid } from 'uuid';
+import pool from '../db.js';
+
+/**
+ * router.param('invoiceId', invoiceOwner)
+ * The invoice must exist and belong to req.user.tg_id (so it must run after authenticate).
+ * Foreign, unknown and malformed ids all answer 404 — invoice ids can't be probed.
+ */
+export async function invoiceOwner(req, res, next, invoiceId) {
+  try {
+    if (!isUuid(invoiceId)) return res.status(404).json({ error: 'not found' });
+
+    const { rows } = await pool.query(
+      `SELECT 1 FROM burn_invoices WHERE invoice_id=$1 AND tg_id=$2`,
+      [invoiceId, req.user?.tg_id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'not found' });
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
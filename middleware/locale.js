@@ -0,0 +1,21 @@
+// middleware/locale.js
+import { normalizeLocale, localeFromAcceptLanguage, resolveLocale, translate } from '../services/i18n.js';
+
+/**
+ * Sets req.locale from ?locale= or Accept-Language (null when neither names a
+ * supported locale — handlers then fall back to the player's stored locale).
+ * Error bodies `{ error: code }` get a localised `message` next to the code.
+ */
+export function localeMiddleware(req, res, next) {
+  req.locale = normalizeLocale(req.query?.locale) || localeFromAcceptLanguage(req.get('accept-language'));
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === 'object' && typeof body.error === 'string' && !body.message) {
+      const message = translate(resolveLocale(req, req.user?.locale), body.error);
+      if (message) body = { ...body, message };
+    }
+    return json(body);
+  };
+  next();
+}
@@ -0,0 +1,7 @@
+-- 0001_initial_schema (rollback)
+
+DROP TABLE IF EXISTS global_stats;
+DROP TABLE IF EXISTS referrals;
+DROP TABLE IF EXISTS fragment_ciphers;
+DROP TABLE IF EXISTS burn_invoices;
+DROP TABLE IF EXISTS players;
@@ -0,0 +1,92 @@
+-- 0001_initial_schema
+-- Baseline schema for everything routes/*, worker/* and index.js query today.
+-- Uses IF NOT EXISTS so it can be applied on top of an existing production DB.
+
+CREATE TABLE IF NOT EXISTS players (
+  tg_id                  BIGINT      PRIMARY KEY,
+  name                   TEXT,
+  ref_code               TEXT        NOT NULL,
+  referral_reward_issued BOOLEAN     NOT NULL DEFAULT FALSE,
+  fragments              INTEGER[]   NOT NULL DEFAULT '{}'::int[],
+  curses_count           INTEGER     NOT NULL DEFAULT 0,
+  pity_counter           INTEGER     NOT NULL DEFAULT 0,
+  is_cursed              BOOLEAN     NOT NULL DEFAULT FALSE,
+  curse_expires          TIMESTAMPTZ,
+  last_burn              TIMESTAMPTZ,
+  -- compared as 'YYYY-MM-DD' string in /api/daily-quest, hence TEXT (not DATE)
+  last_daily_claim       TEXT,
+  daily_coupon_percent   INTEGER     NOT NULL DEFAULT 0,
+  created_at             TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT players_ref_code_key UNIQUE (ref_code),
+  CONSTRAINT players_daily_coupon_percent_check
+    CHECK (daily_coupon_percent BETWEEN 0 AND 100)
+);
+
+CREATE TABLE IF NOT EXISTS burn_invoices (
+  invoice_id     UUID        PRIMARY KEY,
+  tg_id          BIGINT      NOT NULL REFERENCES players(tg_id) ON DELETE CASCADE,
+  amount_nano    BIGINT      NOT NULL,
+  address        TEXT        NOT NULL,
+  comment        TEXT        NOT NULL,
+  status         TEXT        NOT NULL DEFAULT 'pending',
+  quest_data     JSONB,
+  quest_status   TEXT        NOT NULL DEFAULT 'pending',
+  processed      BOOLEAN     NOT NULL DEFAULT FALSE,
+  awarded_rarity TEXT,
+  result_json    JSONB,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  paid_at        TIMESTAMPTZ,
+  CONSTRAINT burn_invoices_comment_key UNIQUE (comment),
+  CONSTRAINT burn_invoices_status_check
+    CHECK (status IN ('pending', 'paid')),
+  CONSTRAINT burn_invoices_quest_status_check
+    CHECK (quest_status IN ('pending', 'success', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS burn_invoices_tg_id_idx
+  ON burn_invoices (tg_id);
+-- worker/check-payments.js scans pending rows every tick
+CREATE INDEX IF NOT EXISTS burn_invoices_pending_idx
+  ON burn_invoices (created_at) WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS fragment_ciphers (
+  tg_id          BIGINT      NOT NULL REFERENCES players(tg_id) ON DELETE CASCADE,
+  frag_id        INTEGER     NOT NULL,
+  grid_numbers   INTEGER[]   NOT NULL,
+  correct_num    INTEGER     NOT NULL,
+  correct_cell   INTEGER     NOT NULL,
+  riddle_key     TEXT        NOT NULL,
+  chosen_num     INTEGER,
+  chosen_cell    INTEGER,
+  chosen_rune_id INTEGER,
+  answered_at    TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (tg_id, frag_id),
+  CONSTRAINT fragment_ciphers_frag_id_check   CHECK (frag_id BETWEEN 1 AND 8),
+  CONSTRAINT fragment_ciphers_grid_size_check CHECK (cardinality(grid_numbers) = 16),
+  CONSTRAINT fragment_ciphers_correct_cell_check CHECK (correct_cell BETWEEN 0 AND 15)
+);
+
+CREATE TABLE IF NOT EXISTS referrals (
+  id          BIGSERIAL   PRIMARY KEY,
+  referrer_id BIGINT      NOT NULL REFERENCES players(tg_id) ON DELETE CASCADE,
+  referred_id BIGINT      NOT NULL REFERENCES players(tg_id) ON DELETE CASCADE,
+  status      TEXT        NOT NULL DEFAULT 'pending',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- a player can be referred only once
+  CONSTRAINT referrals_referred_id_key UNIQUE (referred_id),
+  CONSTRAINT referrals_status_check CHECK (status IN ('pending', 'confirmed'))
+);
+
+CREATE INDEX IF NOT EXISTS referrals_referrer_status_idx
+  ON referrals (referrer_id, status);
+
+CREATE TABLE IF NOT EXISTS global_stats (
+  id    TEXT   PRIMARY KEY,
+  value BIGINT NOT NULL DEFAULT 0
+);
+
+INSERT INTO global_stats (id, value)
+VALUES ('total_users', 0)
+ON CONFLICT (id) DO NOTHING;
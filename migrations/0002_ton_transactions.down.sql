@@ -0,0 +1,4 @@
+-- 0002_ton_transactions (rollback)
+
+DROP TABLE IF EXISTS ton_indexer_cursor;
+DROP TABLE IF EXISTS ton_transactions;
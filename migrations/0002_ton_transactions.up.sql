@@ -0,0 +1,25 @@
+-- 0002_ton_transactions
+-- Durable store of inbound wallet transactions + the indexer cursor.
+
+CREATE TABLE IF NOT EXISTS ton_transactions (
+  hash       TEXT        PRIMARY KEY,            -- transaction_id.hash (base64)
+  lt         BIGINT      NOT NULL,               -- logical time
+  sender     TEXT,                               -- in_msg.source
+  amount     BIGINT      NOT NULL,               -- in_msg.value, nano
+  comment    TEXT,                               -- decoded text comment
+  utime      TIMESTAMPTZ NOT NULL,
+  indexed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS ton_transactions_comment_idx
+  ON ton_transactions (comment) WHERE comment IS NOT NULL;
+CREATE INDEX IF NOT EXISTS ton_transactions_lt_idx
+  ON ton_transactions (lt);
+
+-- One row per indexed wallet: newest transaction already stored.
+CREATE TABLE IF NOT EXISTS ton_indexer_cursor (
+  address    TEXT        PRIMARY KEY,
+  last_lt    BIGINT      NOT NULL,
+  last_hash  TEXT        NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,18 @@
+-- 0003_payment_matching (rollback)
+
+ALTER TABLE burn_invoices DROP CONSTRAINT IF EXISTS burn_invoices_status_check;
+UPDATE burn_invoices SET status = 'paid'    WHERE status = 'overpaid';
+UPDATE burn_invoices SET status = 'pending' WHERE status = 'underpaid';
+ALTER TABLE burn_invoices
+  ADD CONSTRAINT burn_invoices_status_check CHECK (status IN ('pending', 'paid'));
+
+ALTER TABLE burn_invoices DROP CONSTRAINT IF EXISTS burn_invoices_tx_hash_key;
+ALTER TABLE burn_invoices
+  DROP COLUMN IF EXISTS paid_amount_nano,
+  DROP COLUMN IF EXISTS tx_hash,
+  DROP COLUMN IF EXISTS payer_address;
+
+DROP INDEX IF EXISTS ton_transactions_unconsumed_idx;
+ALTER TABLE ton_transactions
+  DROP COLUMN IF EXISTS consumed_at,
+  DROP COLUMN IF EXISTS consumed_by;
@@ -0,0 +1,24 @@
+-- 0003_payment_matching
+-- Single-use transactions, payer/tx recorded on the invoice,
+-- explicit 'underpaid' / 'overpaid' invoice states.
+
+ALTER TABLE ton_transactions
+  ADD COLUMN IF NOT EXISTS consumed_by UUID REFERENCES burn_invoices(invoice_id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS consumed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS ton_transactions_unconsumed_idx
+  ON ton_transactions (comment) WHERE consumed_by IS NULL;
+
+ALTER TABLE burn_invoices
+  ADD COLUMN IF NOT EXISTS payer_address    TEXT,
+  ADD COLUMN IF NOT EXISTS tx_hash          TEXT,
+  ADD COLUMN IF NOT EXISTS paid_amount_nano BIGINT;
+
+-- a transaction can settle at most one invoice
+ALTER TABLE burn_invoices
+  ADD CONSTRAINT burn_invoices_tx_hash_key UNIQUE (tx_hash);
+
+ALTER TABLE burn_invoices DROP CONSTRAINT IF EXISTS burn_invoices_status_check;
+ALTER TABLE burn_invoices
+  ADD CONSTRAINT burn_invoices_status_check
+  CHECK (status IN ('pending', 'paid', 'underpaid', 'overpaid'));
@@ -0,0 +1,20 @@
+-- 0004_invoice_lifecycle (rollback)
+
+DROP INDEX IF EXISTS burn_invoices_pending_expiry_idx;
+CREATE INDEX IF NOT EXISTS burn_invoices_pending_idx
+  ON burn_invoices (created_at) WHERE status = 'pending';
+DROP INDEX IF EXISTS burn_invoices_one_open_per_player;
+
+ALTER TABLE burn_invoices DROP CONSTRAINT IF EXISTS burn_invoices_resolution_check;
+ALTER TABLE burn_invoices DROP CONSTRAINT IF EXISTS burn_invoices_status_check;
+UPDATE burn_invoices SET status = 'paid'    WHERE status = 'late_paid';
+UPDATE burn_invoices SET status = 'pending' WHERE status IN ('expired', 'cancelled', 'refunded');
+ALTER TABLE burn_invoices
+  ADD CONSTRAINT burn_invoices_status_check
+  CHECK (status IN ('pending', 'paid', 'underpaid', 'overpaid'));
+
+ALTER TABLE burn_invoices
+  DROP COLUMN IF EXISTS resolution,
+  DROP COLUMN IF EXISTS resolved_at,
+  DROP COLUMN IF EXISTS closed_at,
+  DROP COLUMN IF EXISTS expires_at;
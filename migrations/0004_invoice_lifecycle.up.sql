@@ -0,0 +1,49 @@
+-- 0004_invoice_lifecycle
+-- Expiry / cancellation for burn invoices, one open invoice per player,
+-- 'late_paid' for payments that arrive after an invoice was closed.
+
+ALTER TABLE burn_invoices
+  ADD COLUMN IF NOT EXISTS expires_at   TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS closed_at    TIMESTAMPTZ,   -- expired / cancelled
+  ADD COLUMN IF NOT EXISTS resolved_at  TIMESTAMPTZ,   -- operator decision on late_paid
+  ADD COLUMN IF NOT EXISTS resolution   TEXT;
+
+UPDATE burn_invoices
+   SET expires_at = created_at + INTERVAL '30 minutes'
+ WHERE expires_at IS NULL;
+
+ALTER TABLE burn_invoices
+  ALTER COLUMN expires_at SET DEFAULT NOW() + INTERVAL '30 minutes',
+  ALTER COLUMN expires_at SET NOT NULL;
+
+ALTER TABLE burn_invoices DROP CONSTRAINT IF EXISTS burn_invoices_status_check;
+ALTER TABLE burn_invoices
+  ADD CONSTRAINT burn_invoices_status_check
+  CHECK (status IN ('pending', 'paid', 'underpaid', 'overpaid',
+                    'expired', 'cancelled', 'late_paid', 'refunded'));
+
+ALTER TABLE burn_invoices
+  ADD CONSTRAINT burn_invoices_resolution_check
+  CHECK (resolution IS NULL OR resolution IN ('honored', 'refunded'));
+
+-- Close stale and duplicate pending invoices before enforcing uniqueness.
+UPDATE burn_invoices
+   SET status = 'expired', closed_at = NOW()
+ WHERE status = 'pending' AND expires_at <= NOW();
+
+UPDATE burn_invoices b
+   SET status = 'expired', closed_at = NOW()
+ WHERE b.status = 'pending'
+   AND EXISTS (
+         SELECT 1 FROM burn_invoices n
+          WHERE n.tg_id = b.tg_id
+            AND n.status = 'pending'
+            AND n.created_at > b.created_at
+       );
+
+CREATE UNIQUE INDEX IF NOT EXISTS burn_invoices_one_open_per_player
+  ON burn_invoices (tg_id) WHERE status = 'pending';
+
+DROP INDEX IF EXISTS burn_invoices_pending_idx;
+CREATE INDEX IF NOT EXISTS burn_invoices_pending_expiry_idx
+  ON burn_invoices (expires_at) WHERE status = 'pending';
@@ -0,0 +1,9 @@
+-- 0005_burn_coupons (rollback)
+
+ALTER TABLE burn_invoices DROP CONSTRAINT IF EXISTS burn_invoices_coupon_percent_check;
+ALTER TABLE burn_invoices
+  DROP COLUMN IF EXISTS coupon_expires_at,
+  DROP COLUMN IF EXISTS coupon_percent;
+
+ALTER TABLE players
+  DROP COLUMN IF EXISTS daily_coupon_expires;
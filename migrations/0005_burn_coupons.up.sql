@@ -0,0 +1,24 @@
+-- 0005_burn_coupons
+-- Daily-quest coupons: end-of-day expiry on the player, applied percent on the invoice.
+
+ALTER TABLE players
+  ADD COLUMN IF NOT EXISTS daily_coupon_expires TIMESTAMPTZ;
+
+-- coupons claimed before this migration stay valid until the end of their claim day (UTC)
+UPDATE players
+   SET daily_coupon_expires = ((last_daily_claim::date + 1)::timestamp AT TIME ZONE 'UTC')
+ WHERE daily_coupon_percent > 0
+   AND last_daily_claim ~ '^\d{4}-\d{2}-\d{2}$';
+
+UPDATE players
+   SET daily_coupon_percent = 0
+ WHERE daily_coupon_percent > 0
+   AND daily_coupon_expires IS NULL;
+
+ALTER TABLE burn_invoices
+  ADD COLUMN IF NOT EXISTS coupon_percent    INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS coupon_expires_at TIMESTAMPTZ;
+
+ALTER TABLE burn_invoices
+  ADD CONSTRAINT burn_invoices_coupon_percent_check
+  CHECK (coupon_percent BETWEEN 0 AND 100);
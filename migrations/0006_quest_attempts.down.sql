@@ -0,0 +1,4 @@
+-- 0006_quest_attempts (rollback)
+
+ALTER TABLE burn_invoices
+  DROP COLUMN IF EXISTS quest_attempts;
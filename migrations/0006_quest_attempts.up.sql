@@ -0,0 +1,5 @@
+-- 0006_quest_attempts
+-- Server-side verified quest answers: attempts counted per invoice.
+
+ALTER TABLE burn_invoices
+  ADD COLUMN IF NOT EXISTS quest_attempts INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,6 @@
+-- 0007_quiz_questions (rollback)
+
+ALTER TABLE players DROP COLUMN IF EXISTS third_quest_id;
+DROP INDEX IF EXISTS burn_invoices_quiz_question_idx;
+ALTER TABLE burn_invoices DROP COLUMN IF EXISTS quiz_question_id;
+DROP TABLE IF EXISTS quiz_questions;
@@ -0,0 +1,82 @@
+-- 0007_quiz_questions
+-- Data-driven quiz bank (burn mini-quests + third-fragment quest).
+-- Seeded with the questions previously hard-coded in routes/player.js.
+
+CREATE TABLE IF NOT EXISTS quiz_questions (
+  id         SERIAL      PRIMARY KEY,
+  category   TEXT        NOT NULL DEFAULT 'burn',
+  rarity     TEXT,
+  question   TEXT        NOT NULL,
+  options    JSONB       NOT NULL DEFAULT '[]'::jsonb,  -- [] = free-text answer
+  answer     TEXT        NOT NULL,
+  locale     TEXT        NOT NULL DEFAULT 'en',
+  enabled    BOOLEAN     NOT NULL DEFAULT TRUE,
+  weight     INTEGER     NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT quiz_questions_category_check CHECK (category IN ('burn', 'third_quest')),
+  CONSTRAINT quiz_questions_rarity_check
+    CHECK (rarity IS NULL OR rarity IN ('common', 'uncommon', 'rare', 'legendary')),
+  CONSTRAINT quiz_questions_burn_rarity_check CHECK (category <> 'burn' OR rarity IS NOT NULL),
+  CONSTRAINT quiz_questions_options_check CHECK (jsonb_typeof(options) = 'array'),
+  CONSTRAINT quiz_questions_weight_check CHECK (weight > 0)
+);
+
+CREATE INDEX IF NOT EXISTS quiz_questions_pick_idx
+  ON quiz_questions (category, rarity, locale) WHERE enabled;
+
+-- which question was issued (per-question correctness stats)
+ALTER TABLE burn_invoices
+  ADD COLUMN IF NOT EXISTS quiz_question_id INTEGER REFERENCES quiz_questions(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS burn_invoices_quiz_question_idx
+  ON burn_invoices (quiz_question_id) WHERE quiz_question_id IS NOT NULL;
+
+-- the third-fragment question issued to the player (checked by /api/third-claim)
+ALTER TABLE players
+  ADD COLUMN IF NOT EXISTS third_quest_id INTEGER REFERENCES quiz_questions(id) ON DELETE SET NULL;
+
+INSERT INTO quiz_questions (rarity, question, options, answer) VALUES
+  ('common', 'Which element is associated with fire?', '["Water", "Earth", "Fire", "Air"]'::jsonb, 'Fire'),
+  ('common', 'What color are hot embers usually?', '["Blue", "Red", "Green", "Purple"]'::jsonb, 'Red'),
+  ('common', 'Which one is hot?', '["Ice", "Flame", "Snow", "Fog"]'::jsonb, 'Flame'),
+  ('common', 'Opposite of “cold”?', '["Dark", "Hot", "Wet", "Dust"]'::jsonb, 'Hot'),
+  ('common', 'Best fuel for a campfire?', '["Stone", "Water", "Wood", "Glass"]'::jsonb, 'Wood'),
+  ('common', 'Which symbol means multiplication?', '["÷", "×", "−", "+"]'::jsonb, '×'),
+  ('common', 'What color is ash most often?', '["Gray", "Pink", "Blue", "Yellow"]'::jsonb, 'Gray'),
+  ('common', 'Heat naturally flows from…', '["Cold to hot", "Hot to cold", "Down to up", "Left to right"]'::jsonb, 'Hot to cold'),
+  ('common', 'What do flames need to burn?', '["Oxygen", "Salt", "Iron", "Plastic"]'::jsonb, 'Oxygen'),
+  ('common', 'Which season is usually the hottest?', '["Winter", "Spring", "Summer", "Autumn"]'::jsonb, 'Summer'),
+  ('uncommon', 'A synonym for “burn”?', '["Freeze", "Scorch", "Flow", "Sink"]'::jsonb, 'Scorch'),
+  ('uncommon', 'Charred wood turns into…', '["Ash", "Ice", "Steam", "Clay"]'::jsonb, 'Ash'),
+  ('uncommon', 'Which word means “to ignite”?', '["Kindle", "Mend", "Bury", "Knead"]'::jsonb, 'Kindle'),
+  ('uncommon', 'A safe indoor place for fire is a…', '["Hearth", "Vase", "Shelf", "Bucket"]'::jsonb, 'Hearth'),
+  ('uncommon', 'Which gas supports burning in air?', '["Oxygen", "Nitrogen", "Helium", "Carbon dioxide"]'::jsonb, 'Oxygen'),
+  ('uncommon', 'Main solid fuel in a candle?', '["Wax", "Water", "Sand", "Salt"]'::jsonb, 'Wax'),
+  ('uncommon', 'Least flammable here?', '["Dry paper", "Wet cloth", "Gasoline", "Wood shavings"]'::jsonb, 'Wet cloth'),
+  ('uncommon', 'Which icon warns about fire?', '["🔥", "❄️", "💧", "🍃"]'::jsonb, '🔥'),
+  ('uncommon', 'Opposite of “ignite”?', '["Extinguish", "Brighten", "Sharpen", "Combine"]'::jsonb, 'Extinguish'),
+  ('uncommon', 'Tiny hot pieces from a fire are…', '["Embers", "Pebbles", "Bubbles", "Crumbs"]'::jsonb, 'Embers'),
+  ('rare', 'What consumes oxygen and gives heat?', '["Ice", "Fire"]'::jsonb, 'Fire'),
+  ('rare', 'Smoke with too little oxygen is often…', '["Black", "Blue"]'::jsonb, 'Black'),
+  ('rare', 'Safe to pour on a wood fire?', '["Water", "Gasoline"]'::jsonb, 'Water'),
+  ('rare', 'Which is NOT in the fire triangle?', '["Oxygen", "Fuel", "Time"]'::jsonb, 'Time'),
+  ('rare', 'Which shines brighter?', '["Ember", "Flame"]'::jsonb, 'Flame'),
+  ('rare', 'Device that detects smoke?', '["Smoke detector", "Thermometer"]'::jsonb, 'Smoke detector'),
+  ('rare', 'Which is hotter?', '["100°C", "200°C"]'::jsonb, '200°C'),
+  ('rare', 'What reduces a campfire?', '["Add air", "Smother with sand"]'::jsonb, 'Smother with sand'),
+  ('rare', 'Water on an oil fire is…', '["Dangerous", "Safe"]'::jsonb, 'Dangerous'),
+  ('rare', 'Which material is fire-resistant?', '["Asbestos", "Paper"]'::jsonb, 'Asbestos'),
+  ('legendary', 'Type the word "Fire" exactly:', '[]'::jsonb, 'Fire'),
+  ('legendary', 'Type the word "Ash" exactly:', '[]'::jsonb, 'Ash'),
+  ('legendary', 'Type the word "Flame" exactly:', '[]'::jsonb, 'Flame'),
+  ('legendary', 'Type the word "Ember" exactly:', '[]'::jsonb, 'Ember'),
+  ('legendary', 'Type the word "Smoke" exactly:', '[]'::jsonb, 'Smoke'),
+  ('legendary', 'Type the word "Spark" exactly:', '[]'::jsonb, 'Spark'),
+  ('legendary', 'Type the word "Torch" exactly:', '[]'::jsonb, 'Torch'),
+  ('legendary', 'Type the word "Burn" exactly:', '[]'::jsonb, 'Burn'),
+  ('legendary', 'Type the word "Heat" exactly:', '[]'::jsonb, 'Heat'),
+  ('legendary', 'Type the word "Inferno" exactly:', '[]'::jsonb, 'Inferno');
+
+INSERT INTO quiz_questions (category, rarity, question, options, answer) VALUES
+  ('third_quest', NULL, 'Choose the correct rune meaning for 🔥',
+   '["Water", "Ash", "Flame", "Stone"]'::jsonb, 'Flame');
@@ -0,0 +1,8 @@
+-- 0008_locale (rollback)
+
+DELETE FROM quiz_questions q
+ WHERE q.locale = 'ru'
+   AND NOT EXISTS (SELECT 1 FROM burn_invoices b WHERE b.quiz_question_id = q.id)
+   AND NOT EXISTS (SELECT 1 FROM players p WHERE p.third_quest_id = q.id);
+
+ALTER TABLE players DROP COLUMN IF EXISTS locale;
@@ -0,0 +1,51 @@
+-- 0008_locale
+-- Player locale (Telegram user.language_code) + Russian variants of the quiz bank.
+
+ALTER TABLE players
+  ADD COLUMN IF NOT EXISTS locale TEXT NOT NULL DEFAULT 'en';
+
+INSERT INTO quiz_questions (rarity, question, options, answer, locale) VALUES
+  ('common', 'Какая стихия связана с огнём?', '["Вода", "Земля", "Огонь", "Воздух"]'::jsonb, 'Огонь', 'ru'),
+  ('common', 'Какого цвета обычно горячие угли?', '["Синие", "Красные", "Зелёные", "Фиолетовые"]'::jsonb, 'Красные', 'ru'),
+  ('common', 'Что из этого горячее?', '["Лёд", "Пламя", "Снег", "Туман"]'::jsonb, 'Пламя', 'ru'),
+  ('common', 'Противоположность слова «холодный»?', '["Тёмный", "Горячий", "Мокрый", "Пыльный"]'::jsonb, 'Горячий', 'ru'),
+  ('common', 'Лучшее топливо для костра?', '["Камень", "Вода", "Дрова", "Стекло"]'::jsonb, 'Дрова', 'ru'),
+  ('common', 'Какой знак означает умножение?', '["÷", "×", "−", "+"]'::jsonb, '×', 'ru'),
+  ('common', 'Какого цвета чаще всего пепел?', '["Серый", "Розовый", "Синий", "Жёлтый"]'::jsonb, 'Серый', 'ru'),
+  ('common', 'Тепло само по себе переходит…', '["От холодного к горячему", "От горячего к холодному", "Снизу вверх", "Слева направо"]'::jsonb, 'От горячего к холодному', 'ru'),
+  ('common', 'Что нужно пламени для горения?', '["Кислород", "Соль", "Железо", "Пластик"]'::jsonb, 'Кислород', 'ru'),
+  ('common', 'Какое время года обычно самое жаркое?', '["Зима", "Весна", "Лето", "Осень"]'::jsonb, 'Лето', 'ru'),
+  ('uncommon', 'Синоним слова «жечь»?', '["Морозить", "Палить", "Течь", "Тонуть"]'::jsonb, 'Палить', 'ru'),
+  ('uncommon', 'Обугленное дерево превращается в…', '["Пепел", "Лёд", "Пар", "Глину"]'::jsonb, 'Пепел', 'ru'),
+  ('uncommon', 'Какое слово значит «поджечь»?', '["Разжечь", "Починить", "Закопать", "Замесить"]'::jsonb, 'Разжечь', 'ru'),
+  ('uncommon', 'Безопасное место для огня в доме — это…', '["Очаг", "Ваза", "Полка", "Ведро"]'::jsonb, 'Очаг', 'ru'),
+  ('uncommon', 'Какой газ в воздухе поддерживает горение?', '["Кислород", "Азот", "Гелий", "Углекислый газ"]'::jsonb, 'Кислород', 'ru'),
+  ('uncommon', 'Основное твёрдое топливо свечи?', '["Воск", "Вода", "Песок", "Соль"]'::jsonb, 'Воск', 'ru'),
+  ('uncommon', 'Что здесь горит хуже всего?', '["Сухая бумага", "Мокрая ткань", "Бензин", "Стружка"]'::jsonb, 'Мокрая ткань', 'ru'),
+  ('uncommon', 'Какой значок предупреждает об огне?', '["🔥", "❄️", "💧", "🍃"]'::jsonb, '🔥', 'ru'),
+  ('uncommon', 'Противоположность слова «зажечь»?', '["Потушить", "Осветить", "Заточить", "Соединить"]'::jsonb, 'Потушить', 'ru'),
+  ('uncommon', 'Маленькие горячие частицы от огня — это…', '["Угольки", "Камешки", "Пузырьки", "Крошки"]'::jsonb, 'Угольки', 'ru'),
+  ('rare', 'Что поглощает кислород и даёт тепло?', '["Лёд", "Огонь"]'::jsonb, 'Огонь', 'ru'),
+  ('rare', 'Дым при нехватке кислорода обычно…', '["Чёрный", "Синий"]'::jsonb, 'Чёрный', 'ru'),
+  ('rare', 'Что безопасно лить на горящие дрова?', '["Воду", "Бензин"]'::jsonb, 'Воду', 'ru'),
+  ('rare', 'Что НЕ входит в треугольник огня?', '["Кислород", "Топливо", "Время"]'::jsonb, 'Время', 'ru'),
+  ('rare', 'Что светит ярче?', '["Уголёк", "Пламя"]'::jsonb, 'Пламя', 'ru'),
+  ('rare', 'Прибор, который обнаруживает дым?', '["Дымовой датчик", "Термометр"]'::jsonb, 'Дымовой датчик', 'ru'),
+  ('rare', 'Что горячее?', '["100°C", "200°C"]'::jsonb, '200°C', 'ru'),
+  ('rare', 'Что ослабит костёр?', '["Добавить воздуха", "Засыпать песком"]'::jsonb, 'Засыпать песком', 'ru'),
+  ('rare', 'Вода на горящее масло — это…', '["Опасно", "Безопасно"]'::jsonb, 'Опасно', 'ru'),
+  ('rare', 'Какой материал огнестойкий?', '["Асбест", "Бумага"]'::jsonb, 'Асбест', 'ru'),
+  ('legendary', 'Введите слово «Огонь» точно:', '[]'::jsonb, 'Огонь', 'ru'),
+  ('legendary', 'Введите слово «Пепел» точно:', '[]'::jsonb, 'Пепел', 'ru'),
+  ('legendary', 'Введите слово «Пламя» точно:', '[]'::jsonb, 'Пламя', 'ru'),
+  ('legendary', 'Введите слово «Уголь» точно:', '[]'::jsonb, 'Уголь', 'ru'),
+  ('legendary', 'Введите слово «Дым» точно:', '[]'::jsonb, 'Дым', 'ru'),
+  ('legendary', 'Введите слово «Искра» точно:', '[]'::jsonb, 'Искра', 'ru'),
+  ('legendary', 'Введите слово «Факел» точно:', '[]'::jsonb, 'Факел', 'ru'),
+  ('legendary', 'Введите слово «Гореть» точно:', '[]'::jsonb, 'Гореть', 'ru'),
+  ('legendary', 'Введите слово «Жар» точно:', '[]'::jsonb, 'Жар', 'ru'),
+  ('legendary', 'Введите слово «Пекло» точно:', '[]'::jsonb, 'Пекло', 'ru');
+
+INSERT INTO quiz_questions (category, rarity, question, options, answer, locale) VALUES
+  ('third_quest', NULL, 'Выберите верное значение руны для 🔥',
+   '["Вода", "Пепел", "Пламя", "Камень"]'::jsonb, 'Пламя', 'ru');
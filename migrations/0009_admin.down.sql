@@ -0,0 +1,4 @@
+-- 0009_admin (rollback)
+
+DROP TABLE IF EXISTS admin_audit_log;
+DROP TABLE IF EXISTS admins;
@@ -0,0 +1,28 @@
+-- 0009_admin
+-- Operator accounts with roles + append-only audit log of admin actions.
+
+CREATE TABLE IF NOT EXISTS admins (
+  tg_id       BIGINT      PRIMARY KEY,
+  role        TEXT        NOT NULL,
+  name        TEXT,
+  created_by  BIGINT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  disabled_at TIMESTAMPTZ,
+  CONSTRAINT admins_role_check CHECK (role IN ('viewer', 'support', 'superadmin'))
+);
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id                BIGSERIAL   PRIMARY KEY,
+  admin_tg_id       BIGINT      NOT NULL,
+  admin_role        TEXT        NOT NULL,
+  action            TEXT        NOT NULL,
+  target_tg_id      BIGINT,
+  target_invoice_id UUID,
+  details           JSONB       NOT NULL DEFAULT '{}'::jsonb,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS admin_audit_log_target_idx
+  ON admin_audit_log (target_tg_id, created_at);
+CREATE INDEX IF NOT EXISTS admin_audit_log_admin_idx
+  ON admin_audit_log (admin_tg_id, created_at);
@@ -0,0 +1,3 @@
+-- 0010_player_events (rollback)
+
+DROP TABLE IF EXISTS player_events;
@@ -0,0 +1,36 @@
+-- 0010_player_events
+-- Append-only history of fragment / curse / pity changes per player.
+-- `before` / `after` hold only the players columns the event touched.
+
+CREATE TABLE IF NOT EXISTS player_events (
+  id          BIGSERIAL   PRIMARY KEY,
+  tg_id       BIGINT      NOT NULL,
+  event_type  TEXT        NOT NULL,
+  source      TEXT        NOT NULL,              -- route / worker / 'admin' that made the change
+  invoice_id  UUID,
+  actor_tg_id BIGINT,                            -- admin who acted, NULL for the player / system
+  before      JSONB       NOT NULL DEFAULT '{}'::jsonb,
+  after       JSONB       NOT NULL DEFAULT '{}'::jsonb,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT player_events_type_check CHECK (event_type IN (
+    'baseline', 'player_created', 'fragment_granted', 'fragment_revoked',
+    'curse_applied', 'curse_lifted', 'pity_changed'
+  ))
+);
+
+CREATE INDEX IF NOT EXISTS player_events_player_idx
+  ON player_events (tg_id, id);
+CREATE INDEX IF NOT EXISTS player_events_invoice_idx
+  ON player_events (invoice_id) WHERE invoice_id IS NOT NULL;
+
+-- Existing players start their history from a snapshot of the current state.
+INSERT INTO player_events (tg_id, event_type, source, after)
+SELECT tg_id, 'baseline', 'migration:0010',
+       jsonb_build_object(
+         'fragments',     to_jsonb(COALESCE(fragments, '{}'::int[])),
+         'curses_count',  curses_count,
+         'pity_counter',  pity_counter,
+         'is_cursed',     is_cursed,
+         'curse_expires', curse_expires
+       )
+  FROM players;
@@ -0,0 +1,15 @@
+-- 0011_curses (rollback)
+
+DROP INDEX IF EXISTS players_curse_expires_idx;
+
+-- Only one open invoice per player again: close pending purifications first.
+UPDATE burn_invoices
+   SET status = 'cancelled', closed_at = NOW()
+ WHERE kind = 'purification' AND status = 'pending';
+
+DROP INDEX IF EXISTS burn_invoices_one_open_per_player_kind;
+CREATE UNIQUE INDEX IF NOT EXISTS burn_invoices_one_open_per_player
+  ON burn_invoices (tg_id) WHERE status = 'pending';
+
+ALTER TABLE burn_invoices DROP CONSTRAINT IF EXISTS burn_invoices_kind_check;
+ALTER TABLE burn_invoices DROP COLUMN IF EXISTS kind;
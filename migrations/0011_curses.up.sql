@@ -0,0 +1,18 @@
+-- 0011_curses
+-- Purification invoices (pay to lift a curse early) share burn_invoices with
+-- burns; `kind` tells them apart and each kind gets its own open-invoice slot.
+
+ALTER TABLE burn_invoices
+  ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'burn';
+
+ALTER TABLE burn_invoices
+  ADD CONSTRAINT burn_invoices_kind_check
+  CHECK (kind IN ('burn', 'purification'));
+
+DROP INDEX IF EXISTS burn_invoices_one_open_per_player;
+CREATE UNIQUE INDEX IF NOT EXISTS burn_invoices_one_open_per_player_kind
+  ON burn_invoices (tg_id, kind) WHERE status = 'pending';
+
+-- worker/check-payments.js clears expired curses every tick
+CREATE INDEX IF NOT EXISTS players_curse_expires_idx
+  ON players (curse_expires) WHERE is_cursed;
@@ -0,0 +1,7 @@
+-- 0012_game_config (rollback)
+
+ALTER TABLE burn_invoices
+  DROP COLUMN IF EXISTS resolved_config_version,
+  DROP COLUMN IF EXISTS config_version;
+
+DROP TABLE IF EXISTS game_config;
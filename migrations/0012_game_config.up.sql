@@ -0,0 +1,45 @@
+-- 0012_game_config
+-- Versioned burn-economy settings (price, curse odds, pity, rarity weights).
+-- The active version is the one with the latest effective_from <= NOW(), so a
+-- season can be scheduled ahead of time. Rows are never edited, only added.
+
+CREATE TABLE IF NOT EXISTS game_config (
+  version        SERIAL      PRIMARY KEY,
+  name           TEXT,
+  config         JSONB       NOT NULL,
+  effective_from TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by     BIGINT,                            -- admin tg_id, NULL for migrations
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT game_config_object_check CHECK (jsonb_typeof(config) = 'object')
+);
+
+CREATE INDEX IF NOT EXISTS game_config_effective_idx
+  ON game_config (effective_from);
+
+-- Version 1 = the constants previously hard-coded in routes/player.js / services/curses.js.
+INSERT INTO game_config (name, config, effective_from)
+SELECT 'launch', '{
+    "priceNano": 500000000,
+    "purifyPriceNano": 250000000,
+    "mandatory": [1, 2, 3],
+    "paidPool": [4, 5, 6, 7, 8],
+    "curse": {
+      "chance": 0.35,
+      "max": 2,
+      "durationHours": 24,
+      "guaranteedPaidFragments": 2,
+      "pityImmunityAt": null
+    },
+    "rarity": {
+      "weights": { "legendary": 5, "rare": 15, "uncommon": 30 },
+      "pityBoostRarity": "rare",
+      "pityBoostPerPoint": 1,
+      "pityBoostCap": 20
+    }
+  }'::jsonb, 'epoch'
+ WHERE NOT EXISTS (SELECT 1 FROM game_config);
+
+-- priced under / resolved under
+ALTER TABLE burn_invoices
+  ADD COLUMN IF NOT EXISTS config_version          INTEGER REFERENCES game_config(version),
+  ADD COLUMN IF NOT EXISTS resolved_config_version INTEGER REFERENCES game_config(version);
@@ -0,0 +1,6 @@
+-- 0013_provably_fair (rollback)
+
+ALTER TABLE burn_invoices
+  DROP COLUMN IF EXISTS fair_data,
+  DROP COLUMN IF EXISTS server_seed_hash,
+  DROP COLUMN IF EXISTS server_seed;
@@ -0,0 +1,10 @@
+-- 0013_provably_fair
+-- Commit–reveal seeds for burn outcomes (see services/fairness.js).
+-- server_seed stays secret until the burn is resolved; server_seed_hash is
+-- handed out with the invoice. fair_data keeps the inputs needed to recompute
+-- the rarity roll and the curse / fragment decision.
+
+ALTER TABLE burn_invoices
+  ADD COLUMN IF NOT EXISTS server_seed      TEXT,
+  ADD COLUMN IF NOT EXISTS server_seed_hash TEXT,
+  ADD COLUMN IF NOT EXISTS fair_data        JSONB;
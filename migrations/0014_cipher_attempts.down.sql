@@ -0,0 +1,8 @@
+-- 0014_cipher_attempts (rollback)
+
+ALTER TABLE fragment_ciphers DROP CONSTRAINT IF EXISTS fragment_ciphers_answer_mode_check;
+ALTER TABLE fragment_ciphers
+  DROP COLUMN IF EXISTS answered_correct,
+  DROP COLUMN IF EXISTS answer_mode,
+  DROP COLUMN IF EXISTS locked_until,
+  DROP COLUMN IF EXISTS wrong_attempts;
@@ -0,0 +1,20 @@
+-- 0014_cipher_attempts
+-- Strict cipher mode: wrong answers are counted per cipher and lock it for a
+-- while after too many failures. answer_mode records which mode (lenient /
+-- strict) the player was in when answering, for A/B comparison.
+
+ALTER TABLE fragment_ciphers
+  ADD COLUMN IF NOT EXISTS wrong_attempts   INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS locked_until     TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS answer_mode      TEXT,
+  ADD COLUMN IF NOT EXISTS answered_correct BOOLEAN;
+
+ALTER TABLE fragment_ciphers
+  ADD CONSTRAINT fragment_ciphers_answer_mode_check
+  CHECK (answer_mode IS NULL OR answer_mode IN ('lenient', 'strict'));
+
+-- Existing answers were given in the lenient mode.
+UPDATE fragment_ciphers
+   SET answer_mode = 'lenient',
+       answered_correct = (chosen_num = correct_num)
+ WHERE chosen_rune_id IS NOT NULL;
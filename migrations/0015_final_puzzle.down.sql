@@ -0,0 +1,8 @@
+-- 0015_final_puzzle (rollback)
+
+DROP INDEX IF EXISTS players_completion_rank_key;
+ALTER TABLE players
+  DROP COLUMN IF EXISTS completion_rank,
+  DROP COLUMN IF EXISTS completed_at,
+  DROP COLUMN IF EXISTS final_locked_until,
+  DROP COLUMN IF EXISTS final_wrong_attempts;
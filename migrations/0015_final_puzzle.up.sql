@@ -0,0 +1,13 @@
+-- 0015_final_puzzle
+-- Final phrase: wrong attempts / lockout per player and the recorded completion
+-- (completed_at + finishing order).
+
+ALTER TABLE players
+  ADD COLUMN IF NOT EXISTS final_wrong_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS final_locked_until   TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS completed_at         TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS completion_rank      INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS players_completion_rank_key
+  ON players (completion_rank)
+  WHERE completion_rank IS NOT NULL;
@@ -0,0 +1,3 @@
+-- 0016_completions (rollback)
+
+DROP TABLE IF EXISTS completions;
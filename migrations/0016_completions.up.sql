@@ -0,0 +1,30 @@
+-- 0016_completions
+-- Winners registry: one row per player who passed /api/validate-final, with the
+-- finishing order, whether the rank falls under the prize cap at that moment
+-- (game_config.prizes.maxWinners) and the wallet to pay the prize to.
+
+CREATE TABLE IF NOT EXISTS completions (
+  tg_id          BIGINT      PRIMARY KEY REFERENCES players(tg_id) ON DELETE CASCADE,
+  rank           INTEGER     NOT NULL,
+  completed_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  prize_eligible BOOLEAN     NOT NULL DEFAULT FALSE,
+  wallet_address TEXT,                               -- payer of the player's latest paid invoice
+  config_version INTEGER     REFERENCES game_config(version),
+  CONSTRAINT completions_rank_key UNIQUE (rank)
+);
+
+-- Completions recorded on players before this table existed
+-- (100 = the built-in prizes.maxWinners).
+INSERT INTO completions (tg_id, rank, completed_at, prize_eligible, wallet_address)
+SELECT p.tg_id,
+       p.completion_rank,
+       p.completed_at,
+       p.completion_rank <= 100,
+       (SELECT b.payer_address
+          FROM burn_invoices b
+         WHERE b.tg_id = p.tg_id AND b.payer_address IS NOT NULL
+         ORDER BY b.paid_at DESC NULLS LAST
+         LIMIT 1)
+  FROM players p
+ WHERE p.completed_at IS NOT NULL
+ON CONFLICT (tg_id) DO NOTHING;
@@ -0,0 +1,4 @@
+-- 0017_sessions (rollback)
+
+DROP TABLE IF EXISTS sessions;
+ALTER TABLE players DROP COLUMN IF EXISTS token_version;
@@ -0,0 +1,26 @@
+-- 0017_sessions
+-- Player sessions: short-lived access JWTs (carrying sid + token_version) plus
+-- opaque refresh tokens stored here as sha256 hashes. Bumping
+-- players.token_version revokes every session of the player at once.
+
+ALTER TABLE players
+  ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id                    UUID        PRIMARY KEY,
+  tg_id                 BIGINT      NOT NULL REFERENCES players(tg_id) ON DELETE CASCADE,
+  token_version         INTEGER     NOT NULL,
+  refresh_hash          TEXT        NOT NULL,
+  previous_refresh_hash TEXT,                      -- last rotated-out token: reuse = theft
+  user_agent            TEXT,
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at            TIMESTAMPTZ NOT NULL,
+  revoked_at            TIMESTAMPTZ,
+  CONSTRAINT sessions_refresh_hash_key UNIQUE (refresh_hash)
+);
+
+CREATE INDEX IF NOT EXISTS sessions_tg_id_idx
+  ON sessions (tg_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS sessions_previous_refresh_hash_idx
+  ON sessions (previous_refresh_hash) WHERE previous_refresh_hash IS NOT NULL;
@@ -0,0 +1,13 @@
+-- 0018_referral_tiers (rollback)
+
+DROP TABLE IF EXISTS referral_rewards;
+
+ALTER TABLE referrals
+  DROP COLUMN IF EXISTS confirmed_at,
+  DROP COLUMN IF EXISTS reject_reason;
+
+UPDATE referrals SET status = 'pending' WHERE status = 'rejected';
+ALTER TABLE referrals DROP CONSTRAINT IF EXISTS referrals_status_check;
+ALTER TABLE referrals
+  ADD CONSTRAINT referrals_status_check
+  CHECK (status IN ('pending', 'confirmed'));
@@ -0,0 +1,31 @@
+-- 0018_referral_tiers
+-- Referral anti-abuse + tiered rewards:
+--  • referrals can end up 'rejected' (with a reason) instead of confirmed;
+--  • one referral_rewards row per claimed tier (game_config.referral.tiers[].id),
+--    the primary key makes a double claim impossible.
+
+ALTER TABLE referrals DROP CONSTRAINT IF EXISTS referrals_status_check;
+ALTER TABLE referrals
+  ADD CONSTRAINT referrals_status_check
+  CHECK (status IN ('pending', 'confirmed', 'rejected'));
+
+ALTER TABLE referrals
+  ADD COLUMN IF NOT EXISTS reject_reason TEXT,
+  ADD COLUMN IF NOT EXISTS confirmed_at  TIMESTAMPTZ;
+
+UPDATE referrals SET confirmed_at = updated_at WHERE status = 'confirmed' AND confirmed_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS referral_rewards (
+  referrer_id BIGINT      NOT NULL REFERENCES players(tg_id) ON DELETE CASCADE,
+  tier        TEXT        NOT NULL,
+  reward      JSONB       NOT NULL,
+  awarded_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (referrer_id, tier)
+);
+
+-- The old single reward (fragment #2 for 3 invites) = the built-in first tier.
+INSERT INTO referral_rewards (referrer_id, tier, reward)
+SELECT tg_id, 'fragment_2', '{"type": "fragment", "fragmentId": 2}'::jsonb
+  FROM players
+ WHERE referral_reward_issued
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,4 @@
+-- 0019_coupon_restore (rollback)
+
+ALTER TABLE burn_invoices
+  DROP COLUMN IF EXISTS coupon_restored_at;
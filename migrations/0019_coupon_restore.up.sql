@@ -0,0 +1,7 @@
+-- 0019_coupon_restore
+-- Remembers that an invoice's coupon went back to the player (expired / cancelled),
+-- so a payment settling that invoice afterwards takes the coupon out of the slot again
+-- instead of letting one single-use coupon discount two invoices.
+
+ALTER TABLE burn_invoices
+  ADD COLUMN IF NOT EXISTS coupon_restored_at TIMESTAMPTZ;
@@ -0,0 +1,927 @@
+// routes/admin.js
+// Operator API (/api/admin). Admins log in with Telegram initData and get a
+// separate admin token; roles: viewer < support < superadmin.
+// Every mutating action is written to admin_audit_log in the same transaction.
+import express from 'express';
+import { validate as isUuid } from 'uuid';
+import pool from '../db.js';
+import {
+  ADMIN_ROLES,
+  findAdmin,
+  signAdminToken,
+  authenticateAdmin,
+  requireRole,
+} from '../middleware/adminAuth.js';
+import { verifyInitData } from '../services/telegramAuth.js';
+import { writeAudit } from '../services/adminAudit.js';
+import { ensureCipherForFragment } from '../services/ciphers.js';
+import { invalidateQuizCache } from '../services/quizBank.js';
+import {
+  getActiveConfig,
+  invalidateGameConfigCache,
+  mergeConfig,
+  validateConfig,
+} from '../services/gameConfig.js';
+import { onInvoicePaid } from '../services/invoices.js';
+import { liftCurse } from '../services/curses.js';
+import { revokeAllSessions } from '../services/sessions.js';
+import { recordEvent, listEvents, replayEvents, snapshot, diffState } from '../services/playerEvents.js';
+
+const router = express.Router();
+
+/**
+ * Invoice statuses an operator may force to 'paid'.
+ * Not 'late_paid': those go through /late-payments/:id/resolve (resolution + audit).
+ */
+const MARKABLE_STATUSES = ['pending', 'underpaid', 'expired', 'cancelled'];
+
+/* ── Helpers ──────────────────────────────────────────────────────────── */
+
+/** Runs fn(client) inside BEGIN/COMMIT, rolling back on error. */
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const out = await fn(client);
+    await client.query('COMMIT');
+    return out;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Another invoice of the same player and kind that is still open (pending /
+ * underpaid) or paid but not processed yet. Forcing a second one to 'paid' would
+ * let the player run the burn twice (or purify twice) for one actual purchase.
+ * @returns {Promise<{invoice_id: string, status: string}|null>}
+ */
+async function findCompetingInvoice(client, inv) {
+  const { rows: [other] } = await client.query(
+    `SELECT invoice_id, status
+       FROM burn_invoices
+      WHERE tg_id = $1 AND kind = $2 AND invoice_id <> $3
+        AND (status IN ('pending', 'underpaid')
+             OR (status IN ('paid', 'overpaid') AND processed = FALSE))
+      ORDER BY created_at DESC
+      LIMIT 1`,
+    [inv.tg_id, inv.kind, inv.invoice_id]
+  );
+  return other || null;
+}
+
+/** 409 body for findCompetingInvoice. */
+const competingInvoiceBody = other => ({
+  error: 'player has another open or unprocessed invoice of this kind',
+  conflictInvoiceId: other.invoice_id,
+  conflictStatus: other.status,
+});
+
+/** Parses a fragments body field into a sorted list of ids 1..8. */
+function parseFragmentIds(value) {
+  if (!Array.isArray(value)) return null;
+  const ids = [...new Set(value.map(Number))];
+  if (!ids.length || ids.some(n => !Number.isInteger(n) || n < 1 || n > 8)) return null;
+  return ids.sort((a, b) => a - b);
+}
+
+/** Numeric tg_id route param -> 400 otherwise. */
+router.param('tg_id', (req, res, next, tgId) => {
+  if (!/^\d+$/.test(tgId)) return res.status(400).json({ error: 'bad tg_id' });
+  next();
+});
+
+/* ── Auth ─────────────────────────────────────────────────────────────── */
+
+/**
+ * POST /api/admin/auth/login
+ * Body: { initData } — Telegram WebApp initData of an admin account.
+ */
+router.post('/auth/login', async (req, res) => {
+  const { initData } = req.body || {};
+  if (!initData) return res.status(400).json({ error: 'initData is required' });
+
+  try {
+    const verified = verifyInitData(initData);
+    if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+
+    const admin = await findAdmin(verified.user.id);
+    if (!admin) return res.status(403).json({ error: 'Forbidden' });
+
+    await writeAudit(pool, admin, 'auth.login');
+    return res.json({ token: signAdminToken(admin), admin });
+  } catch (err) {
+    console.error('[POST /api/admin/auth/login] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/** Everything below requires an admin token. */
+router.use(authenticateAdmin);
+
+/** GET /api/admin/me */
+router.get('/me', (req, res) => res.json({ admin: req.admin }));
+
+/* ── Players ──────────────────────────────────────────────────────────── */
+
+/** GET /api/admin/players/:tg_id — full player row. */
+router.get('/players/:tg_id', requireRole('viewer'), async (req, res) => {
+  try {
+    const { rows: [player] } = await pool.query(
+      `SELECT * FROM players WHERE tg_id=$1`,
+      [req.params.tg_id]
+    );
+    if (!player) return res.status(404).json({ error: 'player not found' });
+    return res.json({ player });
+  } catch (err) {
+    console.error('[GET /api/admin/players/:tg_id] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * GET /api/admin/players/:tg_id/invoices — newest first.
+ * server_seed is only returned once the burn is resolved (processed = revealed to
+ * the player too); before that only the commitment server_seed_hash is shown.
+ */
+router.get('/players/:tg_id/invoices', requireRole('viewer'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT invoice_id, tg_id, kind, status, amount_nano, address, comment,
+              quest_data, quest_status, quest_attempts, quiz_question_id,
+              processed, awarded_rarity, result_json,
+              coupon_percent, coupon_expires_at,
+              payer_address, tx_hash, paid_amount_nano,
+              created_at, paid_at, expires_at, closed_at, resolved_at, resolution,
+              config_version, resolved_config_version, fair_data,
+              server_seed_hash,
+              CASE WHEN processed THEN server_seed END AS server_seed
+         FROM burn_invoices
+        WHERE tg_id=$1
+        ORDER BY created_at DESC`,
+      [req.params.tg_id]
+    );
+    return res.json({ invoices: rows });
+  } catch (err) {
+    console.error('[GET /api/admin/players/:tg_id/invoices] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/** GET /api/admin/players/:tg_id/ciphers */
+router.get('/players/:tg_id/ciphers', requireRole('viewer'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT * FROM fragment_ciphers WHERE tg_id=$1 ORDER BY frag_id`,
+      [req.params.tg_id]
+    );
+    return res.json({ ciphers: rows });
+  } catch (err) {
+    console.error('[GET /api/admin/players/:tg_id/ciphers] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/** GET /api/admin/players/:tg_id/referrals — both directions. */
+router.get('/players/:tg_id/referrals', requireRole('viewer'), async (req, res) => {
+  try {
+    const { rows: invited } = await pool.query(
+      `SELECT r.*, p.name AS referred_name
+         FROM referrals r
+         LEFT JOIN players p ON p.tg_id = r.referred_id
+        WHERE r.referrer_id=$1
+        ORDER BY r.created_at DESC`,
+      [req.params.tg_id]
+    );
+    const { rows: [invitedBy] } = await pool.query(
+      `SELECT * FROM referrals WHERE referred_id=$1`,
+      [req.params.tg_id]
+    );
+    return res.json({ invited, invitedBy: invitedBy || null });
+  } catch (err) {
+    console.error('[GET /api/admin/players/:tg_id/referrals] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * GET /api/admin/players/:tg_id/events?limit=&before=
+ * Raw player_events timeline, newest first.
+ */
+router.get('/players/:tg_id/events', requireRole('viewer'), async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+  const beforeId = /^\d+$/.test(String(req.query.before ?? '')) ? req.query.before : null;
+  try {
+    const events = await listEvents(req.params.tg_id, { limit, beforeId });
+    return res.json({ events });
+  } catch (err) {
+    console.error('[GET /api/admin/players/:tg_id/events] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * GET /api/admin/players/:tg_id/replay?until=<event id>
+ * Rebuilds fragments / curses / pity from player_events (optionally up to an event)
+ * and compares the result with the live players row.
+ */
+router.get('/players/:tg_id/replay', requireRole('viewer'), async (req, res) => {
+  const until = /^\d+$/.test(String(req.query.until ?? '')) ? req.query.until : null;
+  try {
+    const { rows: events } = await pool.query(
+      `SELECT id, event_type, source, invoice_id, after, created_at
+         FROM player_events
+        WHERE tg_id=$1 AND ($2::bigint IS NULL OR id <= $2)
+        ORDER BY id`,
+      [req.params.tg_id, until]
+    );
+    const { rows: [player] } = await pool.query(
+      `SELECT fragments, curses_count, pity_counter, is_cursed, curse_expires
+         FROM players WHERE tg_id=$1`,
+      [req.params.tg_id]
+    );
+    if (!player && !events.length) return res.status(404).json({ error: 'player not found' });
+
+    const { state, applied } = replayEvents(events);
+    const current = player ? snapshot(player) : null;
+    return res.json({
+      replayed: state,
+      applied,
+      lastEventId: events.length ? Number(events[events.length - 1].id) : null,
+      current,
+      // only meaningful for a full replay
+      drift: until || !current ? null : diffState(state, current),
+    });
+  } catch (err) {
+    console.error('[GET /api/admin/players/:tg_id/replay] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * POST /api/admin/players/:tg_id/fragments/grant
+ * Body: { fragments: number[], reason? }
+ */
+router.post('/players/:tg_id/fragments/grant', requireRole('support'), async (req, res) => {
+  const ids = parseFragmentIds(req.body?.fragments);
+  if (!ids) return res.status(400).json({ error: 'fragments must be ids 1..8' });
+
+  try {
+    const out = await inTransaction(async (client) => {
+      const { rows: [p] } = await client.query(
+        `SELECT fragments FROM players WHERE tg_id=$1 FOR UPDATE`,
+        [req.params.tg_id]
+      );
+      if (!p) return null;
+
+      const before = (p.fragments || []).map(Number);
+      const after = [...new Set([...before, ...ids])].sort((a, b) => a - b);
+      await client.query(
+        `UPDATE players SET fragments=$2 WHERE tg_id=$1`,
+        [req.params.tg_id, after]
+      );
+      for (const id of ids.filter(x => !before.includes(x))) {
+        await ensureCipherForFragment(client, req.params.tg_id, id);
+      }
+      if (after.length !== before.length) {
+        await recordEvent(client, req.params.tg_id, 'fragment_granted', {
+          source: 'admin', actorTgId: req.admin.tg_id,
+          before: { fragments: before }, after: { fragments: after },
+        });
+      }
+
+      await writeAudit(client, req.admin, 'fragments.grant', {
+        targetTgId: req.params.tg_id,
+        details: { fragments: ids, before, after, reason: req.body?.reason ?? null },
+      });
+      return after;
+    });
+    if (!out) return res.status(404).json({ error: 'player not found' });
+    return res.json({ ok: true, fragments: out });
+  } catch (err) {
+    console.error('[POST /api/admin/players/:tg_id/fragments/grant] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * POST /api/admin/players/:tg_id/fragments/revoke
+ * Body: { fragments: number[], reason? } — also drops the personal ciphers of those fragments.
+ */
+router.post('/players/:tg_id/fragments/revoke', requireRole('support'), async (req, res) => {
+  const ids = parseFragmentIds(req.body?.fragments);
+  if (!ids) return res.status(400).json({ error: 'fragments must be ids 1..8' });
+
+  try {
+    const out = await inTransaction(async (client) => {
+      const { rows: [p] } = await client.query(
+        `SELECT fragments FROM players WHERE tg_id=$1 FOR UPDATE`,
+        [req.params.tg_id]
+      );
+      if (!p) return null;
+
+      const before = (p.fragments || []).map(Number);
+      const after = before.filter(x => !ids.includes(x));
+      await client.query(
+        `UPDATE players SET fragments=$2 WHERE tg_id=$1`,
+        [req.params.tg_id, after]
+      );
+      await client.query(
+        `DELETE FROM fragment_ciphers WHERE tg_id=$1 AND frag_id = ANY($2::int[])`,
+        [req.params.tg_id, ids]
+      );
+      if (after.length !== before.length) {
+        await recordEvent(client, req.params.tg_id, 'fragment_revoked', {
+          source: 'admin', actorTgId: req.admin.tg_id,
+          before: { fragments: before }, after: { fragments: after },
+        });
+      }
+
+      await writeAudit(client, req.admin, 'fragments.revoke', {
+        targetTgId: req.params.tg_id,
+        details: { fragments: ids, before, after, reason: req.body?.reason ?? null },
+      });
+      return after;
+    });
+    if (!out) return res.status(404).json({ error: 'player not found' });
+    return res.json({ ok: true, fragments: out });
+  } catch (err) {
+    console.error('[POST /api/admin/players/:tg_id/fragments/revoke] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * POST /api/admin/players/:tg_id/lift-curse
+ * Body: { reason? }
+ */
+router.post('/players/:tg_id/lift-curse', requireRole('support'), async (req, res) => {
+  try {
+    const found = await inTransaction(async (client) => {
+      const { rows: [p] } = await client.query(
+        `SELECT 1 FROM players WHERE tg_id=$1`,
+        [req.params.tg_id]
+      );
+      if (!p) return false;
+
+      const before = await liftCurse(client, req.params.tg_id, {
+        source: 'admin', actorTgId: req.admin.tg_id,
+      });
+      await writeAudit(client, req.admin, 'curse.lift', {
+        targetTgId: req.params.tg_id,
+        details: { before, reason: req.body?.reason ?? null },
+      });
+      return true;
+    });
+    if (!found) return res.status(404).json({ error: 'player not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[POST /api/admin/players/:tg_id/lift-curse] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * POST /api/admin/players/:tg_id/revoke-sessions
+ * Body: { reason? } — logs the player out everywhere (e.g. a stolen token).
+ */
+router.post('/players/:tg_id/revoke-sessions', requireRole('support'), async (req, res) => {
+  try {
+    const found = await inTransaction(async (client) => {
+      const { rows: [p] } = await client.query(
+        `SELECT 1 FROM players WHERE tg_id=$1 FOR UPDATE`,
+        [req.params.tg_id]
+      );
+      if (!p) return false;
+
+      await revokeAllSessions(req.params.tg_id, client);
+      await writeAudit(client, req.admin, 'sessions.revoke', {
+        targetTgId: req.params.tg_id,
+        details: { reason: req.body?.reason ?? null },
+      });
+      return true;
+    });
+    if (!found) return res.status(404).json({ error: 'player not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[POST /api/admin/players/:tg_id/revoke-sessions] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/* ── Invoices ─────────────────────────────────────────────────────────── */
+
+/**
+ * POST /api/admin/invoices/:id/mark-paid
+ * Body: { reason } — manual settlement (payment verified by hand).
+ * 409 while the player has another open or paid-but-unprocessed invoice of the
+ * same kind (see findCompetingInvoice): settle or cancel that one first.
+ */
+router.post('/invoices/:id/mark-paid', requireRole('support'), async (req, res) => {
+  if (!isUuid(req.params.id)) return res.status(404).json({ error: 'invoice not found' });
+  const reason = String(req.body?.reason || '').trim();
+  if (!reason) return res.status(400).json({ error: 'reason required' });
+
+  try {
+    const out = await inTransaction(async (client) => {
+      const { rows: [inv] } = await client.query(
+        `SELECT invoice_id, tg_id, kind, status FROM burn_invoices WHERE invoice_id=$1 FOR UPDATE`,
+        [req.params.id]
+      );
+      if (!inv) return { code: 404, body: { error: 'invoice not found' } };
+      if (inv.status === 'late_paid') {
+        return { code: 409, body: { error: 'late_paid: use /late-payments/:id/resolve', status: inv.status } };
+      }
+      if (!MARKABLE_STATUSES.includes(inv.status)) {
+        return { code: 409, body: { error: 'invoice already settled', status: inv.status } };
+      }
+      const other = await findCompetingInvoice(client, inv);
+      if (other) return { code: 409, body: competingInvoiceBody(other) };
+
+      await client.query(
+        `UPDATE burn_invoices
+            SET status='paid', paid_at=COALESCE(paid_at, NOW()), resolved_at=NOW()
+          WHERE invoice_id=$1`,
+        [req.params.id]
+      );
+      await onInvoicePaid(client, inv);
+      await writeAudit(client, req.admin, 'invoice.mark_paid', {
+        targetTgId: inv.tg_id,
+        invoiceId: req.params.id,
+        details: { before: inv.status, reason },
+      });
+      return { code: 200, body: { ok: true, status: 'paid' } };
+    });
+    return res.status(out.code).json(out.body);
+  } catch (err) {
+    console.error('[POST /api/admin/invoices/:id/mark-paid] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * GET /api/admin/late-payments
+ * Payments that arrived for expired/cancelled invoices.
+ */
+router.get('/late-payments', requireRole('viewer'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT invoice_id, tg_id, amount_nano, paid_amount_nano, payer_address, tx_hash,
+              created_at, expires_at, closed_at, paid_at
+         FROM burn_invoices
+        WHERE status='late_paid'
+        ORDER BY paid_at`
+    );
+    return res.json({ invoices: rows });
+  } catch (err) {
+    console.error('[GET /api/admin/late-payments] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * POST /api/admin/late-payments/:id/resolve
+ * Body: { action: 'honor' | 'refund' }
+ * honor  -> invoice becomes 'paid' and the burn can be completed (a purification lifts the curse);
+ *           409 like mark-paid while another invoice of the same kind is open or unprocessed;
+ * refund -> invoice becomes 'refunded' (the TON transfer back is done by hand).
+ */
+router.post('/late-payments/:id/resolve', requireRole('support'), async (req, res) => {
+  if (!isUuid(req.params.id)) return res.status(404).json({ error: 'late_paid invoice not found' });
+  const action = req.body?.action;
+  if (action !== 'honor' && action !== 'refund') {
+    return res.status(400).json({ error: 'action must be honor or refund' });
+  }
+
+  try {
+    const out = await inTransaction(async (client) => {
+      const { rows: [inv] } = await client.query(
+        `SELECT invoice_id, tg_id, kind FROM burn_invoices
+          WHERE invoice_id=$1 AND status='late_paid'
+          FOR UPDATE`,
+        [req.params.id]
+      );
+      if (!inv) return { code: 404, body: { error: 'late_paid invoice not found' } };
+      if (action === 'honor') {
+        const other = await findCompetingInvoice(client, inv);
+        if (other) return { code: 409, body: competingInvoiceBody(other) };
+      }
+
+      const { rows: [row] } = await client.query(
+        `UPDATE burn_invoices
+            SET status      = $2,
+                resolution  = $3,
+                resolved_at = NOW()
+          WHERE invoice_id=$1
+          RETURNING invoice_id, tg_id, kind, status`,
+        [inv.invoice_id, action === 'honor' ? 'paid' : 'refunded', action === 'honor' ? 'honored' : 'refunded']
+      );
+
+      if (action === 'honor') await onInvoicePaid(client, row);
+      await writeAudit(client, req.admin, `late_payment.${action}`, {
+        targetTgId: row.tg_id,
+        invoiceId: req.params.id,
+      });
+      return { code: 200, body: { ok: true, status: row.status } };
+    });
+    return res.status(out.code).json(out.body);
+  } catch (err) {
+    console.error('[POST /api/admin/late-payments/:id/resolve] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/* ── Quiz bank ────────────────────────────────────────────────────────── */
+
+const QUIZ_CATEGORIES = ['burn', 'third_quest'];
+const QUIZ_RARITIES   = ['common', 'uncommon', 'rare', 'legendary'];
+const QUIZ_FIELDS     = ['category', 'rarity', 'question', 'options', 'answer', 'locale', 'enabled', 'weight'];
+
+/**
+ * Validates a full quiz row (POST body with defaults, or PATCH merged onto the stored row).
+ * @returns {string|null} error message
+ */
+function validateQuiz(q) {
+  const has = k => q[k] !== undefined;
+  for (const k of ['question', 'answer']) if (!has(k)) return `${k} required`;
+  if (has('category') && !QUIZ_CATEGORIES.includes(q.category)) return 'bad category';
+  if (has('rarity') && q.rarity !== null && !QUIZ_RARITIES.includes(q.rarity)) return 'bad rarity';
+  if (has('question') && (typeof q.question !== 'string' || !q.question.trim())) return 'bad question';
+  if (has('answer') && (typeof q.answer !== 'string' || !q.answer.trim())) return 'bad answer';
+  if (has('options')) {
+    if (!Array.isArray(q.options) || q.options.some(o => typeof o !== 'string')) return 'options must be string[]';
+  }
+  if (has('locale') && (typeof q.locale !== 'string' || !/^[a-z]{2}(-[A-Z]{2})?$/.test(q.locale))) return 'bad locale';
+  if (has('enabled') && typeof q.enabled !== 'boolean') return 'enabled must be boolean';
+  if (has('weight') && !(Number.isInteger(q.weight) && q.weight > 0)) return 'weight must be a positive integer';
+  if (Array.isArray(q.options) && q.options.length && !q.options.includes(q.answer)) {
+    return 'answer must be one of options';
+  }
+  if (q.category === 'burn' && !q.rarity) return 'rarity required';
+  return null;
+}
+
+/**
+ * GET /api/admin/quiz?category=&rarity=&locale=&enabled=
+ * Lists questions with issued / correct counts from burn_invoices.
+ */
+router.get('/quiz', requireRole('viewer'), async (req, res) => {
+  try {
+    const { category = null, rarity = null, locale = null } = req.query;
+    const enabled = req.query.enabled === undefined ? null : req.query.enabled === 'true';
+    const { rows } = await pool.query(
+      `SELECT q.*,
+              COUNT(b.invoice_id)                                        AS issued,
+              COUNT(b.invoice_id) FILTER (WHERE b.quest_status='success') AS correct,
+              COUNT(b.invoice_id) FILTER (WHERE b.quest_status='failed')  AS failed
+         FROM quiz_questions q
+         LEFT JOIN burn_invoices b ON b.quiz_question_id = q.id
+        WHERE ($1::text IS NULL OR q.category = $1)
+          AND ($2::text IS NULL OR q.rarity = $2)
+          AND ($3::text IS NULL OR q.locale = $3)
+          AND ($4::boolean IS NULL OR q.enabled = $4)
+        GROUP BY q.id
+        ORDER BY q.category, q.rarity, q.id`,
+      [category, rarity, locale, enabled]
+    );
+    return res.json({
+      questions: rows.map(r => ({
+        ...r,
+        issued: Number(r.issued),
+        correct: Number(r.correct),
+        failed: Number(r.failed),
+      })),
+    });
+  } catch (err) {
+    console.error('[GET /api/admin/quiz] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * POST /api/admin/quiz
+ * Body: { category?, rarity, question, options?, answer, locale?, enabled?, weight? }
+ */
+router.post('/quiz', requireRole('superadmin'), async (req, res) => {
+  const q = { category: 'burn', options: [], locale: 'en', enabled: true, weight: 1, ...req.body };
+  const bad = validateQuiz(q);
+  if (bad) return res.status(400).json({ error: bad });
+
+  try {
+    const row = await inTransaction(async (client) => {
+      const { rows: [created] } = await client.query(
+        `INSERT INTO quiz_questions (category, rarity, question, options, answer, locale, enabled, weight)
+         VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, $8)
+         RETURNING *`,
+        [q.category, q.rarity ?? null, q.question.trim(), JSON.stringify(q.options),
+         q.answer.trim(), q.locale, q.enabled, q.weight]
+      );
+      await writeAudit(client, req.admin, 'quiz.create', { details: { id: created.id } });
+      return created;
+    });
+    invalidateQuizCache();
+    return res.status(201).json(row);
+  } catch (err) {
+    console.error('[POST /api/admin/quiz] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * PATCH /api/admin/quiz/:id
+ * Partial update of any quiz field (e.g. { enabled: false } to disable).
+ */
+router.patch('/quiz/:id', requireRole('superadmin'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'bad id' });
+
+  const patch = Object.fromEntries(
+    Object.entries(req.body || {}).filter(([k]) => QUIZ_FIELDS.includes(k))
+  );
+  if (!Object.keys(patch).length) return res.status(400).json({ error: 'nothing to update' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [cur] } = await client.query(
+      `SELECT * FROM quiz_questions WHERE id=$1 FOR UPDATE`,
+      [id]
+    );
+    if (!cur) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'not found' });
+    }
+
+    // validate the merged row so answer/options stay consistent
+    const merged = { ...cur, ...patch };
+    const bad = validateQuiz(merged);
+    if (bad) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: bad });
+    }
+
+    const { rows: [row] } = await client.query(
+      `UPDATE quiz_questions
+          SET category=$2, rarity=$3, question=$4, options=$5::jsonb, answer=$6,
+              locale=$7, enabled=$8, weight=$9, updated_at=NOW()
+        WHERE id=$1
+        RETURNING *`,
+      [id, merged.category, merged.rarity, merged.question, JSON.stringify(merged.options),
+       merged.answer, merged.locale, merged.enabled, merged.weight]
+    );
+    await writeAudit(client, req.admin, 'quiz.update', { details: { id, patch } });
+    await client.query('COMMIT');
+    invalidateQuizCache();
+    return res.json(row);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[PATCH /api/admin/quiz/:id] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/admin/quiz/:id
+ * Soft delete: disables the question (invoices keep referencing it for stats).
+ */
+router.delete('/quiz/:id', requireRole('superadmin'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'bad id' });
+  try {
+    const found = await inTransaction(async (client) => {
+      const { rowCount } = await client.query(
+        `UPDATE quiz_questions SET enabled=FALSE, updated_at=NOW() WHERE id=$1`,
+        [id]
+      );
+      if (rowCount) await writeAudit(client, req.admin, 'quiz.disable', { details: { id } });
+      return rowCount > 0;
+    });
+    if (!found) return res.status(404).json({ error: 'not found' });
+    invalidateQuizCache();
+    return res.json({ ok: true, enabled: false });
+  } catch (err) {
+    console.error('[DELETE /api/admin/quiz/:id] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/* ── Game config (burn economy) ───────────────────────────────────────── */
+
+/** GET /api/admin/game-config — every version (newest first) + the one in effect. */
+router.get('/game-config', requireRole('viewer'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT * FROM game_config ORDER BY effective_from DESC, version DESC`
+    );
+    const active = await getActiveConfig();
+    return res.json({ activeVersion: active.version, versions: rows });
+  } catch (err) {
+    console.error('[GET /api/admin/game-config] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * POST /api/admin/game-config
+ * Body: { config, name?, effective_from? } — `config` is merged onto the version
+ * in effect now, so only changed keys need to be sent. effective_from in the
+ * future schedules the version (e.g. a new season); default = immediately.
+ */
+router.post('/game-config', requireRole('superadmin'), async (req, res) => {
+  const { config: patch, name = null, effective_from = null } = req.body || {};
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return res.status(400).json({ error: 'config object required' });
+  }
+  const effectiveFrom = effective_from ? new Date(effective_from) : new Date();
+  if (Number.isNaN(effectiveFrom.getTime())) return res.status(400).json({ error: 'bad effective_from' });
+
+  try {
+    const { version: baseVersion, config: base } = await getActiveConfig();
+    const config = mergeConfig(base, patch);
+    const invalid = validateConfig(config);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const row = await inTransaction(async (client) => {
+      const { rows: [created] } = await client.query(
+        `INSERT INTO game_config (name, config, effective_from, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [name, config, effectiveFrom, req.admin.tg_id]
+      );
+      await writeAudit(client, req.admin, 'game_config.create', {
+        details: { version: created.version, baseVersion, patch, effectiveFrom },
+      });
+      return created;
+    });
+    invalidateGameConfigCache();
+    return res.status(201).json(row);
+  } catch (err) {
+    console.error('[POST /api/admin/game-config] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/* ── Winners ──────────────────────────────────────────────────────────── */
+
+/** Winners with their payout wallet (snapshot at completion, else the latest payer). */
+async function loadWinners({ eligibleOnly }) {
+  const { rows } = await pool.query(
+    `SELECT c.rank, c.tg_id, p.name, c.completed_at, c.prize_eligible, c.config_version,
+            COALESCE(c.wallet_address, (
+              SELECT b.payer_address
+                FROM burn_invoices b
+               WHERE b.tg_id = c.tg_id AND b.payer_address IS NOT NULL
+               ORDER BY b.paid_at DESC NULLS LAST
+               LIMIT 1
+            )) AS wallet_address
+       FROM completions c
+       JOIN players p ON p.tg_id = c.tg_id
+      WHERE NOT $1 OR c.prize_eligible
+      ORDER BY c.rank`,
+    [eligibleOnly]
+  );
+  return rows;
+}
+
+/** GET /api/admin/winners?eligible=1 — full registry (tg_id + wallet included). */
+router.get('/winners', requireRole('viewer'), async (req, res) => {
+  try {
+    const winners = await loadWinners({ eligibleOnly: req.query.eligible === '1' });
+    return res.json({ winners });
+  } catch (err) {
+    console.error('[GET /api/admin/winners] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * GET /api/admin/winners/export?format=csv|json&all=1
+ * Prize payout list: prize-eligible winners (all winners with all=1) and their
+ * wallet addresses. Every export is audited.
+ */
+router.get('/winners/export', requireRole('support'), async (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  const eligibleOnly = req.query.all !== '1';
+  try {
+    const winners = await loadWinners({ eligibleOnly });
+    await writeAudit(pool, req.admin, 'winners.export', {
+      details: { format, eligibleOnly, count: winners.length },
+    });
+
+    if (format === 'json') return res.json({ winners });
+
+    const csvCell = v => {
+      const str = v == null ? '' : v instanceof Date ? v.toISOString() : String(v);
+      return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const columns = ['rank', 'tg_id', 'name', 'completed_at', 'prize_eligible', 'wallet_address'];
+    const lines = [columns.join(',')].concat(winners.map(w => columns.map(c => csvCell(w[c])).join(',')));
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="winners.csv"');
+    return res.send(lines.join('\n') + '\n');
+  } catch (err) {
+    console.error('[GET /api/admin/winners/export] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/* ── Admin accounts & audit (superadmin) ──────────────────────────────── */
+
+/** GET /api/admin/admins */
+router.get('/admins', requireRole('superadmin'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(`SELECT * FROM admins ORDER BY created_at`);
+    return res.json({ admins: rows });
+  } catch (err) {
+    console.error('[GET /api/admin/admins] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * POST /api/admin/admins
+ * Body: { tg_id, role, name? } — creates or re-enables / re-roles an admin.
+ */
+router.post('/admins', requireRole('superadmin'), async (req, res) => {
+  const { tg_id, role, name = null } = req.body || {};
+  if (!/^\d+$/.test(String(tg_id ?? ''))) return res.status(400).json({ error: 'bad tg_id' });
+  if (!ADMIN_ROLES.includes(role)) return res.status(400).json({ error: 'bad role' });
+
+  try {
+    const row = await inTransaction(async (client) => {
+      const { rows: [saved] } = await client.query(
+        `INSERT INTO admins (tg_id, role, name, created_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (tg_id) DO UPDATE
+           SET role = EXCLUDED.role,
+               name = COALESCE(EXCLUDED.name, admins.name),
+               disabled_at = NULL
+         RETURNING *`,
+        [tg_id, role, name, req.admin.tg_id]
+      );
+      await writeAudit(client, req.admin, 'admin.upsert', {
+        targetTgId: tg_id,
+        details: { role },
+      });
+      return saved;
+    });
+    return res.json({ admin: row });
+  } catch (err) {
+    console.error('[POST /api/admin/admins] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/** DELETE /api/admin/admins/:tg_id — disables the account (kept for the audit trail). */
+router.delete('/admins/:tg_id', requireRole('superadmin'), async (req, res) => {
+  if (String(req.params.tg_id) === String(req.admin.tg_id)) {
+    return res.status(400).json({ error: 'cannot disable yourself' });
+  }
+  try {
+    const found = await inTransaction(async (client) => {
+      const { rowCount } = await client.query(
+        `UPDATE admins SET disabled_at=NOW() WHERE tg_id=$1 AND disabled_at IS NULL`,
+        [req.params.tg_id]
+      );
+      if (rowCount) await writeAudit(client, req.admin, 'admin.disable', { targetTgId: req.params.tg_id });
+      return rowCount > 0;
+    });
+    if (!found) return res.status(404).json({ error: 'not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[DELETE /api/admin/admins/:tg_id] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * GET /api/admin/audit?tg_id=&admin=&limit=
+ * Newest first; limit ≤ 500.
+ */
+router.get('/audit', requireRole('superadmin'), async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+  const tgId = /^\d+$/.test(String(req.query.tg_id ?? '')) ? req.query.tg_id : null;
+  const adminId = /^\d+$/.test(String(req.query.admin ?? '')) ? req.query.admin : null;
+  try {
+    const { rows } = await pool.query(
+      `SELECT * FROM admin_audit_log
+        WHERE ($1::bigint IS NULL OR target_tg_id = $1)
+          AND ($2::bigint IS NULL OR admin_tg_id = $2)
+        ORDER BY id DESC
+        LIMIT $3`,
+      [tgId, adminId, limit]
+    );
+    return res.json({ entries: rows });
+  } catch (err) {
+    console.error('[GET /api/admin/audit] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+export default router;
@@ -0,0 +1,46 @@
+// routes/auth.js
+// Player session endpoints (/api/auth). Sign-in itself is /api/validate or /api/init;
+// both return { token, refreshToken, refreshExpiresAt } (services/sessions.js).
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { refreshSession, revokeSession, revokeAllSessions } from '../services/sessions.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/refresh
+ * Body: { refreshToken } — returns a new access token and a new refresh token
+ * (the presented one stops working).
+ */
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ error: 'refreshToken required' });
+  }
+  try {
+    const result = await refreshSession(refreshToken);
+    if (!result.ok) return res.status(401).json({ error: result.error });
+    return res.json(result.tokens);
+  } catch (err) {
+    console.error('[POST /api/auth/refresh] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Body: { all?: boolean } — ends the current session, or every session of the
+ * player with all=true (token_version bump).
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    if (req.body?.all === true) await revokeAllSessions(req.user.tg_id);
+    else await revokeSession(req.user.tg_id, req.user.sid);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[POST /api/auth/logout] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+export default router;
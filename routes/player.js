@@ -1,20 +1,57 @@
 // routes/player.js
 import express from 'express';
 import crypto from 'crypto';
-import jwt from 'jsonwebtoken';
-import { v4 as uuid } from 'uuid';
+import { v4 as uuid, validate as isUuid } from 'uuid';
 import pool from '../db.js';
 import { authenticate } from '../middleware/auth.js';
+import { invoiceOwner } from '../middleware/invoiceOwner.js';
+import { requireDebugKey } from '../middleware/debugKey.js';
+import {
+  DAILY_COUPON_PERCENT,
+  endOfUtcDay,
+  applyDiscount,
+  takeCoupon,
+  grantCoupon,
+  restoreCoupons,
+} from '../services/coupons.js';
+import { expireStaleInvoices, onInvoicePaid } from '../services/invoices.js';
+import { verifyTask } from '../services/taskVerifiers.js';
+import { pickQuiz, getQuiz } from '../services/quizBank.js';
+import {
+  RIDDLE_BANK,
+  makeGridNumbers,
+  ensureCipherForFragment,
+  cipherModeFor,
+  judgeCipherAnswer,
+} from '../services/ciphers.js';
+import { recordEvent, listEvents } from '../services/playerEvents.js';
+import { isCurseActive, curseInfo } from '../services/curses.js';
+import { getActiveConfig, getConfigVersion } from '../services/gameConfig.js';
+import { decideBurn, rollRarity, failedQuestPity, cryptoRng } from '../services/burnRules.js';
+import {
+  NONCE_RARITY,
+  NONCE_BURN,
+  newServerSeed,
+  hashServerSeed,
+  normalizeClientSeed,
+  fairRng,
+  recomputeBurn,
+} from '../services/fairness.js';
+import { resolveLocale, translate } from '../services/i18n.js';
+import { verifyInitData } from '../services/telegramAuth.js';
+import { onboardPlayer, onboardingOptions, referralLink } from '../services/onboarding.js';
+import { referralProgress, listInvitees, claimReferralTier } from '../services/referrals.js';
+import { createSession } from '../services/sessions.js';
+import { FRAGMENT_IMAGES, FINAL_IMAGE, RUNE_ASSETS, ASSET_TTL_SEC, signAssetPath } from '../services/assets.js';
+import { isCompleted } from '../services/finalPuzzle.js';
 
 const router = express.Router();
 
 const {
-  JWT_SECRET,
   TON_WALLET_ADDRESS: TON_ADDR,
-  DEBUG_KEY,
-  NODE_ENV,
   AUTO_PAY_BURN,        // dev/stage helper: auto-mark invoice as "paid"
-  FRAG_HMAC_SECRET,     // used to sign riddles/runes asset URLs
+  BURN_INVOICE_TTL_MIN = 30, // unpaid invoices expire after this many minutes
+  QUEST_MAX_ATTEMPTS = 1,    // answers allowed per burn quest before it fails
 } = process.env;
 
 /* ── Constants ────────────────────────────────────────────────────────── */
@@ -23,98 +60,55 @@ const {
 const TONHUB_URL = 'https://tonhub.com/transfer';
 const TONSPACE_SCHEME = 'ton://transfer';
 
-/** Default burn amount (0.5 TON = 500_000_000 nano) */
-const AMOUNT_NANO = 500_000_000;
-
-/** Fragments */
-const MANDATORY = [1, 2, 3];       // free/mandatory ones
-const PAID_POOL  = [4, 5, 6, 7, 8]; // paid fragments
-
-/** Curses */
-const MAX_CURSES   = 2;     // max curses applied to a player
-const CURSE_CHANCE = 0.35;  // base chance once guarantees are over
-
-/** Signed asset TTLs */
-const RIDDLE_URL_TTL_SEC = 120; // 2 min
-const RUNE_URL_TTL_SEC   = 300; // 5 min
-
-/** Rune pairs per fragment (two choices) */
-const RUNE_PAIRS = {
-  1: [101, 102],
-  2: [201, 202],
-  3: [301, 302],
-  4: [401, 402],
-  5: [501, 502],
-  6: [601, 602],
-  7: [701, 702],
-  8: [801, 802],
-};
-
-/** Rune id -> asset name (in /public/runes) */
-const RUNE_ASSETS = {
-  101: 'rune_1a.png', 102: 'rune_1b.png',
-  201: 'rune_2a.png', 202: 'rune_2b.png',
-  301: 'rune_3a.png', 302: 'rune_3b.png',
-  401: 'rune_4a.png', 402: 'rune_4b.png',
-  501: 'rune_5a.png', 502: 'rune_5b.png',
-  601: 'rune_6a.png', 602: 'rune_6b.png',
-  701: 'rune_7a.png', 702: 'rune_7b.png',
-  801: 'rune_8a.png', 802: 'rune_8b.png',
-};
-
-/** Riddle bank: key = file name in /public/riddles, answer = number 0..99 */
-const RIDDLE_BANK = [
-  { key: 'riddle_01.png', answer: 48 },
-  { key: 'riddle_02.png', answer: 20 },
-  { key: 'riddle_03.png', answer: 30 },
-  { key: 'riddle_04.png', answer: 60 },
-  { key: 'riddle_05.png', answer: 10 },
-  { key: 'riddle_06.png', answer: 35 },
-  { key: 'riddle_07.png', answer: 50 },
-  { key: 'riddle_08.png', answer: 48 },
-];
+/** Invoice statuses that unlock the burn (overpayment still counts as paid) */
+const PAID_STATUSES = ['paid', 'overpaid'];
 
-/* ── Small helpers ────────────────────────────────────────────────────── */
+/** pg unique_violation — used to detect a concurrently created open invoice */
+const PG_UNIQUE_VIOLATION = '23505';
 
-/** Issue a short-lived JWT token for the user. */
-function sign(user) {
-  return jwt.sign({ tg_id: user.tg_id, name: user.name }, JWT_SECRET, { expiresIn: '1h' });
-}
+// Price, fragment pools, curse odds and rarity weights live in game_config
+// (services/gameConfig.js) so they can be tuned per season without a redeploy.
 
-/** Generate a unique referral code (best-effort with a few retries). */
-async function genUniqueCode() {
-  for (let i = 0; i < 8; i++) {
-    const code = crypto.randomBytes(6).toString('base64url');
-    const { rows } = await pool.query(`SELECT 1 FROM players WHERE ref_code=$1 LIMIT 1`, [code]);
-    if (!rows.length) return code;
-  }
-  return crypto.randomBytes(6).toString('base64url');
+/* ── Small helpers ────────────────────────────────────────────────────── */
+
+/** Payment deep links (tonhub + ton://) for an amount and comment. */
+function paymentUrls(amountNano, comment) {
+  return {
+    paymentUrl:  `${TONHUB_URL}/${TON_ADDR}?amount=${amountNano}&text=${comment}`,
+    tonspaceUrl: `${TONSPACE_SCHEME}/${TON_ADDR}?amount=${amountNano}&text=${comment}`,
+  };
 }
 
 /**
- * Sign asset URL (riddles/runes) with HMAC; dev fallback returns plain URL.
- * @param {string} prefix e.g. '/riddles' or '/runes'
- * @param {string} name   file name inside /public/<folder>
- * @param {number} ttlSec seconds until link expires
+ * Returns the player's open (pending, not yet expired) invoice of a kind, if any.
+ * Stale pending rows are closed first so they don't block a new invoice.
+ * @param {'burn'|'purification'} kind
  */
-function signAssetUrl(prefix, name, ttlSec = RIDDLE_URL_TTL_SEC) {
-  if (!FRAG_HMAC_SECRET) {
-    // Dev: return a plain, non-expiring URL.
-    return `${prefix}/${encodeURIComponent(name)}`;
-  }
-  const exp = Math.floor(Date.now() / 1000) + ttlSec;
-  const payload = `${name}|${exp}`;
-  const sig = crypto.createHmac('sha256', FRAG_HMAC_SECRET).update(payload).digest('hex');
-  return `${prefix}/${encodeURIComponent(name)}?exp=${exp}&sig=${sig}`;
+async function findOpenInvoice(tgId, kind = 'burn') {
+  await expireStaleInvoices(tgId);
+  const { rows: [inv] } = await pool.query(
+    `SELECT invoice_id, amount_nano, comment, quest_data, expires_at, coupon_percent, server_seed_hash
+       FROM burn_invoices
+      WHERE tg_id=$1 AND kind=$2 AND status='pending'
+      LIMIT 1`,
+    [tgId, kind]
+  );
+  return inv || null;
 }
 
-/** In-place Fisher–Yates shuffle using crypto.randomInt. */
-function shuffleInPlace(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = crypto.randomInt(i + 1);
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
+/** Response body for an existing open invoice (POST /burn-invoice reuse path). */
+function openInvoiceResponse(inv) {
+  return {
+    invoiceId: inv.invoice_id,
+    ...paymentUrls(inv.amount_nano, inv.comment),
+    amountNano: String(inv.amount_nano),
+    couponPercent: Number(inv.coupon_percent || 0),
+    serverSeedHash: inv.server_seed_hash ?? null,
+    task: sanitizeTaskForClient(inv.quest_data || null),
+    paid: false,
+    expiresAt: new Date(inv.expires_at).toISOString(),
+    reused: true,
+  };
 }
 
 function abs(req, path) {
@@ -123,34 +117,6 @@ function abs(req, path) {
   return `${proto}://${host}${path}`;
 }
 
-/** Build a 4x4 grid of unique numbers (0..99) with a guaranteed correct value. */
-function makeGridNumbers(correctNum, bannedCells = []) {
-  const set = new Set([correctNum]);
-  while (set.size < 16) {
-    const n = crypto.randomInt(100);
-    if (!set.has(n)) set.add(n);
-  }
-  const arr = Array.from(set);
-  shuffleInPlace(arr);
-  let correctCell = arr.findIndex((n) => n === correctNum);
-
-  // Если “правильная” ячейка уже встречалась у этого игрока — переносим её.
-  if (Array.isArray(bannedCells) && bannedCells.includes(correctCell)) {
-    const all = Array.from({ length: 16 }, (_, i) => i);
-    const allowed = all.filter((i) => !bannedCells.includes(i));
-    if (allowed.length) {
-      const newIdx = crypto.randomInt(allowed.length);
-      const target = allowed[newIdx];
-      // Меняем местами correctNum и число из target-ячейки
-      const tmp = arr[target];
-      arr[target] = correctNum;
-      arr[correctCell] = tmp;
-      correctCell = target;
-    }
-  }
-  return { arr, correctCell };
-}
-
   function sanitizeTaskForClient(task) {
     if (!task || task.type !== 'quiz') return task;
     const { rarity } = task;
@@ -167,64 +133,31 @@ function makeGridNumbers(correctNum, bannedCells = []) {
   }
 
 
-/**
- * Ensure a personal cipher exists for (tg_id, frag_id). No-op if already present.
- * Stores: 4x4 grid, correct number and cell, and the riddle key.
- */
-async function ensureCipherForFragment(clientOrPool, tgId, fragId) {
-  const db = clientOrPool || pool;
-
-  const { rows: existing } = await db.query(
-    `SELECT tg_id FROM fragment_ciphers WHERE tg_id=$1 AND frag_id=$2 LIMIT 1`,
-    [tgId, fragId]
-  );
-  if (existing.length) return;
-
-  const { rows: usedRows } = await db.query(
-    `SELECT correct_cell FROM fragment_ciphers WHERE tg_id=$1`,
-    [tgId]
-  );
-  const banned = usedRows
-    .map(r => Number(r.correct_cell))
-    .filter(n => Number.isFinite(n));
-
-  const ridx = crypto.randomInt(RIDDLE_BANK.length);
-  const riddle = RIDDLE_BANK[ridx];
-  const { arr: grid, correctCell } = makeGridNumbers(riddle.answer, banned);
-
-  await db.query(
-    `INSERT INTO fragment_ciphers
-       (tg_id, frag_id, grid_numbers, correct_num, correct_cell, riddle_key)
-     VALUES ($1,$2,$3::int[],$4,$5,$6)`,
-    [tgId, fragId, grid, riddle.answer, correctCell, riddle.key]
-  );
-}
-
 /* ── Burn core logic ─────────────────────────────────────────────────── */
 
 /**
- * Transactional burn resolution for a PAID invoice.
- *
- * Rules:
- *  1) No curses before fragments #1–#3 are owned; first two paid burns always grant a fragment.
- *  2) Up to MAX_CURSES curses in total.
- *  3) Otherwise pick a random missing fragment from PAID_POOL.
+ * Transactional burn resolution for a PAID invoice, under the game_config
+ * version active right now (stored as resolved_config_version).
+ * The decision itself is decideBurn() in services/burnRules.js, drawn from the
+ * invoice's committed server seed + `clientSeed` (services/fairness.js); the seed
+ * is revealed in result_json.fair.
  *
  * Persists result into burn_invoices.result_json (idempotent).
  * @returns {Promise<{ok: boolean, newFragment: number|null, cursed: boolean, pity_counter: number, curse_expires: string|null, awarded_rarity: string|null }>}
  */
-async function runBurnLogic(invoiceId) {
+async function runBurnLogic(invoiceId, clientSeed = '') {
+  const { version: configVersion, config: cfg } = await getActiveConfig();
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
     // Lock invoice
     const { rows: [inv] } = await client.query(
-      `SELECT tg_id, processed, quest_data, result_json
+      `SELECT tg_id, processed, quest_data, result_json, server_seed, server_seed_hash, fair_data
          FROM burn_invoices
-        WHERE invoice_id=$1 AND status='paid'
+        WHERE invoice_id=$1 AND kind='burn' AND status = ANY($2)
         FOR UPDATE`,
-      [invoiceId]
+      [invoiceId, PAID_STATUSES]
     );
     if (!inv) {
       await client.query('ROLLBACK');
@@ -238,36 +171,32 @@ async function runBurnLogic(invoiceId) {
 
     // Lock player
     const { rows: [pl] } = await client.query(
-      `SELECT fragments, curses_count, pity_counter
+      `SELECT fragments, curses_count, pity_counter, is_cursed, curse_expires
          FROM players
         WHERE tg_id=$1
         FOR UPDATE`,
       [inv.tg_id]
     );
+    const eventOpts = { source: 'burn-complete', invoiceId };
 
     const fr = Array.isArray(pl?.fragments) ? pl.fragments.map(Number) : [];
-    let cursesCount = Number(pl?.curses_count || 0);
-    let pity        = Number(pl?.pity_counter || 0);
-
-    const hasTutorial  = MANDATORY.every(x => fr.includes(x));
-    const paidOwned    = fr.filter(n => n >= 4).length;
-    const guaranteeTwo = hasTutorial && paidOwned < 2;
-    const canCurseMore = cursesCount < MAX_CURSES;
-
-    // Decide: curse or fragment
-    let giveCurse = false;
-    if (!hasTutorial) {
-      giveCurse = false;
-    } else if (guaranteeTwo) {
-      giveCurse = false;
-    } else if (canCurseMore) {
-      giveCurse = (crypto.randomInt(1_000_000) / 1_000_000) < CURSE_CHANCE;
-    }
 
-    if (giveCurse) {
-      cursesCount += 1;
-      const expiry = new Date(Date.now() + 24 * 3600 * 1000);
-      const newPity = pity + 1;
+    // Decide: curse or fragment (invoices created before commit–reveal fall back to crypto)
+    const input = {
+      fragments: fr,
+      curses_count: Number(pl?.curses_count || 0),
+      pity_counter: Number(pl?.pity_counter || 0),
+    };
+    const rng = inv.server_seed ? fairRng(inv.server_seed, clientSeed, NONCE_BURN) : cryptoRng;
+    const outcome = decideBurn(cfg, input, rng);
+    const fair = inv.server_seed
+      ? { serverSeed: inv.server_seed, serverSeedHash: inv.server_seed_hash, clientSeed, nonce: NONCE_BURN }
+      : null;
+    const fairData = inv.server_seed ? { ...inv.fair_data, burn: { clientSeed, player: input } } : null;
+
+    if (outcome.cursed) {
+      const { cursesCount, pity: newPity } = outcome;
+      const expiry = new Date(Date.now() + outcome.curseHours * 3600 * 1000);
 
       await client.query(
         `UPDATE players
@@ -279,6 +208,11 @@ async function runBurnLogic(invoiceId) {
          WHERE tg_id=$1`,
         [inv.tg_id, cursesCount, expiry, newPity]
       );
+      await recordEvent(client, inv.tg_id, 'curse_applied', {
+        ...eventOpts,
+        before: pl,
+        after: { curses_count: cursesCount, is_cursed: true, curse_expires: expiry, pity_counter: newPity },
+      });
 
       const result = {
         ok: true,
@@ -287,15 +221,18 @@ async function runBurnLogic(invoiceId) {
         pity_counter: newPity,
         curse_expires: expiry.toISOString(),
         awarded_rarity: null,
+        fair,
       };
 
       await client.query(
         `UPDATE burn_invoices
             SET processed=TRUE,
                 quest_status='success',
-                result_json=$2
+                result_json=$2,
+                resolved_config_version=$3,
+                fair_data=COALESCE($4, fair_data)
           WHERE invoice_id=$1`,
-        [invoiceId, result]
+        [invoiceId, result, configVersion, fairData]
       );
 
       await client.query('COMMIT');
@@ -303,8 +240,8 @@ async function runBurnLogic(invoiceId) {
     }
 
     // Grant a fragment from the paid pool
-    const remaining = PAID_POOL.filter(id => !fr.includes(id));
-    const pick = remaining.length ? remaining[crypto.randomInt(remaining.length)] : null;
+    const pick = outcome.newFragment;
+    const pity = outcome.pity;
 
     let awarded_rarity = inv?.quest_data?.rarity ?? null;
 
@@ -319,16 +256,24 @@ async function runBurnLogic(invoiceId) {
          WHERE tg_id=$1`,
         [inv.tg_id, pick]
       );
+      await recordEvent(client, inv.tg_id, 'fragment_granted', {
+        ...eventOpts,
+        before: pl,
+        after: { fragments: [...fr, pick], pity_counter: 0, is_cursed: false, curse_expires: null },
+      });
 
       try { await ensureCipherForFragment(client, inv.tg_id, pick); } catch {}
-      pity = 0;
     } else {
       // All collected — rare case
-      pity += 1;
       await client.query(
         `UPDATE players SET last_burn = NOW(), pity_counter = $2 WHERE tg_id=$1`,
         [inv.tg_id, pity]
       );
+      await recordEvent(client, inv.tg_id, 'pity_changed', {
+        ...eventOpts,
+        before: { pity_counter: pl?.pity_counter },
+        after: { pity_counter: pity },
+      });
       awarded_rarity = null;
     }
 
@@ -339,6 +284,7 @@ async function runBurnLogic(invoiceId) {
       pity_counter: pity,
       curse_expires: null,
       awarded_rarity,
+      fair,
     };
 
     await client.query(
@@ -346,9 +292,11 @@ async function runBurnLogic(invoiceId) {
           SET processed=TRUE,
               quest_status='success',
               awarded_rarity=$2,
-              result_json=$3
+              result_json=$3,
+              resolved_config_version=$4,
+              fair_data=COALESCE($5, fair_data)
         WHERE invoice_id=$1`,
-      [invoiceId, awarded_rarity, result]
+      [invoiceId, awarded_rarity, result, configVersion, fairData]
     );
 
     await client.query('COMMIT');
@@ -365,61 +313,22 @@ async function runBurnLogic(invoiceId) {
 
 /**
  * POST /api/init
- * Create (or fetch) a player, gift fragment #1, handle referral, and return JWT.
+ * Body: { initData, referrer_code? } — signs in through services/onboarding.js
+ * (same starting state as /api/validate); the referral comes from the
+ * start_param "ref_CODE", else referrer_code. tg_id and name come only from the
+ * verified initData user. Rate-limited like /api/validate (index.js).
  */
 router.post('/init', async (req, res) => {
-  const { tg_id, name = '', initData, referrer_code = null } = req.body;
-  if (!tg_id || !initData) return res.status(400).json({ error: 'tg_id and initData required' });
+  const { initData } = req.body || {};
+  if (!initData) return res.status(400).json({ error: 'initData is required' });
 
-  try {
-    const { rows } = await pool.query(`SELECT 1 FROM players WHERE tg_id=$1`, [tg_id]);
-    let player;
+  const verified = verifyInitData(initData);
+  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
 
-    if (!rows.length) {
-      const client = await pool.connect();
-      await client.query('BEGIN');
-      try {
-        const code = await genUniqueCode();
-        const { rows: [me] } = await client.query(
-          `INSERT INTO players
-             (tg_id, name, ref_code, referral_reward_issued, fragments)
-           VALUES($1,$2,$3,FALSE, ARRAY[1])
-           RETURNING *`,
-          [tg_id, name.trim() || null, code]
-        );
-        player = me;
-
-        try { await ensureCipherForFragment(client, tg_id, 1); } catch {}
-
-        if (referrer_code) {
-          const { rows: [ref] } = await client.query(
-            `SELECT tg_id FROM players WHERE ref_code=$1 LIMIT 1`,
-            [referrer_code.trim()]
-          );
-          if (ref) {
-            await client.query(
-              `INSERT INTO referrals(referrer_id,referred_id,status)
-               VALUES($1,$2,'confirmed')`,
-              [ref.tg_id, tg_id]
-            );
-          }
-        }
-
-        await client.query(`UPDATE global_stats SET value=value+1 WHERE id='total_users'`);
-        await client.query('COMMIT');
-      } catch (e) {
-        await client.query('ROLLBACK');
-        throw e;
-      } finally {
-        client.release();
-      }
-    } else {
-      const { rows: [me] } = await pool.query(`SELECT * FROM players WHERE tg_id=$1`, [tg_id]);
-      player = me;
-    }
-
-    const token = sign(player);
-    res.json({ user: player, token });
+  try {
+    const { player } = await onboardPlayer(verified.user, onboardingOptions(req, verified, 'init'));
+    const tokens = await createSession(player, { userAgent: req.get('user-agent') });
+    res.json({ user: { ...player, curse: curseInfo(player) }, ...tokens });
   } catch (err) {
     console.error('[POST /api/init] ERROR:', err);
     res.status(500).json({ error: 'internal' });
@@ -441,15 +350,114 @@ router.get('/player/:tg_id', authenticate, async (req, res) => {
       [req.params.tg_id]
     );
     if (!rows.length) return res.status(404).json({ error: 'not found' });
-    res.json(rows[0]);
+    res.json({ ...rows[0], curse: curseInfo(rows[0]) });
   } catch (err) {
     res.status(500).json({ error: 'internal' });
   }
 });
 
+/**
+ * GET /api/burn-verify/:id
+ * Public provably-fair check. Before the burn is resolved only the commitment
+ * (serverSeedHash) is shown; afterwards the revealed seed, the inputs and a
+ * server-side recomputation of rarity + outcome (see services/fairness.js).
+ */
+// NB: `:id`, not `:invoiceId` — public route, no ownership guard.
+router.get('/burn-verify/:id', async (req, res) => {
+  if (!isUuid(req.params.id)) return res.status(404).json({ error: 'invoice not found' });
+  try {
+    const { rows: [inv] } = await pool.query(
+      `SELECT invoice_id, kind, status, processed, quest_data, result_json, server_seed, server_seed_hash,
+              fair_data, config_version, resolved_config_version
+         FROM burn_invoices
+        WHERE invoice_id=$1`,
+      [req.params.id]
+    );
+    if (!inv || inv.kind !== 'burn') return res.status(404).json({ error: 'invoice not found' });
+    if (!inv.server_seed_hash) return res.json({ invoiceId: inv.invoice_id, provablyFair: false });
+
+    const base = {
+      invoiceId: inv.invoice_id,
+      provablyFair: true,
+      serverSeedHash: inv.server_seed_hash,
+      revealed: Boolean(inv.processed),
+    };
+    if (!inv.processed) return res.json(base);
+
+    const fairData = inv.fair_data || {};
+    const pricedConfig = await getConfigVersion(inv.config_version);
+    const resolvedConfig = await getConfigVersion(inv.resolved_config_version);
+    const recomputed = recomputeBurn({ serverSeed: inv.server_seed, pricedConfig, resolvedConfig, fairData });
+
+    const result = inv.result_json || {};
+    const checks = {
+      seedMatchesHash: hashServerSeed(inv.server_seed) === inv.server_seed_hash,
+      rarityMatches: recomputed.rarity === (inv.quest_data?.rarity ?? null),
+      // failed quests never reach the decision
+      outcomeMatches: recomputed.outcome
+        ? recomputed.outcome.cursed === Boolean(result.cursed)
+          && recomputed.outcome.newFragment === (result.newFragment ?? null)
+        : result.ok === false,
+    };
+
+    return res.json({
+      ...base,
+      serverSeed: inv.server_seed,
+      inputs: fairData,
+      configVersion: inv.config_version,
+      resolvedConfigVersion: inv.resolved_config_version,
+      recomputed,
+      result,
+      checks,
+      verified: Object.values(checks).every(Boolean),
+    });
+  } catch (err) {
+    console.error('[GET /api/burn-verify/:id] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * GET /api/winners?limit=&offset=
+ * Public winners leaderboard in finishing order (names only, no tg_id).
+ */
+router.get('/winners', async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  try {
+    const { rows } = await pool.query(
+      `SELECT c.rank, c.completed_at, c.prize_eligible, p.name
+         FROM completions c
+         JOIN players p ON p.tg_id = c.tg_id
+        ORDER BY c.rank
+        LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+    const { rows: [{ total }] } = await pool.query(`SELECT COUNT(*)::int AS total FROM completions`);
+    const { config: cfg } = await getActiveConfig();
+
+    return res.json({
+      total,
+      prizeCap: cfg.prizes.maxWinners,
+      winners: rows.map(r => ({
+        rank: r.rank,
+        name: r.name,
+        completedAt: new Date(r.completed_at).toISOString(),
+        prizeEligible: r.prize_eligible,
+      })),
+    });
+  } catch (err) {
+    console.error('[GET /api/winners] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
 /** Everything below requires auth. */
 router.use(authenticate);
 
+/** Every :invoiceId route is owner-only (foreign invoices -> 404). */
+router.param('invoiceId', invoiceOwner);
+
 /**
  * GET /api/cipher/all
  * Returns { byFragment: { [fragId]: { runeId, answered } }, urls?: { [runeId]: url } }
@@ -484,7 +492,7 @@ router.get('/cipher/all', async (_req, res) => {
       for (const id of runeIds) {
         const name = RUNE_ASSETS[id];
         if (!name) continue;
-        urls[id] = abs(res.req, signAssetUrl('/runes', name, RUNE_URL_TTL_SEC));
+        urls[id] = abs(res.req, signAssetPath('runes', name));
       }
     }
     res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
@@ -521,7 +529,8 @@ router.get('/cipher/:fragId', async (req, res) => {
     await ensureCipherForFragment(pool, req.user.tg_id, fragId);
 
     const { rows } = await pool.query(
-      `SELECT grid_numbers, riddle_key, chosen_rune_id, answered_at
+      `SELECT grid_numbers, riddle_key, chosen_rune_id, answered_at,
+              wrong_attempts, locked_until
          FROM fragment_ciphers
         WHERE tg_id=$1 AND frag_id=$2`,
       [req.user.tg_id, fragId]
@@ -529,7 +538,10 @@ router.get('/cipher/:fragId', async (req, res) => {
     if (!rows.length) return res.status(404).json({ error: 'cipher_not_found' });
 
     const row = rows[0];
-    const url = abs(req, signAssetUrl('/riddles', row.riddle_key, RIDDLE_URL_TTL_SEC));
+    const { config: cfg } = await getActiveConfig();
+    const mode = cipherModeFor(cfg.cipher, req.user.tg_id);
+    const locked = row.locked_until && new Date(row.locked_until) > new Date();
+    const url = abs(req, signAssetPath('riddles', row.riddle_key));
 
     res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
     res.set('Pragma', 'no-cache');
@@ -537,10 +549,15 @@ router.get('/cipher/:fragId', async (req, res) => {
 
     return res.json({
       fragId,
-      riddle: { type: 'image', url, ttl: RIDDLE_URL_TTL_SEC },
+      riddle: { type: 'image', url, ttl: ASSET_TTL_SEC.riddles },
       gridNumbers: row.grid_numbers,
       answered: !!row.answered_at,
       chosenRuneId: row.chosen_rune_id || null,
+      mode,
+      attemptsLeft: mode === 'strict'
+        ? (locked ? 0 : cfg.cipher.maxAttempts - Number(row.wrong_attempts || 0))
+        : null,
+      lockedUntil: locked ? new Date(row.locked_until).toISOString() : null,
     });
   } catch (err) {
     console.error('[GET /api/cipher/:fragId] ERROR:', err);
@@ -548,6 +565,38 @@ router.get('/cipher/:fragId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/fragments/urls
+ * Signed image URLs for the fragments the caller owns (players.fragments) and,
+ * for players in the winners registry, the final image.
+ * Returns { fragments: { [fragId]: url }, final: url|null, ttl }.
+ */
+// NB: defined before /fragments/:tg_id, which would otherwise match 'urls'.
+router.get('/fragments/urls', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const { rows: [p] } = await pool.query(
+      `SELECT fragments FROM players WHERE tg_id=$1`,
+      [req.user.tg_id]
+    );
+    if (!p) return res.status(404).json({ error: 'not found' });
+
+    const fragments = {};
+    for (const id of [...new Set((p.fragments || []).map(Number))].sort((a, b) => a - b)) {
+      const name = FRAGMENT_IMAGES[id];
+      if (name) fragments[id] = abs(req, signAssetPath('fragments', name, { tgId: req.user.tg_id }));
+    }
+    const final = (await isCompleted(req.user.tg_id))
+      ? abs(req, signAssetPath('fragments', FINAL_IMAGE, { tgId: req.user.tg_id }))
+      : null;
+
+    return res.json({ fragments, final, ttl: ASSET_TTL_SEC.fragments });
+  } catch (err) {
+    console.error('[GET /api/fragments/urls] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
 /**
  * GET /api/fragments/:tg_id
  * Returns the current list of player's fragments.
@@ -558,11 +607,11 @@ router.get('/fragments/:tg_id', async (req, res) => {
       return res.status(403).json({ error: 'Forbidden' });
     }
     const { rows: [p] } = await pool.query(
-      `SELECT fragments FROM players WHERE tg_id=$1`,
+      `SELECT fragments, is_cursed, curse_expires FROM players WHERE tg_id=$1`,
       [req.params.tg_id]
     );
     if (!p) return res.status(404).json({ error: 'not found' });
-    res.json({ fragments: p.fragments || [] });
+    res.json({ fragments: p.fragments || [], curse: curseInfo(p) });
   } catch (err) {
     res.status(500).json({ error: 'internal' });
   }
@@ -571,131 +620,121 @@ router.get('/fragments/:tg_id', async (req, res) => {
 /**
  * POST /api/burn-invoice
  * Creates an invoice and a mini-quest payload. Optionally auto-marks as paid.
+ * A player holds at most one open invoice: if one exists it is returned (reused: true).
+ * An active daily coupon is consumed and discounts amount_nano (restored if the invoice closes unpaid).
+ * Refused with 403 'cursed' while a curse is active (see POST /api/curse/purify).
  */
 router.post('/burn-invoice', async (req, res) => {
   const { tg_id } = req.body;
+  const clientSeed = normalizeClientSeed(req.body?.clientSeed);
 
   if (!tg_id) return res.status(400).json({ error: 'tg_id required' });
+  if (clientSeed === null) return res.status(400).json({ error: 'bad_client_seed' });
   if (String(req.user.tg_id) !== String(tg_id)) {
     return res.status(403).json({ error: 'Forbidden' });
   }
 
   try {
     const { rows: [pp] } = await pool.query(
-      `SELECT fragments, pity_counter FROM players WHERE tg_id=$1`,
+      `SELECT fragments, pity_counter, locale, is_cursed, curse_expires FROM players WHERE tg_id=$1`,
       [tg_id]
     );
     const fr = Array.isArray(pp?.fragments) ? pp.fragments.map(Number) : [];
     const pity = Number(pp?.pity_counter || 0);
+    const { version: configVersion, config: cfg } = await getActiveConfig();
 
-    const hasMandatory = MANDATORY.every(id => fr.includes(id));
+    const hasMandatory = cfg.mandatory.every(id => fr.includes(id));
     if (!hasMandatory) return res.status(403).json({ error: 'need_fragments_1_2_3' });
 
-    const invoiceId = uuid();
-    const comment   = crypto.randomBytes(4).toString('hex');
+    if (isCurseActive(pp)) {
+      return res.status(403).json({
+        error: 'cursed',
+        curse: curseInfo(pp),
+        purifyAmountNano: String(cfg.purifyPriceNano),
+      });
+    }
 
-    // pity -> rarity weights boost
-    const boost = Math.min(pity, 20);
-    const weights = { legendary: 5, rare: 15 + boost, uncommon: 30 };
-    weights.common = Math.max(0, 100 - (weights.legendary + weights.rare + weights.uncommon));
-
-    const total = Object.values(weights).reduce((a, b) => a + b, 0);
-    let r = (crypto.randomInt(1_000_000) / 1_000_000) * total;
-    let rarity = 'common';
-    for (const [k, w] of Object.entries(weights)) { if (r < w) { rarity = k; break; } r -= w; }
-
-    /** Quiz bank per rarity */
-    const QUIZ_BANK = {
-      common: [
-        { question: 'Which element is associated with fire?', options: ['Water', 'Earth', 'Fire', 'Air'], answer: 'Fire' },
-        { question: 'What color are hot embers usually?', options: ['Blue', 'Red', 'Green', 'Purple'], answer: 'Red' },
-        { question: 'Which one is hot?', options: ['Ice', 'Flame', 'Snow', 'Fog'], answer: 'Flame' },
-        { question: 'Opposite of “cold”?', options: ['Dark', 'Hot', 'Wet', 'Dust'], answer: 'Hot' },
-        { question: 'Best fuel for a campfire?', options: ['Stone', 'Water', 'Wood', 'Glass'], answer: 'Wood' },
-        { question: 'Which symbol means multiplication?', options: ['÷', '×', '−', '+'], answer: '×' },
-        { question: 'What color is ash most often?', options: ['Gray', 'Pink', 'Blue', 'Yellow'], answer: 'Gray' },
-        { question: 'Heat naturally flows from…', options: ['Cold to hot', 'Hot to cold', 'Down to up', 'Left to right'], answer: 'Hot to cold' },
-        { question: 'What do flames need to burn?', options: ['Oxygen', 'Salt', 'Iron', 'Plastic'], answer: 'Oxygen' },
-        { question: 'Which season is usually the hottest?', options: ['Winter', 'Spring', 'Summer', 'Autumn'], answer: 'Summer' }
-      ],
-      uncommon: [
-        { question: 'A synonym for “burn”?', options: ['Freeze', 'Scorch', 'Flow', 'Sink'], answer: 'Scorch' },
-        { question: 'Charred wood turns into…', options: ['Ash', 'Ice', 'Steam', 'Clay'], answer: 'Ash' },
-        { question: 'Which word means “to ignite”?', options: ['Kindle', 'Mend', 'Bury', 'Knead'], answer: 'Kindle' },
-        { question: 'A safe indoor place for fire is a…', options: ['Hearth', 'Vase', 'Shelf', 'Bucket'], answer: 'Hearth' },
-        { question: 'Which gas supports burning in air?', options: ['Oxygen', 'Nitrogen', 'Helium', 'Carbon dioxide'], answer: 'Oxygen' },
-        { question: 'Main solid fuel in a candle?', options: ['Wax', 'Water', 'Sand', 'Salt'], answer: 'Wax' },
-        { question: 'Least flammable here?', options: ['Dry paper', 'Wet cloth', 'Gasoline', 'Wood shavings'], answer: 'Wet cloth' },
-        { question: 'Which icon warns about fire?', options: ['🔥', '❄️', '💧', '🍃'], answer: '🔥' },
-        { question: 'Opposite of “ignite”?', options: ['Extinguish', 'Brighten', 'Sharpen', 'Combine'], answer: 'Extinguish' },
-        { question: 'Tiny hot pieces from a fire are…', options: ['Embers', 'Pebbles', 'Bubbles', 'Crumbs'], answer: 'Embers' }
-      ],
-      rare: [
-        { question: 'What consumes oxygen and gives heat?', options: ['Ice', 'Fire'], answer: 'Fire' },
-        { question: 'Smoke with too little oxygen is often…', options: ['Black', 'Blue'], answer: 'Black' },
-        { question: 'Safe to pour on a wood fire?', options: ['Water', 'Gasoline'], answer: 'Water' },
-        { question: 'Which is NOT in the fire triangle?', options: ['Oxygen', 'Fuel', 'Time'], answer: 'Time' },
-        { question: 'Which shines brighter?', options: ['Ember', 'Flame'], answer: 'Flame' },
-        { question: 'Device that detects smoke?', options: ['Smoke detector', 'Thermometer'], answer: 'Smoke detector' },
-        { question: 'Which is hotter?', options: ['100°C', '200°C'], answer: '200°C' },
-        { question: 'What reduces a campfire?', options: ['Add air', 'Smother with sand'], answer: 'Smother with sand' },
-        { question: 'Water on an oil fire is…', options: ['Dangerous', 'Safe'], answer: 'Dangerous' },
-        { question: 'Which material is fire-resistant?', options: ['Asbestos', 'Paper'], answer: 'Asbestos' }
-      ],
-      legendary: [
-        { question: 'Type the word "Fire" exactly:', options: [], answer: 'Fire' },
-        { question: 'Type the word "Ash" exactly:', options: [], answer: 'Ash' },
-        { question: 'Type the word "Flame" exactly:', options: [], answer: 'Flame' },
-        { question: 'Type the word "Ember" exactly:', options: [], answer: 'Ember' },
-        { question: 'Type the word "Smoke" exactly:', options: [], answer: 'Smoke' },
-        { question: 'Type the word "Spark" exactly:', options: [], answer: 'Spark' },
-        { question: 'Type the word "Torch" exactly:', options: [], answer: 'Torch' },
-        { question: 'Type the word "Burn" exactly:', options: [], answer: 'Burn' },
-        { question: 'Type the word "Heat" exactly:', options: [], answer: 'Heat' },
-        { question: 'Type the word "Inferno" exactly:', options: [], answer: 'Inferno' }
-      ]
-    };
+    const open = await findOpenInvoice(tg_id);
+    if (open) return res.json(openInvoiceResponse(open));
 
-    /** Pick one quiz by rarity and shuffle options (cryptographically). */
-    function pickQuiz(rarity = 'common') {
-      const pool = QUIZ_BANK[rarity] || QUIZ_BANK.common;
-      const base = pool[crypto.randomInt(pool.length)];
-      const q = {
-        question: base.question,
-        options: Array.isArray(base.options) ? [...base.options] : [],
-        answer: String(base.answer),
-      };
-      if (q.options.length > 1) shuffleInPlace(q.options);
-      return q;
-    }
+    const invoiceId = uuid();
+    const comment   = crypto.randomBytes(4).toString('hex');
 
-    // Выбираем один вопрос по редкости и перемешиваем варианты
-    const quiz = pickQuiz(rarity);
-    const task = { type: 'quiz', rarity, params: quiz };
+    // pity -> rarity weights boost; drawn from the committed server seed
+    const serverSeed = newServerSeed();
+    const serverSeedHash = hashServerSeed(serverSeed);
+    const rarity = rollRarity(cfg, pity, fairRng(serverSeed, clientSeed, NONCE_RARITY));
+    const fairData = { rarity: { clientSeed, pity } };
 
-    await pool.query(
-      `INSERT INTO burn_invoices
-        (invoice_id,tg_id,amount_nano,address,comment,status,quest_data,quest_status,created_at,processed)
-      VALUES($1,$2,$3,$4,$5,'pending',$6,'pending',NOW(),FALSE)`,
-      [invoiceId, tg_id, AMOUNT_NANO, TON_ADDR, comment, task]
-    );
+    // One enabled question for this rarity in the player's language (options shuffled)
+    const quiz = await pickQuiz({ category: 'burn', rarity, locale: resolveLocale(req, pp?.locale) });
+    if (!quiz) return res.status(503).json({ error: 'quiz_bank_empty' });
+    const task = {
+      type: 'quiz',
+      rarity,
+      questionId: quiz.id,
+      params: { question: quiz.question, options: quiz.options, answer: quiz.answer },
+    };
 
-    // Optional auto-payment (dev/stage)
     const auto = String(AUTO_PAY_BURN || '').toLowerCase();
     const autoPay = auto === 'true' || auto === '1';
-    if (autoPay) {
-      await pool.query(
-        `UPDATE burn_invoices SET status='paid', paid_at=NOW() WHERE invoice_id=$1`,
-        [invoiceId]
+
+    // Coupon consumption and invoice insert commit together (rollback restores the coupon).
+    let expiresAt, amountNano, couponPercent;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const coupon = await takeCoupon(client, tg_id);
+      couponPercent = coupon?.percent || 0;
+      amountNano = applyDiscount(cfg.priceNano, couponPercent);
+
+      const { rows: [created] } = await client.query(
+        `INSERT INTO burn_invoices
+          (invoice_id,tg_id,amount_nano,address,comment,status,quest_data,quest_status,created_at,processed,
+           expires_at,coupon_percent,coupon_expires_at,quiz_question_id,config_version,
+           server_seed,server_seed_hash,fair_data)
+        VALUES($1,$2,$3,$4,$5,'pending',$6,'pending',NOW(),FALSE,
+               NOW() + make_interval(mins => $7),$8,$9,$10,$11,$12,$13,$14)
+        RETURNING expires_at`,
+        [invoiceId, tg_id, amountNano, TON_ADDR, comment, task,
+         Number(BURN_INVOICE_TTL_MIN), couponPercent, coupon?.expiresAt || null, quiz.id, configVersion,
+         serverSeed, serverSeedHash, fairData]
       );
+      expiresAt = created.expires_at;
+
+      // Optional auto-payment (dev/stage) — same paid hook as the payment worker
+      if (autoPay) {
+        await client.query(
+          `UPDATE burn_invoices SET status='paid', paid_at=NOW() WHERE invoice_id=$1`,
+          [invoiceId]
+        );
+        await onInvoicePaid(client, { invoice_id: invoiceId, tg_id, kind: 'burn' });
+      }
+
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      // A parallel request created the open invoice first -> hand that one back.
+      if (e.code !== PG_UNIQUE_VIOLATION) throw e;
+      const winner = await findOpenInvoice(tg_id);
+      if (!winner) throw e;
+      return res.json(openInvoiceResponse(winner));
+    } finally {
+      client.release();
     }
 
     return res.json({
       invoiceId,
-      paymentUrl:  `${TONHUB_URL}/${TON_ADDR}?amount=${AMOUNT_NANO}&text=${comment}`,
-      tonspaceUrl: `${TONSPACE_SCHEME}/${TON_ADDR}?amount=${AMOUNT_NANO}&text=${comment}`,
+      ...paymentUrls(amountNano, comment),
+      amountNano,
+      couponPercent,
+      configVersion,
+      serverSeedHash,
       task: sanitizeTaskForClient(task),
       paid: autoPay,
+      expiresAt: new Date(expiresAt).toISOString(),
+      reused: false,
     });
   } catch (err) {
     console.error('[POST /api/burn-invoice] ERROR:', err);
@@ -703,28 +742,171 @@ router.post('/burn-invoice', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/burn-invoice/:invoiceId/cancel
+ * Owner cancels a pending invoice (coupon is given back).
+ * A payment arriving afterwards lands in 'late_paid'.
+ */
+router.post('/burn-invoice/:invoiceId/cancel', async (req, res) => {
+  try {
+    const client = await pool.connect();
+    let cancelled;
+    try {
+      await client.query('BEGIN');
+      ({ rows: [cancelled] } = await client.query(
+        `UPDATE burn_invoices
+            SET status='cancelled', closed_at=NOW()
+          WHERE invoice_id=$1 AND tg_id=$2 AND status='pending'
+          RETURNING invoice_id`,
+        [req.params.invoiceId, req.user.tg_id]
+      ));
+      if (cancelled) await restoreCoupons(client, [cancelled.invoice_id]);
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+    if (cancelled) return res.json({ ok: true, status: 'cancelled' });
+
+    const { rows: [inv] } = await pool.query(
+      `SELECT status FROM burn_invoices WHERE invoice_id=$1 AND tg_id=$2`,
+      [req.params.invoiceId, req.user.tg_id]
+    );
+    if (!inv) return res.status(404).json({ error: 'not found' });
+    if (inv.status === 'cancelled') return res.json({ ok: true, status: 'cancelled' });
+
+    return res.status(409).json({ error: 'not_cancellable', status: inv.status });
+  } catch (err) {
+    console.error('[POST /api/burn-invoice/:invoiceId/cancel] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
 /**
  * GET /api/burn-status/:invoiceId
  * Returns payment state; once processed, returns the saved result.
+ * `status`: pending | paid | underpaid | overpaid | expired | cancelled | late_paid | refunded;
+ * `payment` is set once a tx matched (underpaid: the sum so far; a top-up to the same comment completes it).
  */
 router.get('/burn-status/:invoiceId', async (req, res) => {
   res.set('Cache-Control', 'no-store');
   try {
     const { rows: [inv] } = await pool.query(
-      `SELECT status, quest_data, processed, result_json
+      `SELECT status, quest_data, processed, result_json, expires_at,
+              amount_nano, paid_amount_nano, payer_address, tx_hash, server_seed_hash
          FROM burn_invoices
         WHERE invoice_id=$1`,
       [req.params.invoiceId]
     );
     if (!inv) return res.status(404).json({ error: 'not found' });
 
+    const payment = inv.tx_hash
+      ? {
+          txHash: inv.tx_hash,
+          payer: inv.payer_address,
+          expectedNano: String(inv.amount_nano),
+          receivedNano: String(inv.paid_amount_nano),
+        }
+      : null;
+    const { status } = inv;
+    const expiresAt = new Date(inv.expires_at).toISOString();
+    const serverSeedHash = inv.server_seed_hash ?? null;
+
     if (inv.processed) {
-      return res.json({ paid: true, task: null, processed: true, result: inv.result_json || null });
+      return res.json({ paid: true, status, payment, serverSeedHash, task: null, processed: true, result: inv.result_json || null });
     }
-    if (inv.status !== 'paid') return res.json({ paid: false });
+    if (!PAID_STATUSES.includes(status)) return res.json({ paid: false, status, payment, serverSeedHash, expiresAt });
+
+    return res.json({
+      paid: true,
+      status,
+      payment,
+      serverSeedHash,
+      task: sanitizeTaskForClient(inv.quest_data || null),
+      processed: false,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * GET /api/curse
+ * Current curse state, purification price and the open purification invoice (if any).
+ */
+router.get('/curse', async (req, res) => {
+  try {
+    const { rows: [p] } = await pool.query(
+      `SELECT is_cursed, curse_expires FROM players WHERE tg_id=$1`,
+      [req.user.tg_id]
+    );
+    if (!p) return res.status(404).json({ error: 'player not found' });
 
-    return res.json({ paid: true, task: sanitizeTaskForClient(inv.quest_data || null), processed: false });
+    const { config: cfg } = await getActiveConfig();
+    const open = isCurseActive(p) ? await findOpenInvoice(req.user.tg_id, 'purification') : null;
+    return res.json({
+      curse: curseInfo(p),
+      purifyAmountNano: String(cfg.purifyPriceNano),
+      invoiceId: open?.invoice_id ?? null,
+    });
   } catch (err) {
+    console.error('[GET /api/curse] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
+/**
+ * POST /api/curse/purify
+ * Creates (or reuses) a purification invoice; once the worker sees the payment
+ * the curse is lifted. Poll GET /api/burn-status/:invoiceId, cancel via
+ * POST /api/burn-invoice/:invoiceId/cancel.
+ */
+router.post('/curse/purify', async (req, res) => {
+  const tgId = req.user.tg_id;
+  try {
+    const { rows: [p] } = await pool.query(
+      `SELECT is_cursed, curse_expires FROM players WHERE tg_id=$1`,
+      [tgId]
+    );
+    if (!p) return res.status(404).json({ error: 'player not found' });
+    if (!isCurseActive(p)) return res.status(409).json({ error: 'not_cursed' });
+
+    const purifyResponse = (inv, reused) => ({
+      invoiceId: inv.invoice_id,
+      ...paymentUrls(inv.amount_nano, inv.comment),
+      amountNano: String(inv.amount_nano),
+      expiresAt: new Date(inv.expires_at).toISOString(),
+      curse: curseInfo(p),
+      reused,
+    });
+
+    const open = await findOpenInvoice(tgId, 'purification');
+    if (open) return res.json(purifyResponse(open, true));
+
+    try {
+      const { version: configVersion, config: cfg } = await getActiveConfig();
+      const { rows: [created] } = await pool.query(
+        `INSERT INTO burn_invoices
+          (invoice_id,tg_id,kind,amount_nano,address,comment,status,quest_status,created_at,processed,
+           expires_at,config_version)
+        VALUES($1,$2,'purification',$3,$4,$5,'pending','pending',NOW(),FALSE,
+               NOW() + make_interval(mins => $6),$7)
+        RETURNING invoice_id, amount_nano, comment, expires_at`,
+        [uuid(), tgId, cfg.purifyPriceNano, TON_ADDR, crypto.randomBytes(4).toString('hex'),
+         Number(BURN_INVOICE_TTL_MIN), configVersion]
+      );
+      return res.json(purifyResponse(created, false));
+    } catch (e) {
+      // A parallel request created the open purification invoice first.
+      if (e.code !== PG_UNIQUE_VIOLATION) throw e;
+      const winner = await findOpenInvoice(tgId, 'purification');
+      if (!winner) throw e;
+      return res.json(purifyResponse(winner, true));
+    }
+  } catch (err) {
+    console.error('[POST /api/curse/purify] ERROR:', err);
     return res.status(500).json({ error: 'internal' });
   }
 });
@@ -734,8 +916,11 @@ router.get('/burn-status/:invoiceId', async (req, res) => {
  * Body: { chosenNumber: int }
  * Idempotent: if already answered, returns the same chosen rune.
  *
- * NOTE: At the moment we only require the number to exist in the grid.
- *       If you want to enforce the "correct" number, also compare with stored correct_num.
+ * Mode comes from game_config.cipher (lenient / strict / A/B split by tg_id):
+ *  lenient — any number from the grid is accepted;
+ *  strict  — only correct_num is accepted; after cipher.maxAttempts wrong answers
+ *            the cipher is locked for cipher.lockoutMinutes (423), then the count resets.
+ * The rune is deterministic: the pair's "a" rune for correct_num, "b" otherwise.
  */
 router.post('/cipher-answer/:fragId', async (req, res) => {
   try {
@@ -745,7 +930,7 @@ router.post('/cipher-answer/:fragId', async (req, res) => {
     if (!Number.isFinite(fragId) || fragId < 1 || fragId > 8) {
       return res.status(400).json({ error: 'bad_frag_id' });
     }
-    if (!Number.isFinite(chosenNumber) || chosenNumber < 0 || chosenNumber > 99) {
+    if (!Number.isInteger(chosenNumber) || chosenNumber < 0 || chosenNumber > 99) {
       return res.status(400).json({ error: 'bad_number' });
     }
 
@@ -757,12 +942,16 @@ router.post('/cipher-answer/:fragId', async (req, res) => {
     const owned = Array.isArray(p?.fragments) ? p.fragments.map(Number) : [];
     if (!owned.includes(fragId)) return res.status(403).json({ error: 'fragment_not_owned' });
 
+    const { config: cfg } = await getActiveConfig();
+    const mode = cipherModeFor(cfg.cipher, req.user.tg_id);
+
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
 
       const { rows } = await client.query(
-        `SELECT grid_numbers, chosen_num, chosen_cell, chosen_rune_id
+        `SELECT grid_numbers, correct_num, chosen_num, chosen_cell, chosen_rune_id,
+                wrong_attempts, locked_until
            FROM fragment_ciphers
           WHERE tg_id=$1 AND frag_id=$2
           FOR UPDATE`,
@@ -781,32 +970,64 @@ router.post('/cipher-answer/:fragId', async (req, res) => {
         return res.json({ ok: true, symbolId: row.chosen_rune_id });
       }
 
-      const idx = row.grid_numbers.findIndex((n) => Number(n) === chosenNumber);
-      if (idx < 0) {
+      if (row.locked_until && new Date(row.locked_until) > new Date()) {
         await client.query('ROLLBACK');
-        return res.status(400).json({ error: 'number_not_in_grid' });
+        return res.status(423).json({
+          error: 'cipher_locked',
+          lockedUntil: new Date(row.locked_until).toISOString(),
+        });
       }
 
-      // Choose a random rune from the pair for this fragment
-      const pair = RUNE_PAIRS[fragId] || [];
-      if (pair.length !== 2) {
+      const verdict = judgeCipherAnswer(row, fragId, chosenNumber, mode);
+
+      if (!verdict.accepted) {
+        if (mode !== 'strict') {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'number_not_in_grid' });
+        }
+
+        // the counter is zeroed when a lockout starts, so an expired lockout begins a fresh round
+        const attempts = Number(row.wrong_attempts || 0) + 1;
+        const maxAttempts = cfg.cipher.maxAttempts;
+        const lockedUntil = attempts >= maxAttempts
+          ? new Date(Date.now() + cfg.cipher.lockoutMinutes * 60 * 1000)
+          : null;
+
+        await client.query(
+          `UPDATE fragment_ciphers
+              SET wrong_attempts=$3, locked_until=$4
+            WHERE tg_id=$1 AND frag_id=$2`,
+          [req.user.tg_id, fragId, lockedUntil ? 0 : attempts, lockedUntil]
+        );
+        await client.query('COMMIT');
+
+        if (lockedUntil) {
+          return res.status(423).json({ error: 'cipher_locked', lockedUntil: lockedUntil.toISOString() });
+        }
+        return res.status(400).json({ error: 'wrong_number', attemptsLeft: maxAttempts - attempts });
+      }
+
+      if (!verdict.runeId) {
         await client.query('ROLLBACK');
         return res.status(500).json({ error: 'rune_pair_not_found' });
       }
-      const symbolId = pair[crypto.randomInt(2)];
+      const symbolId = verdict.runeId;
 
       await client.query(
         `UPDATE fragment_ciphers
             SET chosen_num=$3,
                 chosen_cell=$4,
                 chosen_rune_id=$5,
-                answered_at=NOW()
+                answered_at=NOW(),
+                answer_mode=$6,
+                answered_correct=$7,
+                locked_until=NULL
           WHERE tg_id=$1 AND frag_id=$2`,
-        [req.user.tg_id, fragId, chosenNumber, idx, symbolId]
+        [req.user.tg_id, fragId, chosenNumber, verdict.cell, symbolId, mode, verdict.correct]
       );
 
       await client.query('COMMIT');
-      return res.json({ ok: true, symbolId });
+      return res.json({ ok: true, symbolId, correct: verdict.correct, mode });
     } catch (e) {
       await client.query('ROLLBACK');
       throw e;
@@ -821,13 +1042,19 @@ router.post('/cipher-answer/:fragId', async (req, res) => {
 
 /**
  * POST /api/burn-complete/:invoiceId
- * Idempotent result submission. On success -> run burn logic.
+ * Body: { answer } — verified server-side by the task type's verifier.
+ *       { success: false } — the player gives up (counts as a failed quest).
+ * Wrong answers are retried up to QUEST_MAX_ATTEMPTS per invoice, then the quest fails.
+ * Idempotent once a result is stored. On success -> run burn logic.
  */
 router.post('/burn-complete/:invoiceId', async (req, res) => {
-  const { success, answer } = req.body;
-  if (typeof success !== 'boolean') {
-    return res.status(400).json({ error: 'success boolean required' });
+  const { success, answer } = req.body || {};
+  const giveUp = success === false;
+  if (!giveUp && (answer === undefined || answer === null)) {
+    return res.status(400).json({ error: 'answer required' });
   }
+  const clientSeed = normalizeClientSeed(req.body?.clientSeed);
+  if (clientSeed === null) return res.status(400).json({ error: 'bad_client_seed' });
 
   const client = await pool.connect();
   try {
@@ -835,7 +1062,8 @@ router.post('/burn-complete/:invoiceId', async (req, res) => {
 
     // Lock invoice
     const { rows: [inv] } = await client.query(
-      `SELECT invoice_id, tg_id, status, processed, quest_status, result_json, quest_data
+      `SELECT invoice_id, tg_id, kind, status, processed, quest_status, result_json, quest_data, quest_attempts,
+              server_seed, server_seed_hash
          FROM burn_invoices
         WHERE invoice_id=$1
         FOR UPDATE`,
@@ -845,6 +1073,10 @@ router.post('/burn-complete/:invoiceId', async (req, res) => {
       await client.query('ROLLBACK');
       return res.status(404).json({ error: 'invoice not found' });
     }
+    if (inv.kind !== 'burn') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'not_a_burn_invoice' });
+    }
 
     // Already has a saved result -> return it as-is
     if (inv.result_json) {
@@ -852,80 +1084,85 @@ router.post('/burn-complete/:invoiceId', async (req, res) => {
       return res.json(inv.result_json);
     }
 
-    // Not paid -> client logic error
-    if (inv.status !== 'paid') {
+    // Not paid (pending / underpaid) -> client logic error
+    if (!PAID_STATUSES.includes(inv.status)) {
       await client.query('ROLLBACK');
       return res.status(400).json({ error: 'invoice not paid' });
     }
 
-    // Если клиент говорит "success: true", проверим ответ против quest_data (если есть)
-    if (success && inv.quest_data && inv.quest_data.type === 'quiz') {
-      const correct = String(inv.quest_data?.params?.answer ?? '');
-      if (correct) {
-        const provided = String(answer ?? '');
-        if (provided !== correct) {
-          // Неверный ответ — считаем провалом квеста в ЭТОЙ ЖЕ транзакции
-          const { rows: [pl] } = await client.query(
-            `SELECT pity_counter FROM players WHERE tg_id=$1 FOR UPDATE`,
-            [inv.tg_id]
-          );
-          const newPity = Number(pl?.pity_counter || 0) + 1;
-
-          await client.query(
-            `UPDATE players SET pity_counter=$2 WHERE tg_id=$1`,
-            [inv.tg_id, newPity]
-          );
-
-          const result = { ok: false, pity_counter: newPity };
-
-          await client.query(
-            `UPDATE burn_invoices
-                SET quest_status='failed',
-                    processed=TRUE,
-                    result_json=$2
-              WHERE invoice_id=$1`,
-            [req.params.invoiceId, result]
-          );
-
-          await client.query('COMMIT');
-          return res.json(result);
-        }
+    let passed = false;
+    if (!giveUp) {
+      const verdict = verifyTask(inv.quest_data, answer);
+      if (!verdict) {
+        await client.query('ROLLBACK');
+        console.error('[POST /burn-complete] no verifier for task type', inv.quest_data?.type);
+        return res.status(500).json({ error: 'unsupported_task_type' });
       }
+      passed = verdict.correct;
     }
 
+    const attempts = Number(inv.quest_attempts || 0) + 1;
+    const maxAttempts = Math.max(1, Number(QUEST_MAX_ATTEMPTS) || 1);
 
+    // Wrong answer with attempts left -> count it and let the player retry
+    if (!passed && !giveUp && attempts < maxAttempts) {
+      await client.query(
+        `UPDATE burn_invoices SET quest_attempts=$2 WHERE invoice_id=$1`,
+        [req.params.invoiceId, attempts]
+      );
+      await client.query('COMMIT');
+      return res.json({ ok: false, retry: true, attemptsLeft: maxAttempts - attempts });
+    }
 
-    if (!success) {
+    if (!passed) {
       // Idempotent fail: pity+1, mark as processed and store result
       const { rows: [pl] } = await client.query(
         `SELECT pity_counter FROM players WHERE tg_id=$1 FOR UPDATE`,
         [inv.tg_id]
       );
-      const newPity = Number(pl?.pity_counter || 0) + 1;
+      const newPity = failedQuestPity(pl || {});
 
       await client.query(
         `UPDATE players SET pity_counter=$2 WHERE tg_id=$1`,
         [inv.tg_id, newPity]
       );
+      await recordEvent(client, inv.tg_id, 'pity_changed', {
+        source: 'burn-complete',
+        invoiceId: req.params.invoiceId,
+        before: { pity_counter: pl?.pity_counter },
+        after: { pity_counter: newPity },
+      });
+
+      // nothing random on this path, the seed is revealed all the same
+      const result = {
+        ok: false,
+        pity_counter: newPity,
+        fair: inv.server_seed ? { serverSeed: inv.server_seed, serverSeedHash: inv.server_seed_hash } : null,
+      };
 
-      const result = { ok: false, pity_counter: newPity };
-
+      const { version: configVersion } = await getActiveConfig();
       await client.query(
         `UPDATE burn_invoices
             SET quest_status='failed',
+                quest_attempts=$3,
                 processed=TRUE,
-                result_json=$2
+                result_json=$2,
+                resolved_config_version=$4
           WHERE invoice_id=$1`,
-        [req.params.invoiceId, result]
+        [req.params.invoiceId, result, attempts, configVersion]
       );
 
       await client.query('COMMIT');
       return res.json(result);
     }
 
-    // success === true -> run burn resolver (it is transactional inside)
+    // Verified -> run burn resolver (it is transactional inside)
+    await client.query(
+      `UPDATE burn_invoices SET quest_attempts=$2 WHERE invoice_id=$1`,
+      [req.params.invoiceId, attempts]
+    );
     await client.query('COMMIT');
-    const result = await runBurnLogic(req.params.invoiceId);
+    const result = await runBurnLogic(req.params.invoiceId, clientSeed);
 
     // Sync status just in case
     try {
@@ -949,7 +1186,8 @@ router.post('/burn-complete/:invoiceId', async (req, res) => {
 
 /**
  * GET /api/referral
- * Returns ref code, invited count and reward flag. Also rotates JWT via header.
+ * Ref code + invite link, confirmed / pending / rejected invite counts and progress on every
+ * reward tier (game_config.referral.tiers).
  */
 router.get('/referral', async (req, res) => {
   try {
@@ -959,58 +1197,114 @@ router.get('/referral', async (req, res) => {
     );
     if (!p) return res.status(404).json({ error: 'not found' });
 
-    const { rows: [c] } = await pool.query(
-      `SELECT COUNT(*) AS cnt FROM referrals WHERE referrer_id=$1 AND status='confirmed'`,
-      [req.user.tg_id]
-    );
+    const { config: cfg } = await getActiveConfig();
+    const progress = await referralProgress(req.user.tg_id, { config: cfg });
 
-    res.setHeader('Authorization', `Bearer ${sign(req.user)}`);
     return res.json({
       refCode: p.ref_code,
-      invitedCount: Number(c.cnt),
+      link: referralLink(p.ref_code),
+      invitedCount: progress.confirmed,
+      pendingCount: progress.pending,
+      rejectedCount: progress.rejected,
       rewardIssued: p.referral_reward_issued,
+      confirmOn: cfg.referral.confirmOn,
+      tiers: progress.tiers,
     });
   } catch (err) {
+    console.error('[GET /referral] ERROR:', err);
     return res.status(500).json({ error: 'internal' });
   }
 });
 
 /**
- * POST /api/referral/claim
- * Claim referral reward (needs >= 3 confirmed referrals), grants fragment #2.
+ * GET /api/referral/invitees?limit=&offset=
+ * Referrer dashboard: invitees page (name, joined, status, reason code + localised reasonText),
+ * tier progress and the shareable t.me invite link.
  */
-router.post('/referral/claim', async (req, res) => {
+router.get('/referral/invitees', async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
   try {
     const { rows: [p] } = await pool.query(
-      `SELECT fragments, referral_reward_issued FROM players WHERE tg_id=$1`,
+      `SELECT ref_code FROM players WHERE tg_id=$1`,
       [req.user.tg_id]
     );
     if (!p) return res.status(404).json({ error: 'not found' });
-    if (p.referral_reward_issued) return res.status(400).json({ error: 'already claimed' });
 
-    const { rows: [c] } = await pool.query(
-      `SELECT COUNT(*) AS cnt FROM referrals WHERE referrer_id=$1 AND status='confirmed'`,
-      [req.user.tg_id]
-    );
-    if (Number(c.cnt) < 3) return res.status(400).json({ error: 'not enough invited' });
+    const { config: cfg } = await getActiveConfig();
+    const { total, invitees } = await listInvitees(req.user.tg_id, {
+      limit, offset, confirmOn: cfg.referral.confirmOn,
+    });
+    const locale = resolveLocale(req, req.user.locale);
+    const progress = await referralProgress(req.user.tg_id, { config: cfg });
 
-    await pool.query(
-      `UPDATE players
-         SET fragments = array_cat(coalesce(fragments,'{}'::int[]), ARRAY[2]),
-             referral_reward_issued = TRUE
-       WHERE tg_id=$1`,
-      [req.user.tg_id]
-    );
+    return res.json({
+      refCode: p.ref_code,
+      link: referralLink(p.ref_code),
+      total,
+      limit,
+      offset,
+      invitees: invitees.map(i => ({ ...i, reasonText: i.reason && translate(locale, i.reason) })),
+      counts: { confirmed: progress.confirmed, pending: progress.pending, rejected: progress.rejected },
+      confirmOn: cfg.referral.confirmOn,
+      tiers: progress.tiers,
+    });
+  } catch (err) {
+    console.error('[GET /referral/invitees] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
 
-    try { await ensureCipherForFragment(pool, req.user.tg_id, 2); } catch {}
+/**
+ * POST /api/referral/claim { tier? }
+ * Claims a reward tier (default: the first claimable one) once enough invites are confirmed.
+ */
+router.post('/referral/claim', async (req, res) => {
+  const tierId = req.body?.tier == null ? null : String(req.body.tier);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { config: cfg } = await getActiveConfig();
+    const result = await claimReferralTier(client, req.user.tg_id, tierId, { config: cfg });
+    if (!result.ok) {
+      await client.query('ROLLBACK');
+      return res.status(result.error === 'not found' ? 404 : 400).json({ error: result.error });
+    }
+    await client.query('COMMIT');
 
-    res.setHeader('Authorization', `Bearer ${sign(req.user)}`);
-    return res.json({ ok: true, awarded: [2] });
+    const { ok, tier, reward, awarded, coupon } = result;
+    return res.json({ ok, tier, reward, ...(awarded ? { awarded } : { coupon }) });
   } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') return res.status(400).json({ error: 'already claimed' });
+    console.error('[POST /referral/claim] ERROR:', err);
     return res.status(500).json({ error: 'internal' });
+  } finally {
+    client.release();
   }
 });
 
+/**
+ * Third-fragment question issued to the player; picked once (in the player's
+ * language) and remembered in players.third_quest_id so /third-claim checks the same question.
+ */
+async function thirdQuestFor(req) {
+  const tgId = req.user.tg_id;
+  const { rows: [p] } = await pool.query(
+    `SELECT third_quest_id, locale FROM players WHERE tg_id=$1`,
+    [tgId]
+  );
+  if (p?.third_quest_id) {
+    const quiz = await getQuiz(p.third_quest_id);
+    if (quiz) return quiz;
+  }
+
+  const quiz = await pickQuiz({ category: 'third_quest', locale: resolveLocale(req, p?.locale) });
+  if (!quiz) return null;
+  await pool.query(`UPDATE players SET third_quest_id=$2 WHERE tg_id=$1`, [tgId, quiz.id]);
+  return quiz;
+}
+
 /**
  * GET /api/third-quest
  * Announces availability of the third fragment quiz (if not owned yet).
@@ -1024,12 +1318,11 @@ router.get('/third-quest', async (_req, res) => {
     const owned = Array.isArray(p?.fragments) ? p.fragments.map(Number) : [];
     if (owned.includes(3)) return res.json({ available: false });
 
-    const task = {
-      type: 'quiz',
-      question: 'Choose the correct rune meaning for 🔥',
-      options: ['Water', 'Ash', 'Flame', 'Stone'],
-      answer: 'Flame',
-    };
+    const quiz = await thirdQuestFor(res.req);
+    if (!quiz) return res.status(503).json({ error: 'quiz_bank_empty' });
+
+    // Answer stays server-side; /third-claim verifies it.
+    const task = { type: 'quiz', question: quiz.question, options: quiz.options };
     return res.json({ available: true, task });
   } catch (err) {
     console.error('[GET /third-quest] ERROR:', err);
@@ -1051,14 +1344,42 @@ router.post('/third-claim', async (req, res) => {
     const owned = Array.isArray(p?.fragments) ? p.fragments.map(Number) : [];
     if (owned.includes(3)) return res.json({ ok: true, awarded: [] });
 
-    const correct = (answer === 'Flame');
-    if (!correct) return res.status(400).json({ error: 'wrong_answer' });
+    const quiz = await thirdQuestFor(req);
+    if (!quiz) return res.status(503).json({ error: 'quiz_bank_empty' });
 
-    await pool.query(
-      `UPDATE players SET fragments = array_append(coalesce(fragments,'{}'::int[]), 3) WHERE tg_id=$1`,
-      [req.user.tg_id]
-    );
-    try { await ensureCipherForFragment(pool, req.user.tg_id, 3); } catch {}
+    const verdict = verifyTask({ type: 'quiz', params: quiz }, answer);
+    if (!verdict?.correct) return res.status(400).json({ error: 'wrong_answer' });
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows: [before] } = await client.query(
+        `SELECT fragments FROM players WHERE tg_id=$1 FOR UPDATE`,
+        [req.user.tg_id]
+      );
+      // parallel claim already granted it
+      if ((before?.fragments || []).map(Number).includes(3)) {
+        await client.query('ROLLBACK');
+        return res.json({ ok: true, awarded: [] });
+      }
+
+      const { rows: [after] } = await client.query(
+        `UPDATE players SET fragments = array_append(coalesce(fragments,'{}'::int[]), 3)
+          WHERE tg_id=$1
+          RETURNING fragments`,
+        [req.user.tg_id]
+      );
+      await recordEvent(client, req.user.tg_id, 'fragment_granted', {
+        source: 'third-claim', before, after,
+      });
+      try { await ensureCipherForFragment(client, req.user.tg_id, 3); } catch {}
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
 
     return res.json({ ok: true, awarded: [3] });
   } catch (err) {
@@ -1075,15 +1396,15 @@ router.get('/leaderboard', async (_req, res) => {
   try {
     const { rows } = await pool.query(`
       SELECT p.tg_id, p.name,
-             COUNT(b.invoice_id)        AS total_burns,
-             SUM(b.amount_nano)::bigint AS total_ton_nano
+             COUNT(b.invoice_id) FILTER (WHERE b.kind = 'burn')        AS total_burns,
+             SUM(COALESCE(b.paid_amount_nano, b.amount_nano))::bigint  AS total_ton_nano
         FROM players p
         JOIN burn_invoices b ON b.tg_id = p.tg_id
-       WHERE b.status = 'paid'
+       WHERE b.status = ANY($1)
        GROUP BY p.tg_id, p.name
        ORDER BY total_ton_nano DESC
        LIMIT 10
-    `);
+    `, [PAID_STATUSES]);
     const result = rows.map(r => ({
       tg_id: r.tg_id,
       name: r.name,
@@ -1110,8 +1431,12 @@ router.delete('/player/:tg_id', async (req, res) => {
   try {
     await client.query('BEGIN');
     await client.query(`DELETE FROM referrals WHERE referrer_id = $1 OR referred_id = $1`, [req.user.tg_id]);
+    await client.query(`DELETE FROM referral_rewards WHERE referrer_id = $1`, [req.user.tg_id]);
     await client.query(`DELETE FROM burn_invoices WHERE tg_id = $1`, [req.user.tg_id]);
     await client.query(`DELETE FROM fragment_ciphers WHERE tg_id = $1`, [req.user.tg_id]);
+    await client.query(`DELETE FROM player_events WHERE tg_id = $1`, [req.user.tg_id]);
+    await client.query(`DELETE FROM completions WHERE tg_id = $1`, [req.user.tg_id]);
+    await client.query(`DELETE FROM sessions WHERE tg_id = $1`, [req.user.tg_id]);
     await client.query(`DELETE FROM players WHERE tg_id = $1`, [req.user.tg_id]);
     await client.query('COMMIT');
     return res.json({ ok: true });
@@ -1134,10 +1459,11 @@ router.get('/stats/:tg_id', async (req, res) => {
       return res.status(403).json({ error: 'Forbidden' });
     }
     const { rows: [stats] } = await pool.query(
-      `SELECT COUNT(b.invoice_id) AS total_burns, COALESCE(SUM(b.amount_nano), 0) AS total_ton_nano
+      `SELECT COUNT(b.invoice_id) FILTER (WHERE b.kind = 'burn') AS total_burns,
+              COALESCE(SUM(COALESCE(b.paid_amount_nano, b.amount_nano)), 0) AS total_ton_nano
          FROM burn_invoices b
-        WHERE b.tg_id = $1 AND b.status = 'paid'`,
-      [req.params.tg_id]
+        WHERE b.tg_id = $1 AND b.status = ANY($2)`,
+      [req.params.tg_id, PAID_STATUSES]
     );
     return res.json({
       totalBurns: Number(stats.total_burns),
@@ -1149,6 +1475,34 @@ router.get('/stats/:tg_id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/history?limit=&before=
+ * Own fragment / curse / pity timeline, newest first. `before` = id of the
+ * oldest event already shown (pagination).
+ */
+router.get('/history', async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const beforeId = /^\d+$/.test(String(req.query.before ?? '')) ? req.query.before : null;
+  try {
+    const rows = await listEvents(req.user.tg_id, { limit, beforeId });
+    return res.json({
+      events: rows.map(e => ({
+        id: Number(e.id),
+        type: e.event_type,
+        source: e.source,
+        invoiceId: e.invoice_id,
+        before: e.before,
+        after: e.after,
+        createdAt: e.created_at,
+      })),
+      nextBefore: rows.length === limit ? Number(rows[rows.length - 1].id) : null,
+    });
+  } catch (err) {
+    console.error('[GET /api/history] ERROR:', err);
+    return res.status(500).json({ error: 'internal' });
+  }
+});
+
 /**
  * GET /api/daily-quest
  * Returns daily-quest availability and (optional) coupon percent.
@@ -1156,15 +1510,20 @@ router.get('/stats/:tg_id', async (req, res) => {
 router.get('/daily-quest', async (_req, res) => {
   try {
     const { rows: [p] } = await pool.query(
-      `SELECT last_daily_claim, daily_coupon_percent FROM players WHERE tg_id=$1`,
+      `SELECT last_daily_claim, daily_coupon_percent, daily_coupon_expires FROM players WHERE tg_id=$1`,
       [res.req.user.tg_id]
     );
     if (!p) return res.status(404).json({ error: 'player not found' });
 
     const today = new Date().toISOString().split('T')[0];
     const canClaim = p.last_daily_claim !== today;
+    const active = p.daily_coupon_expires && new Date(p.daily_coupon_expires) > new Date();
 
-    return res.json({ canClaim, coupon: p.daily_coupon_percent });
+    return res.json({
+      canClaim,
+      coupon: active ? p.daily_coupon_percent : 0,
+      couponExpires: active ? new Date(p.daily_coupon_expires).toISOString() : null,
+    });
   } catch (err) {
     console.error('[GET /daily-quest] ERROR:', err);
     return res.status(500).json({ error: 'internal' });
@@ -1174,6 +1533,7 @@ router.get('/daily-quest', async (_req, res) => {
 /**
  * POST /api/daily-quest/claim
  * Simple daily reward that sets a discount coupon once per day.
+ * The coupon is single-use (next burn invoice) and expires at the end of the UTC day.
  */
 router.post('/daily-quest/claim', async (_req, res) => {
   try {
@@ -1187,13 +1547,22 @@ router.post('/daily-quest/claim', async (_req, res) => {
       return res.status(400).json({ error: 'Already claimed today' });
     }
 
-    const couponPercent = 30;
-    await pool.query(
-      `UPDATE players SET last_daily_claim=$2, daily_coupon_percent=$3 WHERE tg_id=$1`,
-      [res.req.user.tg_id, today, couponPercent]
-    );
+    // a bigger active coupon (e.g. a referral tier) is kept, see grantCoupon
+    const client = await pool.connect();
+    let coupon;
+    try {
+      await client.query('BEGIN');
+      await client.query(`UPDATE players SET last_daily_claim=$2 WHERE tg_id=$1`, [res.req.user.tg_id, today]);
+      coupon = await grantCoupon(client, res.req.user.tg_id, DAILY_COUPON_PERCENT, endOfUtcDay());
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
 
-    return res.json({ coupon: couponPercent });
+    return res.json({ coupon: coupon.percent, couponExpires: coupon.expiresAt.toISOString() });
   } catch (err) {
     console.error('[POST /daily-quest/claim] ERROR:', err);
     return res.status(500).json({ error: 'internal' });
@@ -1202,36 +1571,49 @@ router.post('/daily-quest/claim', async (_req, res) => {
 
 /**
  * POST /api/debug/grant-fragments
- * Dev helper to grant fragments; secured in production via DEBUG_KEY.
+ * Dev helper to grant fragments to yourself; always requires X-Debug-Key.
+ * Operators use POST /api/admin/players/:tg_id/fragments/grant instead.
  */
-router.post('/debug/grant-fragments', async (req, res) => {
+router.post('/debug/grant-fragments', requireDebugKey, async (req, res) => {
   try {
-    if (NODE_ENV === 'production' && (!DEBUG_KEY || req.headers['x-debug-key'] !== DEBUG_KEY)) {
-      return res.status(403).json({ error: 'forbidden' });
-    }
     const want = Array.isArray(req.body?.fragments) ? req.body.fragments.map(Number) : [];
     if (!want.length) return res.status(400).json({ error: 'fragments array required' });
 
-    const { rows: [p] } = await pool.query(
-      `SELECT fragments FROM players WHERE tg_id=$1`,
-      [req.user.tg_id]
-    );
-    const owned = Array.isArray(p?.fragments) ? p.fragments.map(Number) : [];
-    const set = new Set(owned);
-    want.forEach(x => set.add(x));
-    const merged = Array.from(set).sort((a, b) => a - b);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows: [p] } = await client.query(
+        `SELECT fragments FROM players WHERE tg_id=$1 FOR UPDATE`,
+        [req.user.tg_id]
+      );
+      const owned = Array.isArray(p?.fragments) ? p.fragments.map(Number) : [];
+      const set = new Set(owned);
+      want.forEach(x => set.add(x));
+      const merged = Array.from(set).sort((a, b) => a - b);
 
-    const setReferral = want.includes(2);
+      const setReferral = want.includes(2);
 
-    await pool.query(
-      `UPDATE players
-          SET fragments=$2,
-              referral_reward_issued = CASE WHEN $3 THEN TRUE ELSE referral_reward_issued END
-        WHERE tg_id=$1`,
-      [req.user.tg_id, merged, setReferral]
-    );
+      await client.query(
+        `UPDATE players
+            SET fragments=$2,
+                referral_reward_issued = CASE WHEN $3 THEN TRUE ELSE referral_reward_issued END
+          WHERE tg_id=$1`,
+        [req.user.tg_id, merged, setReferral]
+      );
+      if (p && merged.length !== owned.length) {
+        await recordEvent(client, req.user.tg_id, 'fragment_granted', {
+          source: 'debug/grant-fragments', before: { fragments: owned }, after: { fragments: merged },
+        });
+      }
+      await client.query('COMMIT');
 
-    return res.json({ ok: true, fragments: merged });
+      return res.json({ ok: true, fragments: merged });
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
   } catch (err) {
     console.error('[POST /debug/grant-fragments] ERROR:', err);
     return res.status(500).json({ error: 'internal' });
@@ -1239,14 +1621,8 @@ router.post('/debug/grant-fragments', async (req, res) => {
 });
 
 // POST /api/debug/reset-ciphers  — сбросить выбранные руны у игрока + ПЕРЕРОЛЛ сетки/загадки
-router.post('/debug/reset-ciphers', async (req, res) => {
+router.post('/debug/reset-ciphers', requireDebugKey, async (req, res) => {
   try {
-    const key = req.get('X-Debug-Key') || '';
-    if (!process.env.DEBUG_KEY || key !== process.env.DEBUG_KEY) {
-      // маскируем в проде
-      return res.status(404).json({ error: 'not_found' });
-    }
-
     const tgIdFromJwt = req.user?.tg_id;
     const { tg_id = tgIdFromJwt } = req.body || {};
     if (!tg_id) return res.status(400).json({ error: 'bad_tg_id' });
@@ -1294,6 +1670,10 @@ router.post('/debug/reset-ciphers', async (req, res) => {
                   chosen_cell    = NULL,
                   chosen_rune_id = NULL,
                   answered_at    = NULL,
+                  answer_mode    = NULL,
+                  answered_correct = NULL,
+                  wrong_attempts = 0,
+                  locked_until   = NULL,
                   grid_numbers   = $3::int[],
                   correct_num    = $4,
                   correct_cell   = $5,
@@ -1321,7 +1701,6 @@ router.post('/debug/reset-ciphers', async (req, res) => {
   }
 });
 
-
 /**
  * GET /api/runes/urls?ids=101,202,...
  * Returns signed URLs for requested rune ids.
@@ -1339,7 +1718,7 @@ router.get('/runes/urls', async (req, res) => {
     for (const id of ids) {
       const name = RUNE_ASSETS[id];
       if (!name) continue;
-      urls[id] = abs(req, signAssetUrl('/runes', name, RUNE_URL_TTL_SEC));
+      urls[id] = abs(req, signAssetPath('runes', name));
     }
     return res.json({ urls });
   } catch (err) {
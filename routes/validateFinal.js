@@ -1,9 +1,16 @@
 // файл: src/routes/validateFinal.js
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import pool from '../db.js'; // скорректированный импорт: вверх из папки routes
 import { authenticate } from '../middleware/auth.js';
 import process from 'process';
+import { getActiveConfig } from '../services/gameConfig.js';
+import {
+  normalizePhrase,
+  expectedPhrase,
+  hasAllFragments,
+  finalWindow,
+  recordCompletion,
+} from '../services/finalPuzzle.js';
 
 const router = express.Router();
 
@@ -14,19 +21,6 @@ if (!JWT_SECRET) {
   process.exit(1);
 }
 
-/**
- * Генерация нового JWT для пользователя
- * @param {{tg_id: number, name: string}} user
- * @returns {string} JWT
- */
-function generateToken(user) {
-  return jwt.sign(
-    { tg_id: user.tg_id, name: user.name },
-    JWT_SECRET,
-    { expiresIn: '7d' } // токен действителен 7 дней
-  );
-}
-
 // Обрабатываем preflight-запрос
 router.options('/', (_req, res) => res.sendStatus(204));
 // Аутентификация JWT
@@ -36,68 +30,135 @@ router.use(authenticate);
  * POST /api/validate-final
  * Проверка финальной фразы:
  * - пользователь прошёл аутентификацию JWT
- * - прошло не больше 1 минуты с момента регистрации
- * - у пользователя есть все 8 фрагментов
- * - введённая фраза соответствует шаблону
+ * - у пользователя есть все 8 фрагментов и по руне в каждом шифре
+ * - сейчас открыто окно game_config.final (по умолчанию — ежедневно в минуту регистрации, UTC)
+ * - фраза = слова выбранных рун по порядку frag_id (регистр и разделители не важны)
+ * - после final.maxAttempts неверных фраз — блокировка на final.lockoutMinutes (423)
+ * Успех записывает игрока в completions (место, право на приз); повторный вызов возвращает те же данные.
  * В теле запроса: { phrase: string }
  */
 router.post('/', async (req, res) => {
-  const { phrase } = req.body;
-  if (!phrase) {
+  const { phrase } = req.body || {};
+  if (!phrase || typeof phrase !== 'string') {
     return res.status(400).json({ ok: false, error: 'Missing phrase' });
   }
 
   const tgId = req.user.tg_id;
 
   try {
-    // Извлекаем данные игрока
-    const { rows } = await pool.query(
-      `SELECT name, created_at, fragments
-         FROM players
-        WHERE tg_id = $1
-        LIMIT 1;`,
-      [tgId]
-    );
-    if (rows.length === 0) {
-      return res.status(404).json({ ok: false, error: 'Player not found' });
-    }
+    const { version: configVersion, config: cfg } = await getActiveConfig();
 
-    const { name, created_at, fragments } = rows[0];
-    const created = new Date(created_at);
-    const now = new Date();
-
-    // Проверяем, что сейчас та же минута, что и при регистрации
-    if (
-      created.getUTCFullYear() !== now.getUTCFullYear() ||
-      created.getUTCMonth()    !== now.getUTCMonth()    ||
-      created.getUTCDate()     !== now.getUTCDate()     ||
-      created.getUTCHours()    !== now.getUTCHours()    ||
-      created.getUTCMinutes()  !== now.getUTCMinutes()
-    ) {
-      return res.status(400).json({
-        ok: false,
-        error: 'Time window for final phrase has expired'
-      });
-    }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
 
-    // Проверяем наличие всех 8 фрагментов
-    if (!Array.isArray(fragments) || fragments.length !== 8) {
-      return res.status(400).json({ ok: false, error: 'Fragments missing' });
-    }
+      // Извлекаем данные игрока
+      const { rows } = await client.query(
+        `SELECT p.created_at, p.fragments, p.final_wrong_attempts, p.final_locked_until,
+                c.rank, c.completed_at, c.prize_eligible
+           FROM players p
+           LEFT JOIN completions c ON c.tg_id = p.tg_id
+          WHERE p.tg_id = $1
+          FOR UPDATE OF p`,
+        [tgId]
+      );
+      if (rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ ok: false, error: 'Player not found' });
+      }
+      const player = rows[0];
 
-    // Формируем ожидаемую фразу
-    const template = (process.env.FINAL_PHRASE_TEMPLATE || '').trim();
-    const expected = `${template}-${name}`.trim();
+      // Уже прошёл игру — идемпотентный ответ
+      if (player.completed_at) {
+        await client.query('COMMIT');
+        return res.json({
+          ok: true,
+          completedAt: new Date(player.completed_at).toISOString(),
+          rank: player.rank,
+          prizeEligible: player.prize_eligible,
+        });
+      }
 
-    if (phrase.trim().toLowerCase() !== expected.toLowerCase()) {
-      return res.status(400).json({ ok: false, error: 'Incorrect final phrase' });
-    }
+      if (!hasAllFragments(player.fragments)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ ok: false, error: 'Fragments missing' });
+      }
+
+      if (player.final_locked_until && new Date(player.final_locked_until) > new Date()) {
+        await client.query('ROLLBACK');
+        return res.status(423).json({
+          ok: false,
+          error: 'Too many attempts',
+          lockedUntil: new Date(player.final_locked_until).toISOString(),
+        });
+      }
+
+      const timeWindow = finalWindow(player.created_at, cfg.final);
+      if (!timeWindow.open) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          ok: false,
+          error: 'Time window for final phrase has expired',
+          opensAt: timeWindow.opensAt,
+        });
+      }
+
+      // Ожидаемая фраза — из рун, выбранных в шифрах фрагментов
+      const { rows: ciphers } = await client.query(
+        `SELECT frag_id, chosen_rune_id
+           FROM fragment_ciphers
+          WHERE tg_id = $1
+          ORDER BY frag_id`,
+        [tgId]
+      );
+      const expected = expectedPhrase(ciphers);
+      if (!expected) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ ok: false, error: 'Runes missing' });
+      }
 
-    // Успешно — выдаём новый JWT
-    const newToken = generateToken(req.user);
-    res.setHeader('Authorization', `Bearer ${newToken}`);
-    return res.json({ ok: true });
+      if (normalizePhrase(phrase) !== expected) {
+        // счётчик обнуляется при блокировке, так что после неё начинается новый круг
+        const attempts = Number(player.final_wrong_attempts || 0) + 1;
+        const maxAttempts = cfg.final.maxAttempts;
+        const lockedUntil = attempts >= maxAttempts
+          ? new Date(Date.now() + cfg.final.lockoutMinutes * 60 * 1000)
+          : null;
 
+        await client.query(
+          `UPDATE players
+              SET final_wrong_attempts = $2, final_locked_until = $3
+            WHERE tg_id = $1`,
+          [tgId, lockedUntil ? 0 : attempts, lockedUntil]
+        );
+        await client.query('COMMIT');
+
+        if (lockedUntil) {
+          return res.status(423).json({
+            ok: false,
+            error: 'Too many attempts',
+            lockedUntil: lockedUntil.toISOString(),
+          });
+        }
+        return res.status(400).json({
+          ok: false,
+          error: 'Incorrect final phrase',
+          attemptsLeft: maxAttempts - attempts,
+        });
+      }
+
+      const completion = await recordCompletion(client, tgId, {
+        maxWinners: cfg.prizes.maxWinners,
+        configVersion,
+      });
+      await client.query('COMMIT');
+      return res.json({ ok: true, ...completion });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
   } catch (err) {
     console.error('[VALIDATE-FINAL ERROR]', err);
     return res.status(500).json({ ok: false, error: 'Internal server error' });
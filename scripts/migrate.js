@@ -0,0 +1,179 @@
+// scripts/migrate.js
+// Versioned SQL migrations backed by the schema_migrations table.
+//
+// Layout: migrations/<version>_<name>.up.sql + migrations/<version>_<name>.down.sql
+// Usage:
+//   node scripts/migrate.js up       — apply every pending migration
+//   node scripts/migrate.js down     — roll back the latest applied migration
+//   node scripts/migrate.js status   — list applied / pending migrations
+//
+// Each migration runs in its own transaction; a pg advisory lock keeps two
+// deploys from migrating the same database at once.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool from '../db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+/** Arbitrary constant used as the advisory lock key. */
+const LOCK_KEY = 4_207_001;
+
+const FILE_RE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+/* ── Helpers ──────────────────────────────────────────────────────────── */
+
+/**
+ * Reads migrations/ and pairs up/down files by version.
+ * @returns {{version: string, name: string, up: string, down: string|null}[]} sorted by version
+ */
+function loadMigrations() {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const m = FILE_RE.exec(file);
+    if (!m) continue;
+    const [, version, name, dir] = m;
+
+    const entry = byVersion.get(version) || { version, name, up: null, down: null };
+    if (entry.name !== name) {
+      throw new Error(`migration ${version} has mismatched names: ${entry.name} / ${name}`);
+    }
+    entry[dir] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, entry);
+  }
+
+  const list = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+  for (const m of list) {
+    if (!m.up) throw new Error(`migration ${m.version}_${m.name} has no .up.sql file`);
+  }
+  return list;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    TEXT        PRIMARY KEY,
+      name       TEXT        NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const { rows } = await client.query(
+    `SELECT version, name, applied_at FROM schema_migrations ORDER BY version`
+  );
+  return rows;
+}
+
+/** Runs a single SQL file + bookkeeping statement inside one transaction. */
+async function runInTx(client, file, bookkeeping) {
+  const sql = fs.readFileSync(file, 'utf8');
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await client.query(bookkeeping.text, bookkeeping.values);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+/* ── Commands ─────────────────────────────────────────────────────────── */
+
+async function up(client) {
+  const all = loadMigrations();
+  const done = new Set((await appliedVersions(client)).map(r => r.version));
+  const pending = all.filter(m => !done.has(m.version));
+
+  if (!pending.length) {
+    console.log('✅ schema is up to date');
+    return;
+  }
+
+  for (const m of pending) {
+    console.log(`⬆️  applying ${m.version}_${m.name}`);
+    await runInTx(client, m.up, {
+      text: `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+      values: [m.version, m.name],
+    });
+  }
+  console.log(`✅ applied ${pending.length} migration(s)`);
+}
+
+async function down(client) {
+  const applied = await appliedVersions(client);
+  const last = applied[applied.length - 1];
+  if (!last) {
+    console.log('ℹ️  nothing to roll back');
+    return;
+  }
+
+  const m = loadMigrations().find(x => x.version === last.version);
+  if (!m) throw new Error(`applied migration ${last.version} is missing from migrations/`);
+  if (!m.down) throw new Error(`migration ${m.version}_${m.name} has no .down.sql file`);
+
+  console.log(`⬇️  rolling back ${m.version}_${m.name}`);
+  await runInTx(client, m.down, {
+    text: `DELETE FROM schema_migrations WHERE version = $1`,
+    values: [m.version],
+  });
+  console.log('✅ rolled back');
+}
+
+async function status(client) {
+  const all = loadMigrations();
+  const applied = new Map((await appliedVersions(client)).map(r => [r.version, r]));
+
+  for (const m of all) {
+    const row = applied.get(m.version);
+    const mark = row ? `applied ${new Date(row.applied_at).toISOString()}` : 'pending';
+    console.log(`${m.version}_${m.name}`.padEnd(48), mark);
+  }
+  for (const [version, row] of applied) {
+    if (!all.some(m => m.version === version)) {
+      console.log(`${version}_${row.name}`.padEnd(48), 'applied (file missing!)');
+    }
+  }
+}
+
+const COMMANDS = { up, down, status };
+
+/* ── Entry point ──────────────────────────────────────────────────────── */
+
+async function main() {
+  const cmd = process.argv[2] || 'up';
+  const run = COMMANDS[cmd];
+  if (!run) {
+    console.error(`Usage: node scripts/migrate.js <${Object.keys(COMMANDS).join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const client = await pool.connect();
+  try {
+    // Migrations may legitimately run longer than the pool-wide 5 s limit.
+    await client.query('SET statement_timeout TO 0');
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      await run(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
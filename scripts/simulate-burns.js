@@ -0,0 +1,256 @@
+// scripts/simulate-burns.js
+// Monte-Carlo run of the burn economy using the exact rules from services/burnRules.js
+// (rarity roll of /api/burn-invoice + decision of runBurnLogic). No DB needed.
+//
+// Usage:
+//   npm run simulate-burns -- [--players 10000] [--seed 42] [--pass-rate 1] [--purify]
+//                             [--max-burns 500] [--burn-gap-hours 0] [--config season.json] [--json]
+//
+//   --pass-rate       probability a player answers the burn quest correctly (fail -> pity + 1)
+//   --purify          cursed players pay a purification instead of waiting the curse out
+//   --burn-gap-hours  time a player takes between burns when not cursed
+//   --config          JSON file merged onto the built-in config (same shape as game_config.config)
+//
+// Values go after `=` or as the next argument; bad or unknown options exit with code 1.
+
+import fs from 'fs';
+import {
+  RARITIES,
+  DEFAULT_GAME_CONFIG,
+  mergeConfig,
+  validateConfig,
+} from '../services/gameConfigSections.js';
+import {
+  seededRng,
+  rollRarity,
+  decideBurn,
+  failedQuestPity,
+} from '../services/burnRules.js';
+
+const NANO = 1e9;
+
+/* ── Args ─────────────────────────────────────────────────────────────── */
+
+/** Flag -> kind of value ('flag' takes none); both `--key=value` and `--key value` work. */
+const OPTIONS = {
+  players:          'int',
+  seed:             'int',
+  'pass-rate':      'number',
+  purify:           'flag',
+  'max-burns':      'int',
+  'burn-gap-hours': 'number',
+  config:           'string',
+  json:             'flag',
+};
+
+/** @throws {Error} on unknown flags, missing values and non-numeric numbers */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) throw new Error(`unexpected argument: ${argv[i]}`);
+    const [, key, inline] = m;
+    const kind = OPTIONS[key];
+    if (!kind) throw new Error(`unknown option --${key}`);
+
+    if (kind === 'flag') {
+      if (inline !== undefined) throw new Error(`--${key} takes no value`);
+      args[key] = true;
+      continue;
+    }
+    let value = inline;
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) throw new Error(`--${key} needs a value`);
+      value = next;
+      i += 1;
+    }
+    if (kind !== 'string') {
+      const n = Number(value);
+      if (value.trim() === '' || !Number.isFinite(n)) throw new Error(`--${key} must be a number, got "${value}"`);
+      if (kind === 'int' && !Number.isInteger(n)) throw new Error(`--${key} must be an integer, got "${value}"`);
+      value = n;
+    }
+    args[key] = value;
+  }
+  return {
+    players:      args.players ?? 10_000,
+    seed:         args.seed ?? 42,
+    passRate:     args['pass-rate'] ?? 1,
+    purify:       Boolean(args.purify),
+    maxBurns:     args['max-burns'] ?? 500,
+    burnGapHours: args['burn-gap-hours'] ?? 0,
+    config:       args.config || null,
+    json:         Boolean(args.json),
+  };
+}
+
+/* ── Simulation ───────────────────────────────────────────────────────── */
+
+/**
+ * One player from "owns the mandatory fragments" until the paid pool is complete
+ * (or maxBurns is hit). Time is simulated: burns are burnGapHours apart and
+ * /api/burn-invoice refuses a cursed player, so a curse either blocks burning for
+ * curse.durationHours or is purified right away (--purify).
+ */
+function simulatePlayer(config, opts, rng) {
+  const player = { fragments: [...config.mandatory], curses_count: 0, pity_counter: 0 };
+  const stats = {
+    burns: 0, curses: 0, failedQuests: 0, tonNano: 0, purifications: 0, cursedHours: 0, hours: 0, rarities: {},
+  };
+  let curseEndsAt = null;          // simulated hour the active curse expires
+
+  const done = () => config.paidPool.every(id => player.fragments.includes(id));
+
+  while (!done() && stats.burns < opts.maxBurns) {
+    if (stats.burns > 0) stats.hours += opts.burnGapHours;
+    if (curseEndsAt !== null) {
+      // cursed: no burn invoice until the curse runs out
+      stats.hours = Math.max(stats.hours, curseEndsAt);
+      curseEndsAt = null;
+    }
+
+    stats.burns += 1;
+    stats.tonNano += config.priceNano;
+
+    const rarity = rollRarity(config, player.pity_counter, rng);
+    stats.rarities[rarity] = (stats.rarities[rarity] || 0) + 1;
+
+    if (rng() >= opts.passRate) {
+      stats.failedQuests += 1;
+      player.pity_counter = failedQuestPity(player);
+      continue;
+    }
+
+    const outcome = decideBurn(config, player, rng);
+    player.curses_count = outcome.cursesCount;
+    player.pity_counter = outcome.pity;
+    if (outcome.newFragment !== null) player.fragments.push(outcome.newFragment);
+
+    if (outcome.cursed) {
+      stats.curses += 1;
+      if (opts.purify) {
+        stats.purifications += 1;
+        stats.tonNano += config.purifyPriceNano;
+      } else {
+        stats.cursedHours += outcome.curseHours;
+        curseEndsAt = stats.hours + outcome.curseHours;
+      }
+    }
+  }
+
+  stats.completed = done();
+  return stats;
+}
+
+/* ── Reporting ────────────────────────────────────────────────────────── */
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, idx)];
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((a, b) => a + b, 0) / (sorted.length || 1);
+  return {
+    mean: Number(mean.toFixed(3)),
+    min: sorted[0] ?? null,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99),
+    max: sorted[sorted.length - 1] ?? null,
+  };
+}
+
+function histogram(values) {
+  const out = {};
+  for (const v of values) out[v] = (out[v] || 0) + 1;
+  return out;
+}
+
+function printReport(report) {
+  const { params, metrics, burnsHistogram, rarityShare } = report;
+  console.log(`Simulated ${params.players} players (seed ${params.seed}, pass rate ${params.passRate}, ` +
+              `${params.purify ? 'purify curses' : 'wait curses out'}, ${params.burnGapHours}h between burns)`);
+  console.log(`Completed the paid pool: ${(report.completionRate * 100).toFixed(2)}%\n`);
+
+  const cols = ['mean', 'min', 'p50', 'p90', 'p99', 'max'];
+  console.log('metric'.padEnd(16) + cols.map(c => c.padStart(10)).join(''));
+  for (const [name, s] of Object.entries(metrics)) {
+    console.log(name.padEnd(16) + cols.map(c => String(s[c]).padStart(10)).join(''));
+  }
+
+  console.log('\nburns to completion:');
+  const total = params.players;
+  for (const [burns, count] of Object.entries(burnsHistogram)) {
+    const share = count / total;
+    console.log(`  ${String(burns).padStart(4)}  ${String(count).padStart(7)}  ${(share * 100).toFixed(2).padStart(6)}%  ${'#'.repeat(Math.round(share * 60))}`);
+  }
+
+  console.log('\nquest rarity share:');
+  for (const [rarity, share] of Object.entries(rarityShare)) {
+    console.log(`  ${rarity.padEnd(10)} ${(share * 100).toFixed(2)}%`);
+  }
+}
+
+/* ── Entry point ──────────────────────────────────────────────────────── */
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+    return;
+  }
+  if (!(opts.players > 0) || !(opts.passRate > 0 && opts.passRate <= 1) || !(opts.maxBurns > 0) || !(opts.burnGapHours >= 0)) {
+    console.error('players and max-burns must be > 0, pass-rate within (0, 1], burn-gap-hours >= 0');
+    process.exitCode = 1;
+    return;
+  }
+
+  const patch = opts.config ? JSON.parse(fs.readFileSync(opts.config, 'utf8')) : {};
+  const config = mergeConfig(DEFAULT_GAME_CONFIG, patch);
+  const invalid = validateConfig(config);
+  if (invalid) {
+    console.error(`invalid config: ${invalid}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const rng = seededRng(opts.seed);
+  const runs = [];
+  for (let i = 0; i < opts.players; i++) runs.push(simulatePlayer(config, opts, rng));
+
+  const rarityTotals = {};
+  for (const r of runs) {
+    for (const [k, v] of Object.entries(r.rarities)) rarityTotals[k] = (rarityTotals[k] || 0) + v;
+  }
+  const rolls = Object.values(rarityTotals).reduce((a, b) => a + b, 0) || 1;
+
+  const completed = runs.filter(r => r.completed);
+  const report = {
+    params: { ...opts, config: undefined },
+    config,
+    completionRate: completed.length / runs.length,
+    metrics: {
+      burns:         summarize(completed.map(r => r.burns)),
+      curses:        summarize(runs.map(r => r.curses)),
+      failedQuests:  summarize(runs.map(r => r.failedQuests)),
+      tonSpent:      summarize(runs.map(r => r.tonNano / NANO)),
+      purifications: summarize(runs.map(r => r.purifications)),
+      cursedHours:   summarize(runs.map(r => r.cursedHours)),
+      hours:         summarize(completed.map(r => r.hours)),
+    },
+    burnsHistogram: histogram(completed.map(r => r.burns)),
+    rarityShare: Object.fromEntries(RARITIES.map(k => [k, (rarityTotals[k] || 0) / rolls])),
+  };
+
+  if (opts.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+}
+
+main();
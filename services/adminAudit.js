@@ -0,0 +1,19 @@
+// services/adminAudit.js
+import pool from '../db.js';
+
+/**
+ * Appends an admin action to admin_audit_log. Pass the transaction client so the
+ * entry commits (or rolls back) together with the change it describes.
+ * @param {import('pg').PoolClient|import('pg').Pool} db
+ * @param {{tg_id: string, role: string}} admin req.admin
+ * @param {string} action e.g. 'fragments.grant'
+ * @param {{targetTgId?: number|string|null, invoiceId?: string|null, details?: object}} [opts]
+ */
+export async function writeAudit(db, admin, action, { targetTgId = null, invoiceId = null, details = {} } = {}) {
+  await (db || pool).query(
+    `INSERT INTO admin_audit_log
+       (admin_tg_id, admin_role, action, target_tg_id, target_invoice_id, details)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [admin.tg_id, admin.role, action, targetTgId, invoiceId, details]
+  );
+}
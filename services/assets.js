@@ -0,0 +1,127 @@
+// services/assets.js
+// Signed static images: fragments (1..8 + final), riddles and runes from public/.
+//  • one catalogue of every file the game references (startup check: missingAssets);
+//  • links signed through services/signedUrls.js over `${folder}/${name}|${uid}` —
+//    binding the folder keeps a rune link from opening a fragment; fragment links
+//    also carry the owner's tg_id (uid), and ownership is re-checked on delivery.
+// Without signing keys (dev) links are plain and never expire.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool from '../db.js';
+import { RIDDLE_BANK } from './ciphers.js';
+import { isCompleted } from './finalPuzzle.js';
+import { signParams, verifyParams } from './signedUrls.js';
+
+export const PUBLIC_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'public');
+
+/** Fragment id -> image (in /public/fragments) */
+export const FRAGMENT_IMAGES = {
+  1: 'fragment_1_the_whisper.jpg',
+  2: 'fragment_2_the_number.jpg',
+  3: 'fragment_3_the_language.jpg',
+  4: 'fragment_4_the_mirror.jpg',
+  5: 'fragment_5_the_chain.jpg',
+  6: 'fragment_6_the_hour.jpg',
+  7: 'fragment_7_the_mark.jpg',
+  8: 'fragment_8_the_gate.jpg',
+};
+
+/** Shown to players in the winners registry only (see services/finalPuzzle.js). */
+export const FINAL_IMAGE = 'final-image.jpg';
+
+/** Rune id -> asset name (in /public/runes) */
+export const RUNE_ASSETS = {
+  101: 'rune_1a.png', 102: 'rune_1b.png',
+  201: 'rune_2a.png', 202: 'rune_2b.png',
+  301: 'rune_3a.png', 302: 'rune_3b.png',
+  401: 'rune_4a.png', 402: 'rune_4b.png',
+  501: 'rune_5a.png', 502: 'rune_5b.png',
+  601: 'rune_6a.png', 602: 'rune_6b.png',
+  701: 'rune_7a.png', 702: 'rune_7b.png',
+  801: 'rune_8a.png', 802: 'rune_8b.png',
+};
+
+/** Link lifetime per folder */
+export const ASSET_TTL_SEC = {
+  fragments: 300, // 5 min
+  riddles:   120, // 2 min
+  runes:     300, // 5 min
+};
+
+/** Folder -> every file name the game may link to. */
+const CATALOGUE = {
+  fragments: new Set([...Object.values(FRAGMENT_IMAGES), FINAL_IMAGE]),
+  riddles:   new Set(RIDDLE_BANK.map(r => r.key)),
+  runes:     new Set(Object.values(RUNE_ASSETS)),
+};
+
+export const ASSET_FOLDERS = Object.keys(CATALOGUE);
+
+/** Folders whose links are bound to (and re-checked against) the requesting player. */
+const OWNER_BOUND_FOLDERS = new Set(['fragments']);
+
+/** True for catalogued files only (also rules out path traversal). */
+export function isKnownAsset(folder, name) {
+  return Boolean(CATALOGUE[folder]?.has(name));
+}
+
+/** Absolute path of an asset file. */
+export function assetFilePath(folder, name) {
+  return path.join(PUBLIC_DIR, folder, name);
+}
+
+const signedPayload = (folder, name, uid) => `${folder}/${name}|${uid ?? ''}`;
+
+/**
+ * Signed path (no host) for an asset: `/<folder>/<name>?[uid=&]exp=&kid=&sig=`.
+ * @param {{tgId?: number|string, ttlSec?: number}} [opts] tgId is required for owner-bound folders
+ */
+export function signAssetPath(folder, name, { tgId = null, ttlSec = ASSET_TTL_SEC[folder] } = {}) {
+  const base = `/${folder}/${encodeURIComponent(name)}`;
+  const uid = OWNER_BOUND_FOLDERS.has(folder) ? String(tgId) : null;
+  const params = signParams(signedPayload(folder, name, uid), ttlSec);
+  if (!params) return base; // dev: plain, non-expiring
+  const query = new URLSearchParams(uid ? { uid, ...params } : params);
+  return `${base}?${query}`;
+}
+
+/**
+ * Checks a signed asset request (query: uid?, exp, kid, sig); for owner-bound
+ * folders the uid must still own the asset.
+ * @returns {Promise<{ok: true} | {ok: false, code: number, msg: string}>}
+ */
+export async function verifyAssetRequest(folder, name, query) {
+  const bound = OWNER_BOUND_FOLDERS.has(folder);
+  const uid = bound ? String(query.uid ?? '') : null;
+  if (bound && uid && !/^\d+$/.test(uid)) return { ok: false, code: 400, msg: 'bad_uid' };
+
+  const v = verifyParams(signedPayload(folder, name, uid), query);
+  if (!v.ok) return v;
+  // unsigned (dev) links carry no uid to check
+  if (bound && uid && !(await ownsFragmentAsset(uid, name))) return { ok: false, code: 403, msg: 'not_owned' };
+  return { ok: true };
+}
+
+/** Fragment image -> owns that fragment; final image -> in the winners registry. */
+async function ownsFragmentAsset(tgId, name) {
+  if (name === FINAL_IMAGE) return isCompleted(tgId);
+  const fragId = Number(Object.keys(FRAGMENT_IMAGES).find(id => FRAGMENT_IMAGES[id] === name));
+  const { rowCount } = await pool.query(
+    `SELECT 1 FROM players WHERE tg_id=$1 AND $2 = ANY(fragments)`,
+    [tgId, fragId]
+  );
+  return rowCount > 0;
+}
+
+/** Catalogued files missing on disk, as '<folder>/<name>'. */
+export function missingAssets() {
+  const missing = [];
+  for (const [folder, names] of Object.entries(CATALOGUE)) {
+    for (const name of names) {
+      if (!fs.existsSync(assetFilePath(folder, name))) missing.push(`${folder}/${name}`);
+    }
+  }
+  return missing;
+}
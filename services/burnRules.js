@@ -0,0 +1,88 @@
+// services/burnRules.js
+// Pure burn-economy rules: the rarity roll and the burn outcome decision over the
+// burn section of game config (shape + validation: services/gameConfigSections.js).
+// No DB access, randomness comes from an injectable `rng` (() => number in [0, 1)),
+// so routes, scripts/simulate-burns.js and tests share one implementation.
+
+import crypto from 'crypto';
+
+/** Production RNG: crypto-backed, 6 decimal digits like the original inline rolls. */
+export const cryptoRng = () => crypto.randomInt(1_000_000) / 1_000_000;
+
+/** Deterministic RNG (mulberry32) for simulations and tests. */
+export function seededRng(seed) {
+  let t = Number(seed) >>> 0;
+  return () => {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let x = t;
+    x = Math.imul(x ^ (x >>> 15), x | 1);
+    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Rarity weights for a player's pity (common takes whatever is left of 100).
+ * @returns {{legendary: number, rare: number, uncommon: number, common: number}}
+ */
+export function rarityWeights(config, pity) {
+  const r = config.rarity;
+  const weights = { legendary: 0, rare: 0, uncommon: 0, ...r.weights };
+  const boost = Math.min(Number(pity || 0) * r.pityBoostPerPoint, r.pityBoostCap);
+  weights[r.pityBoostRarity] += boost;
+  weights.common = Math.max(0, 100 - (weights.legendary + weights.rare + weights.uncommon));
+  return weights;
+}
+
+/** Weighted rarity roll for a player's pity. */
+export function rollRarity(config, pity, rng = cryptoRng) {
+  const weights = rarityWeights(config, pity);
+  const total = Object.values(weights).reduce((a, b) => a + b, 0);
+  let r = rng() * total;
+  for (const [k, w] of Object.entries(weights)) {
+    if (r < w) return k;
+    r -= w;
+  }
+  return 'common';
+}
+
+/**
+ * Outcome of a paid burn whose quest was passed (the decision part of runBurnLogic).
+ *
+ *  1) No curses before the mandatory fragments are owned; the first
+ *     curse.guaranteedPaidFragments paid burns always grant a fragment.
+ *  2) Up to curse.max curses in total; none once pity >= curse.pityImmunityAt.
+ *  3) Otherwise a random missing fragment from paidPool (nothing left -> pity + 1).
+ *
+ * @param {object} config game config
+ * @param {{fragments: number[], curses_count: number, pity_counter: number}} player
+ * @returns {{cursed: boolean, newFragment: number|null, cursesCount: number, pity: number, curseHours: number|null}}
+ */
+export function decideBurn(config, player, rng = cryptoRng) {
+  const fr = (player.fragments || []).map(Number);
+  const cursesCount = Number(player.curses_count || 0);
+  const pity = Number(player.pity_counter || 0);
+
+  const hasTutorial  = config.mandatory.every(x => fr.includes(x));
+  const paidOwned    = fr.filter(n => config.paidPool.includes(n)).length;
+  const guaranteed   = hasTutorial && paidOwned < config.curse.guaranteedPaidFragments;
+  const pityImmune   = config.curse.pityImmunityAt != null && pity >= config.curse.pityImmunityAt;
+  const canCurseMore = cursesCount < config.curse.max && !pityImmune;
+
+  const giveCurse = hasTutorial && !guaranteed && canCurseMore && rng() < config.curse.chance;
+  if (giveCurse) {
+    return { cursed: true, newFragment: null, cursesCount: cursesCount + 1, pity: pity + 1, curseHours: config.curse.durationHours };
+  }
+
+  const remaining = config.paidPool.filter(id => !fr.includes(id));
+  if (!remaining.length) {
+    return { cursed: false, newFragment: null, cursesCount, pity: pity + 1, curseHours: null };
+  }
+  const pick = remaining[Math.min(remaining.length - 1, Math.floor(rng() * remaining.length))];
+  return { cursed: false, newFragment: pick, cursesCount, pity: 0, curseHours: null };
+}
+
+/** Pity after a failed / abandoned burn quest (burn-complete fail path). */
+export function failedQuestPity(player) {
+  return Number(player.pity_counter || 0) + 1;
+}
@@ -0,0 +1,129 @@
+// services/ciphers.js
+// Personal fragment ciphers: riddle bank, 4x4 number grid and lazy creation.
+import crypto from 'crypto';
+import pool from '../db.js';
+import { shuffleInPlace } from './random.js';
+
+/** Riddle bank: key = file name in /public/riddles, answer = number 0..99 */
+export const RIDDLE_BANK = [
+  { key: 'riddle_01.png', answer: 48 },
+  { key: 'riddle_02.png', answer: 20 },
+  { key: 'riddle_03.png', answer: 30 },
+  { key: 'riddle_04.png', answer: 60 },
+  { key: 'riddle_05.png', answer: 10 },
+  { key: 'riddle_06.png', answer: 35 },
+  { key: 'riddle_07.png', answer: 50 },
+  { key: 'riddle_08.png', answer: 48 },
+];
+
+/** Rune pairs per fragment: [a, b] — 'a' for the correct number, 'b' otherwise */
+export const RUNE_PAIRS = {
+  1: [101, 102],
+  2: [201, 202],
+  3: [301, 302],
+  4: [401, 402],
+  5: [501, 502],
+  6: [601, 602],
+  7: [701, 702],
+  8: [801, 802],
+};
+
+/** Word each rune glyph reads as (public/runes/rune_<n><a|b>.png); the final phrase is built from them */
+export const RUNE_WORDS = {
+  101: 'ash',   102: 'dust',
+  201: 'ember', 202: 'smoke',
+  301: 'veil',  302: 'mist',
+  401: 'bone',  402: 'stone',
+  501: 'moon',  502: 'void',
+  601: 'blood', 602: 'salt',
+  701: 'crown', 702: 'chain',
+  801: 'gate',  802: 'wall',
+};
+
+/** Build a 4x4 grid of unique numbers (0..99) with a guaranteed correct value. */
+export function makeGridNumbers(correctNum, bannedCells = []) {
+  const set = new Set([correctNum]);
+  while (set.size < 16) {
+    const n = crypto.randomInt(100);
+    if (!set.has(n)) set.add(n);
+  }
+  const arr = Array.from(set);
+  shuffleInPlace(arr);
+  let correctCell = arr.findIndex((n) => n === correctNum);
+
+  // Если “правильная” ячейка уже встречалась у этого игрока — переносим её.
+  if (Array.isArray(bannedCells) && bannedCells.includes(correctCell)) {
+    const all = Array.from({ length: 16 }, (_, i) => i);
+    const allowed = all.filter((i) => !bannedCells.includes(i));
+    if (allowed.length) {
+      const newIdx = crypto.randomInt(allowed.length);
+      const target = allowed[newIdx];
+      // Меняем местами correctNum и число из target-ячейки
+      const tmp = arr[target];
+      arr[target] = correctNum;
+      arr[correctCell] = tmp;
+      correctCell = target;
+    }
+  }
+  return { arr, correctCell };
+}
+
+/**
+ * Ensure a personal cipher exists for (tg_id, frag_id). No-op if already present.
+ * Stores: 4x4 grid, correct number and cell, and the riddle key.
+ */
+export async function ensureCipherForFragment(clientOrPool, tgId, fragId) {
+  const db = clientOrPool || pool;
+
+  const { rows: existing } = await db.query(
+    `SELECT tg_id FROM fragment_ciphers WHERE tg_id=$1 AND frag_id=$2 LIMIT 1`,
+    [tgId, fragId]
+  );
+  if (existing.length) return;
+
+  const { rows: usedRows } = await db.query(
+    `SELECT correct_cell FROM fragment_ciphers WHERE tg_id=$1`,
+    [tgId]
+  );
+  const banned = usedRows
+    .map(r => Number(r.correct_cell))
+    .filter(n => Number.isFinite(n));
+
+  const ridx = crypto.randomInt(RIDDLE_BANK.length);
+  const riddle = RIDDLE_BANK[ridx];
+  const { arr: grid, correctCell } = makeGridNumbers(riddle.answer, banned);
+
+  await db.query(
+    `INSERT INTO fragment_ciphers
+       (tg_id, frag_id, grid_numbers, correct_num, correct_cell, riddle_key)
+     VALUES ($1,$2,$3::int[],$4,$5,$6)`,
+    [tgId, fragId, grid, riddle.answer, correctCell, riddle.key]
+  );
+}
+
+/* ── Answer checking ─────────────────────────────────────────────────── */
+
+/**
+ * Cipher mode for a player under the `cipher` config section. 'ab' splits
+ * players by a stable hash of tg_id, strictPercent of them get 'strict'.
+ * @returns {'lenient'|'strict'}
+ */
+export function cipherModeFor(cipherConfig, tgId) {
+  if (cipherConfig.mode !== 'ab') return cipherConfig.mode;
+  const bucket = crypto.createHash('sha256').update(`cipher-ab:${tgId}`).digest().readUInt32BE(0) % 100;
+  return bucket < cipherConfig.strictPercent ? 'strict' : 'lenient';
+}
+
+/**
+ * Judges one answer against a cipher row (pure).
+ *  lenient: any number in the grid is accepted — 'a' rune if it is correct_num, 'b' otherwise;
+ *  strict:  only correct_num is accepted ('a' rune), anything else is a wrong attempt.
+ * @returns {{accepted: boolean, correct: boolean, cell: number, runeId: number|null}}
+ */
+export function judgeCipherAnswer(row, fragId, chosenNumber, mode) {
+  const cell = row.grid_numbers.findIndex(n => Number(n) === chosenNumber);
+  const correct = Number(row.correct_num) === chosenNumber;
+  const accepted = mode === 'strict' ? correct : cell >= 0;
+  const [runeA, runeB] = RUNE_PAIRS[fragId] || [];
+  return { accepted, correct, cell, runeId: accepted ? (correct ? runeA : runeB) ?? null : null };
+}
@@ -0,0 +1,128 @@
+// services/coupons.js
+// Daily-quest discount coupons: claim, single-use consumption on burn invoices,
+// restoration when the invoice is closed unpaid, and reclaiming it if that invoice
+// gets paid after all.
+
+/** Percent granted by POST /api/daily-quest/claim */
+export const DAILY_COUPON_PERCENT = 30;
+
+/** First instant of the next UTC day — coupons are valid until then. */
+export function endOfUtcDay(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+/**
+ * Applies a percent discount to a nano amount (integer math, rounds down).
+ * @param {number|string|bigint} amountNano
+ * @param {number} percent 0..100
+ * @returns {string} discounted amount in nano
+ */
+export function applyDiscount(amountNano, percent) {
+  const p = BigInt(Math.max(0, Math.min(100, Number(percent) || 0)));
+  return ((BigInt(amountNano) * (100n - p)) / 100n).toString();
+}
+
+/**
+ * Puts a coupon into the player's single coupon slot (daily quest, referral tiers).
+ * An active coupon with a larger or equal percent is kept (its expiry is extended
+ * if the new one lasts longer), so a smaller reward never wipes a bigger one.
+ * @returns {Promise<{percent: number, expiresAt: Date}>} the coupon now in the slot
+ */
+export async function grantCoupon(db, tgId, percent, expiresAt) {
+  const { rows: [p] } = await db.query(
+    `UPDATE players
+        SET daily_coupon_percent = CASE WHEN keep THEN daily_coupon_percent ELSE $2 END,
+            daily_coupon_expires = CASE WHEN keep THEN GREATEST(daily_coupon_expires, $3) ELSE $3 END
+       FROM (SELECT daily_coupon_percent >= $2 AND daily_coupon_expires > NOW() AS keep
+               FROM players WHERE tg_id = $1) cur
+      WHERE tg_id = $1
+      RETURNING daily_coupon_percent, daily_coupon_expires`,
+    [tgId, percent, expiresAt]
+  );
+  return { percent: Number(p.daily_coupon_percent), expiresAt: new Date(p.daily_coupon_expires) };
+}
+
+/**
+ * Consumes the player's active coupon (if any). Call inside a transaction:
+ * the player row is locked and the coupon cleared.
+ * @returns {Promise<{percent: number, expiresAt: Date}|null>}
+ */
+export async function takeCoupon(client, tgId) {
+  const { rows: [p] } = await client.query(
+    `SELECT daily_coupon_percent, daily_coupon_expires
+       FROM players
+      WHERE tg_id=$1
+      FOR UPDATE`,
+    [tgId]
+  );
+  const percent = Number(p?.daily_coupon_percent || 0);
+  if (!percent || !p.daily_coupon_expires || new Date(p.daily_coupon_expires) <= new Date()) {
+    return null;
+  }
+
+  await client.query(
+    `UPDATE players SET daily_coupon_percent=0, daily_coupon_expires=NULL WHERE tg_id=$1`,
+    [tgId]
+  );
+  return { percent, expiresAt: new Date(p.daily_coupon_expires) };
+}
+
+/**
+ * Gives coupons back for invoices that were closed without payment.
+ * Skips coupons past their own expiry and never overwrites a newer active coupon.
+ * Restored invoices are flagged (coupon_restored_at) for reclaimCoupon.
+ * @param {import('pg').PoolClient} client
+ * @param {string[]} invoiceIds
+ * @returns {Promise<number>} restored count
+ */
+export async function restoreCoupons(client, invoiceIds) {
+  if (!invoiceIds.length) return 0;
+  const { rowCount } = await client.query(
+    `WITH restored AS (
+       UPDATE players p
+          SET daily_coupon_percent = b.coupon_percent,
+              daily_coupon_expires = b.coupon_expires_at
+         FROM burn_invoices b
+        WHERE b.invoice_id = ANY($1::uuid[])
+          AND b.tg_id = p.tg_id
+          AND b.coupon_percent > 0
+          AND b.coupon_expires_at > NOW()
+          AND (p.daily_coupon_percent = 0 OR p.daily_coupon_expires IS NULL OR p.daily_coupon_expires <= NOW())
+        RETURNING b.invoice_id
+     )
+     UPDATE burn_invoices
+        SET coupon_restored_at = NOW()
+      WHERE invoice_id IN (SELECT invoice_id FROM restored)`,
+    [invoiceIds]
+  );
+  return rowCount;
+}
+
+/**
+ * A closed invoice whose coupon was restored got paid after all (on-time payment
+ * seen late, operator mark-paid / honor): its discount is used, so the restored
+ * coupon leaves the player's slot again. Runs inside the caller's transaction.
+ * @returns {Promise<boolean>} true when the coupon was taken back
+ */
+export async function reclaimCoupon(client, invoiceId) {
+  const { rows: [inv] } = await client.query(
+    `UPDATE burn_invoices
+        SET coupon_restored_at = NULL
+      WHERE invoice_id = $1 AND coupon_restored_at IS NOT NULL
+      RETURNING tg_id, coupon_percent, coupon_expires_at`,
+    [invoiceId]
+  );
+  if (!inv) return false;
+
+  // only if the slot still holds that very coupon (not a newer one)
+  const { rowCount } = await client.query(
+    `UPDATE players
+        SET daily_coupon_percent = 0,
+            daily_coupon_expires = NULL
+      WHERE tg_id = $1
+        AND daily_coupon_percent = $2
+        AND daily_coupon_expires = $3`,
+    [inv.tg_id, inv.coupon_percent, inv.coupon_expires_at]
+  );
+  return rowCount > 0;
+}
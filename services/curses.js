@@ -0,0 +1,78 @@
+// services/curses.js
+// Curse lifecycle: expiry, early lifting (purification / operator) and the
+// curse block every player payload carries.
+
+import pool from '../db.js';
+import { recordEvent } from './playerEvents.js';
+
+/** True while a curse is set and not yet past curse_expires. */
+export function isCurseActive(row, now = new Date()) {
+  if (!row?.is_cursed) return false;
+  return !row.curse_expires || new Date(row.curse_expires) > now;
+}
+
+/**
+ * Curse block for player payloads. Computed at read time, so a curse that has
+ * expired but was not swept yet is already reported as inactive.
+ * @returns {{active: boolean, expiresAt: string|null}}
+ */
+export function curseInfo(row, now = new Date()) {
+  const active = isCurseActive(row, now);
+  return {
+    active,
+    expiresAt: active && row.curse_expires ? new Date(row.curse_expires).toISOString() : null,
+  };
+}
+
+/**
+ * Lifts the player's curse (if any) and records a 'curse_lifted' event.
+ * Runs inside the caller's transaction.
+ * @param {{source: string, invoiceId?: string|null, actorTgId?: number|string|null}} opts
+ * @returns {Promise<{is_cursed: boolean, curse_expires: Date|null}|null>} state before, null if not cursed
+ */
+export async function liftCurse(client, tgId, { source, invoiceId = null, actorTgId = null }) {
+  const { rows: [p] } = await client.query(
+    `SELECT is_cursed, curse_expires FROM players WHERE tg_id=$1 FOR UPDATE`,
+    [tgId]
+  );
+  if (!p?.is_cursed) return null;
+
+  await client.query(
+    `UPDATE players SET is_cursed=FALSE, curse_expires=NULL WHERE tg_id=$1`,
+    [tgId]
+  );
+  await recordEvent(client, tgId, 'curse_lifted', {
+    source, invoiceId, actorTgId,
+    before: p,
+    after: { is_cursed: false, curse_expires: null },
+  });
+  return p;
+}
+
+/**
+ * Clears curses past curse_expires (one player or everyone).
+ * @returns {Promise<string[]>} tg_ids whose curse was cleared
+ */
+export async function clearExpiredCurses(tgId = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT tg_id FROM players
+        WHERE is_cursed AND curse_expires <= NOW()
+          AND ($1::bigint IS NULL OR tg_id = $1)
+        FOR UPDATE SKIP LOCKED`,
+      [tgId]
+    );
+    for (const { tg_id } of rows) {
+      await liftCurse(client, tg_id, { source: 'curse-expiry' });
+    }
+    await client.query('COMMIT');
+    return rows.map(r => String(r.tg_id));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,68 @@
+// services/fairness.js
+// Provably-fair commit–reveal for burns.
+//
+//  • /api/burn-invoice generates a random server seed per invoice and returns only
+//    sha256(serverSeed) (the commitment);
+//  • every random number is drawn from HMAC-SHA256(key = serverSeed,
+//    msg = `${clientSeed}:${nonce}:${round}`), first 4 bytes / 2^32, round = 0, 1, 2…;
+//    nonce 0 = quest rarity (client seed from /burn-invoice),
+//    nonce 1 = curse / fragment decision (client seed from /burn-complete);
+//  • once the burn is resolved the server seed is revealed and anyone can
+//    recompute the outcome (GET /api/burn-verify/:id).
+
+import crypto from 'crypto';
+import { rollRarity, decideBurn } from './burnRules.js';
+
+export const NONCE_RARITY = 0;
+export const NONCE_BURN = 1;
+
+/** Longest client seed accepted (characters). */
+export const MAX_CLIENT_SEED_LENGTH = 64;
+
+/** Fresh secret server seed (hex). */
+export function newServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/** Commitment published before the outcome is decided. */
+export function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Client seed from a request body: any string up to MAX_CLIENT_SEED_LENGTH, '' when absent.
+ * @returns {string|null} null when invalid
+ */
+export function normalizeClientSeed(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const seed = String(value);
+  return seed.length <= MAX_CLIENT_SEED_LENGTH ? seed : null;
+}
+
+/** RNG (() => [0, 1)) for one decision, deterministic in its inputs. */
+export function fairRng(serverSeed, clientSeed, nonce) {
+  let round = 0;
+  return () => {
+    const digest = crypto
+      .createHmac('sha256', serverSeed)
+      .update(`${clientSeed}:${nonce}:${round++}`)
+      .digest();
+    return digest.readUInt32BE(0) / 2 ** 32;
+  };
+}
+
+/**
+ * Recomputes a resolved burn from its revealed inputs.
+ * @param {{serverSeed: string, pricedConfig: object, resolvedConfig: object, fairData: object}} input
+ * @returns {{rarity: string|null, outcome: object|null}}
+ */
+export function recomputeBurn({ serverSeed, pricedConfig, resolvedConfig, fairData }) {
+  const rarity = fairData?.rarity
+    ? rollRarity(pricedConfig, fairData.rarity.pity, fairRng(serverSeed, fairData.rarity.clientSeed, NONCE_RARITY))
+    : null;
+  const outcome = fairData?.burn
+    ? decideBurn(resolvedConfig, fairData.burn.player, fairRng(serverSeed, fairData.burn.clientSeed, NONCE_BURN))
+    : null;
+  return { rarity, outcome };
+}
@@ -0,0 +1,111 @@
+// services/finalPuzzle.js
+// Final phrase: each player's answer is spelled by the eight runes they chose in
+// their fragment ciphers (ordered by frag_id), accepted only inside the time
+// window from game_config.final. A correct phrase records the completion
+// (completions table + players.completed_at / completion_rank).
+
+import pool from '../db.js';
+import { RUNE_WORDS } from './ciphers.js';
+
+const ALL_FRAGMENTS = [1, 2, 3, 4, 5, 6, 7, 8];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Advisory lock key serialising completion ranks. */
+const COMPLETION_LOCK_KEY = 804_215_017;
+
+/** Case, punctuation and spacing do not matter: "Ash-Ember  veil" == "ash ember veil". */
+export function normalizePhrase(phrase) {
+  return String(phrase ?? '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Expected phrase from the player's cipher rows ({frag_id, chosen_rune_id}).
+ * @returns {string|null} null while any of the eight ciphers has no rune yet
+ */
+export function expectedPhrase(cipherRows) {
+  const runeByFrag = new Map(cipherRows.map(r => [Number(r.frag_id), Number(r.chosen_rune_id)]));
+  const words = ALL_FRAGMENTS.map(id => RUNE_WORDS[runeByFrag.get(id)]);
+  return words.every(Boolean) ? words.join(' ') : null;
+}
+
+/** True when the fragments array holds every fragment 1..8. */
+export function hasAllFragments(fragments) {
+  const owned = new Set((fragments || []).map(Number));
+  return ALL_FRAGMENTS.every(id => owned.has(id));
+}
+
+/**
+ * Time window for the final phrase.
+ *  'always' — always open;
+ *  'daily'  — opens every day at the player's registration time (UTC, to the
+ *             minute) and stays open for windowMinutes.
+ * @returns {{open: boolean, opensAt: string|null, closesAt: string|null}}
+ */
+export function finalWindow(createdAt, finalConfig, now = new Date()) {
+  if (finalConfig.window === 'always') return { open: true, opensAt: null, closesAt: null };
+
+  const created = new Date(createdAt);
+  const lengthMs = finalConfig.windowMinutes * 60 * 1000;
+  let start = Date.UTC(
+    now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(),
+    created.getUTCHours(), created.getUTCMinutes()
+  );
+  if (start > now.getTime()) start -= DAY_MS; // window may still be open from yesterday
+
+  if (now.getTime() < start + lengthMs) {
+    return { open: true, opensAt: null, closesAt: new Date(start + lengthMs).toISOString() };
+  }
+  return { open: false, opensAt: new Date(start + DAY_MS).toISOString(), closesAt: null };
+}
+
+/**
+ * Records the player in completions with the next finishing rank and mirrors it
+ * on players. Ranks up to prizes.maxWinners are prize-eligible; the wallet is
+ * the payer of the player's latest paid invoice.
+ * Runs inside the caller's transaction (the advisory lock is released on COMMIT/ROLLBACK).
+ * @param {{maxWinners: number, configVersion?: number|null}} opts
+ * @returns {Promise<{completedAt: string, rank: number, prizeEligible: boolean}>}
+ */
+export async function recordCompletion(client, tgId, { maxWinners, configVersion = null }) {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [COMPLETION_LOCK_KEY]);
+
+  const { rows: [{ rank }] } = await client.query(
+    `SELECT COALESCE(MAX(rank), 0) + 1 AS rank FROM completions`
+  );
+  const { rows: [row] } = await client.query(
+    `INSERT INTO completions (tg_id, rank, prize_eligible, wallet_address, config_version)
+     VALUES ($1, $2, $3,
+             (SELECT payer_address
+                FROM burn_invoices
+               WHERE tg_id = $1 AND payer_address IS NOT NULL
+               ORDER BY paid_at DESC NULLS LAST
+               LIMIT 1),
+             $4)
+     RETURNING rank, completed_at, prize_eligible`,
+    [tgId, rank, rank <= maxWinners, configVersion]
+  );
+  await client.query(
+    `UPDATE players
+        SET completed_at = $2,
+            completion_rank = $3,
+            final_wrong_attempts = 0,
+            final_locked_until = NULL
+      WHERE tg_id = $1`,
+    [tgId, row.completed_at, row.rank]
+  );
+  return {
+    completedAt: new Date(row.completed_at).toISOString(),
+    rank: row.rank,
+    prizeEligible: row.prize_eligible,
+  };
+}
+
+/** True when the player is in the winners registry. */
+export async function isCompleted(tgId, db = pool) {
+  const { rowCount } = await db.query(`SELECT 1 FROM completions WHERE tg_id = $1`, [tgId]);
+  return rowCount > 0;
+}
@@ -0,0 +1,69 @@
+// services/gameConfig.js
+// Versioned game settings from the game_config table with a small in-process cache
+// (sections, defaults and validation: services/gameConfigSections.js).
+// Admin writes call invalidateGameConfigCache(); other instances pick new versions up
+// after GAME_CONFIG_CACHE_TTL_SEC (or when a scheduled effective_from passes).
+
+import pool from '../db.js';
+import { DEFAULT_GAME_CONFIG, mergeConfig } from './gameConfigSections.js';
+
+export { DEFAULT_GAME_CONFIG, mergeConfig, validateConfig } from './gameConfigSections.js';
+
+const { GAME_CONFIG_CACHE_TTL_SEC = 60 } = process.env;
+
+let cache = null;      // { loadedAt: number, rows: {version, name, config, effective_from}[] }
+let loading = null;    // in-flight load shared by concurrent callers
+
+/** Drops the cached version list. */
+export function invalidateGameConfigCache() {
+  cache = null;
+}
+
+async function loadVersions() {
+  if (cache && Date.now() - cache.loadedAt < Number(GAME_CONFIG_CACHE_TTL_SEC) * 1000) {
+    return cache.rows;
+  }
+  if (!loading) {
+    loading = pool
+      .query(
+        `SELECT version, name, config, effective_from
+           FROM game_config
+          ORDER BY effective_from DESC, version DESC`
+      )
+      .then(({ rows }) => {
+        cache = { loadedAt: Date.now(), rows };
+        return rows;
+      })
+      .finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+/**
+ * Config in effect at `at` (latest effective_from <= at).
+ * Stored versions are merged onto the built-in defaults, so sections added
+ * later (e.g. `cipher`) have values for versions saved before them.
+ * @returns {Promise<{version: number|null, config: object}>} version null = built-in defaults
+ */
+export async function getActiveConfig(at = new Date()) {
+  const rows = await loadVersions();
+  const row = rows.find(r => new Date(r.effective_from) <= at);
+  return row
+    ? { version: row.version, config: mergeConfig(DEFAULT_GAME_CONFIG, row.config) }
+    : { version: null, config: DEFAULT_GAME_CONFIG };
+}
+
+/**
+ * A specific version (for recomputing old outcomes).
+ * @returns {Promise<object>} built-in defaults for null (pre-config invoices)
+ */
+export async function getConfigVersion(version) {
+  if (version == null) return DEFAULT_GAME_CONFIG;
+  const rows = await loadVersions();
+  const cached = rows.find(r => r.version === Number(version));
+  if (cached) return mergeConfig(DEFAULT_GAME_CONFIG, cached.config);
+
+  // created on another instance after our cache was filled
+  const { rows: [row] } = await pool.query(`SELECT config FROM game_config WHERE version=$1`, [version]);
+  return row ? mergeConfig(DEFAULT_GAME_CONFIG, row.config) : DEFAULT_GAME_CONFIG;
+}
@@ -0,0 +1,202 @@
+// services/gameConfigSections.js
+// Shape of game_config.config: one section per feature, each with its defaults and
+// its own validator. Pure (no DB) so scripts/simulate-burns.js can use it offline;
+// the app goes through services/gameConfig.js, which re-exports what it needs.
+// A new feature adds its section here instead of growing an unrelated module.
+
+/** Deep merge of plain objects (arrays and scalars in `patch` replace). */
+export function mergeConfig(base, patch) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(patch || {})) {
+    const isObj = v && typeof v === 'object' && !Array.isArray(v);
+    out[k] = isObj && base?.[k] && typeof base[k] === 'object' ? mergeConfig(base[k], v) : v;
+  }
+  return out;
+}
+
+/* ── Burn economy (top-level keys, see services/burnRules.js) ─────────── */
+
+export const RARITIES = ['common', 'uncommon', 'rare', 'legendary'];
+
+export const BURN_DEFAULTS = {
+  priceNano: 500_000_000,          // 0.5 TON
+  purifyPriceNano: 250_000_000,
+  mandatory: [1, 2, 3],            // free/mandatory fragments
+  paidPool: [4, 5, 6, 7, 8],       // fragments a burn can award
+  curse: {
+    chance: 0.35,                  // base chance once guarantees are over
+    max: 2,                        // max curses applied to a player
+    durationHours: 24,
+    guaranteedPaidFragments: 2,    // first N paid burns always give a fragment
+    pityImmunityAt: null,          // pity >= N -> no curse (null = off)
+  },
+  rarity: {
+    weights: { legendary: 5, rare: 15, uncommon: 30 }, // out of 100, common = the rest
+    pityBoostRarity: 'rare',
+    pityBoostPerPoint: 1,
+    pityBoostCap: 20,
+  },
+};
+
+/** Real JSON number: rejects strings, null, NaN and ±Infinity that `>=` comparisons let through. */
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+const isFragmentList = a =>
+  Array.isArray(a) && a.length > 0 && a.every(n => Number.isInteger(n) && n >= 1 && n <= 8);
+
+/** @param {object} c the whole config (burn keys predate sections and live at the top level) */
+export function validateBurnSection(c) {
+  for (const key of ['priceNano', 'purifyPriceNano']) {
+    if (!Number.isSafeInteger(c[key]) || c[key] <= 0) return `${key} must be a positive integer`;
+  }
+  if (!isFragmentList(c.mandatory)) return 'mandatory must list fragment ids 1..8';
+  if (!isFragmentList(c.paidPool)) return 'paidPool must list fragment ids 1..8';
+  if (c.paidPool.some(id => c.mandatory.includes(id))) return 'paidPool overlaps mandatory';
+
+  const cu = c.curse || {};
+  if (!(isNumber(cu.chance) && cu.chance >= 0 && cu.chance <= 1)) return 'curse.chance must be within 0..1';
+  if (!Number.isInteger(cu.max) || cu.max < 0) return 'curse.max must be an integer >= 0';
+  if (!(isNumber(cu.durationHours) && cu.durationHours > 0)) return 'curse.durationHours must be > 0';
+  if (!Number.isInteger(cu.guaranteedPaidFragments) || cu.guaranteedPaidFragments < 0) {
+    return 'curse.guaranteedPaidFragments must be an integer >= 0';
+  }
+  if (cu.pityImmunityAt !== null && !(Number.isInteger(cu.pityImmunityAt) && cu.pityImmunityAt > 0)) {
+    return 'curse.pityImmunityAt must be a positive integer or null';
+  }
+
+  const r = c.rarity || {};
+  const w = r.weights || {};
+  for (const [k, v] of Object.entries(w)) {
+    if (!RARITIES.includes(k) || k === 'common') return `rarity.weights.${k} is not allowed`;
+    if (!(isNumber(v) && v >= 0)) return `rarity.weights.${k} must be a number >= 0`;
+  }
+  if (!RARITIES.includes(r.pityBoostRarity) || r.pityBoostRarity === 'common') {
+    return 'rarity.pityBoostRarity must be uncommon, rare or legendary';
+  }
+  if (!(isNumber(r.pityBoostPerPoint) && r.pityBoostPerPoint >= 0) || !(isNumber(r.pityBoostCap) && r.pityBoostCap >= 0)) {
+    return 'rarity.pityBoostPerPoint / pityBoostCap must be numbers >= 0';
+  }
+  const topTotal = Object.values(w).reduce((a, b) => a + b, 0) + r.pityBoostCap;
+  if (topTotal > 100) return 'rarity weights plus pityBoostCap exceed 100';
+  return null;
+}
+
+/* ── cipher (services/ciphers.js) ─────────────────────────────────────── */
+
+export const CIPHER_MODES = ['lenient', 'strict', 'ab'];
+
+export const CIPHER_DEFAULTS = {
+  mode: 'lenient',                 // 'lenient' | 'strict' | 'ab'
+  strictPercent: 50,               // 'ab': share of players (by tg_id) in strict mode
+  maxAttempts: 3,                  // strict: wrong answers before a lockout
+  lockoutMinutes: 60,
+};
+
+export function validateCipherSection(ci) {
+  if (!CIPHER_MODES.includes(ci.mode)) return `cipher.mode must be one of ${CIPHER_MODES.join(', ')}`;
+  if (!(isNumber(ci.strictPercent) && ci.strictPercent >= 0 && ci.strictPercent <= 100)) return 'cipher.strictPercent must be within 0..100';
+  if (!Number.isInteger(ci.maxAttempts) || ci.maxAttempts < 1) return 'cipher.maxAttempts must be an integer >= 1';
+  if (!(isNumber(ci.lockoutMinutes) && ci.lockoutMinutes > 0)) return 'cipher.lockoutMinutes must be > 0';
+  return null;
+}
+
+/* ── final (services/finalPuzzle.js) ──────────────────────────────────── */
+
+export const FINAL_WINDOWS = ['daily', 'always'];
+
+export const FINAL_DEFAULTS = {
+  window: 'daily',                 // 'daily' = every day at the registration time (UTC) | 'always'
+  windowMinutes: 1,                // daily: how long the window stays open
+  maxAttempts: 5,                  // wrong phrases before a lockout
+  lockoutMinutes: 60,
+};
+
+export function validateFinalSection(fi) {
+  if (!FINAL_WINDOWS.includes(fi.window)) return `final.window must be one of ${FINAL_WINDOWS.join(', ')}`;
+  if (!(isNumber(fi.windowMinutes) && fi.windowMinutes > 0 && fi.windowMinutes <= 1440)) return 'final.windowMinutes must be within (0, 1440]';
+  if (!Number.isInteger(fi.maxAttempts) || fi.maxAttempts < 1) return 'final.maxAttempts must be an integer >= 1';
+  if (!(isNumber(fi.lockoutMinutes) && fi.lockoutMinutes > 0)) return 'final.lockoutMinutes must be > 0';
+  return null;
+}
+
+/* ── prizes (winners registry) ────────────────────────────────────────── */
+
+export const PRIZES_DEFAULTS = {
+  maxWinners: 100,                 // first N finishers are prize-eligible
+};
+
+export function validatePrizesSection(pr) {
+  if (!Number.isInteger(pr.maxWinners) || pr.maxWinners < 0) return 'prizes.maxWinners must be an integer >= 0';
+  return null;
+}
+
+/* ── referral (services/referrals.js) ─────────────────────────────────── */
+
+export const REFERRAL_MILESTONES = ['paid_burn', 'paid_invoice'];
+
+export const REFERRAL_DEFAULTS = {
+  confirmOn: 'paid_burn',          // milestone confirming a referral: 'paid_burn' | 'paid_invoice'
+  tiers: [                         // claimed once each, in any order, by confirmed invites
+    { id: 'fragment_2', invites: 3,  reward: { type: 'fragment', fragmentId: 2 } },
+    { id: 'coupon_20',  invites: 5,  reward: { type: 'coupon', percent: 20, days: 7 } },
+    { id: 'coupon_50',  invites: 10, reward: { type: 'coupon', percent: 50, days: 7 } },
+  ],
+};
+
+export function validateReferralSection(rf) {
+  if (!REFERRAL_MILESTONES.includes(rf.confirmOn)) {
+    return `referral.confirmOn must be one of ${REFERRAL_MILESTONES.join(', ')}`;
+  }
+  if (!Array.isArray(rf.tiers)) return 'referral.tiers must be an array';
+  const tierIds = new Set();
+  for (const t of rf.tiers) {
+    if (!t || typeof t.id !== 'string' || !t.id || tierIds.has(t.id)) return 'referral.tiers[].id must be unique strings';
+    tierIds.add(t.id);
+    if (!Number.isInteger(t.invites) || t.invites < 1) return `referral tier ${t.id}: invites must be an integer >= 1`;
+    const r = t.reward || {};
+    if (r.type === 'fragment') {
+      if (!Number.isInteger(r.fragmentId) || r.fragmentId < 1 || r.fragmentId > 8) {
+        return `referral tier ${t.id}: fragmentId must be 1..8`;
+      }
+    } else if (r.type === 'coupon') {
+      if (!Number.isInteger(r.percent) || r.percent < 1 || r.percent > 100) return `referral tier ${t.id}: percent must be 1..100`;
+      if (!(isNumber(r.days) && r.days > 0)) return `referral tier ${t.id}: days must be > 0`;
+    } else {
+      return `referral tier ${t.id}: reward.type must be fragment or coupon`;
+    }
+  }
+  return null;
+}
+
+/* ── Whole config ─────────────────────────────────────────────────────── */
+
+/** Used only when game_config is empty (fresh DB before migrations finished). */
+export const DEFAULT_GAME_CONFIG = {
+  ...BURN_DEFAULTS,
+  cipher: CIPHER_DEFAULTS,
+  final: FINAL_DEFAULTS,
+  prizes: PRIZES_DEFAULTS,
+  referral: REFERRAL_DEFAULTS,
+};
+
+/** Section key (null = top level) -> validator, in reporting order. */
+const SECTION_VALIDATORS = [
+  [null, validateBurnSection],
+  ['cipher', validateCipherSection],
+  ['final', validateFinalSection],
+  ['prizes', validatePrizesSection],
+  ['referral', validateReferralSection],
+];
+
+/**
+ * Validates a full config object.
+ * @returns {string|null} error message of the first invalid section, null when valid
+ */
+export function validateConfig(c) {
+  if (!c || typeof c !== 'object') return 'config must be an object';
+  for (const [key, validate] of SECTION_VALIDATORS) {
+    const error = validate(key === null ? c : c[key] || {});
+    if (error) return error;
+  }
+  return null;
+}
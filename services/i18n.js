@@ -0,0 +1,165 @@
+// services/i18n.js
+// Locale resolution and user-facing message catalogue (English fallback).
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LOCALES = ['en', 'ru'];
+
+/**
+ * Maps a language tag ('ru', 'ru-RU', 'RU') to a supported locale.
+ * @returns {string|null} null when unsupported / empty
+ */
+export function normalizeLocale(tag) {
+  const base = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
+
+/**
+ * First supported locale from an Accept-Language header, honouring q-weights.
+ * @returns {string|null}
+ */
+export function localeFromAcceptLanguage(header) {
+  if (!header) return null;
+  const ranked = String(header)
+    .split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag, q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(x => x.tag && x.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+
+  for (const { tag } of ranked) {
+    const loc = normalizeLocale(tag);
+    if (loc) return loc;
+  }
+  return null;
+}
+
+/**
+ * Locale for a request: explicit override (?locale= / Accept-Language, see
+ * middleware/locale.js) → the player's stored locale → English.
+ */
+export function resolveLocale(req, playerLocale) {
+  return req?.locale || normalizeLocale(playerLocale) || DEFAULT_LOCALE;
+}
+
+/* ── Messages ─────────────────────────────────────────────────────────── */
+
+/** Keyed by the `error` codes the API already returns. */
+const MESSAGES = {
+  en: {
+    'internal': 'Something went wrong. Please try again later.',
+    'Internal server error': 'Something went wrong. Please try again later.',
+    'not found': 'Not found.',
+    'not_found': 'Not found.',
+    'player not found': 'Player not found.',
+    'Player not found': 'Player not found.',
+    'Forbidden': 'Access denied.',
+    'No token provided': 'Please sign in again.',
+    'Invalid token': 'Your session has expired. Please sign in again.',
+    'session_revoked': 'You have been signed out. Please sign in again.',
+    'invalid_refresh_token': 'Your session has expired. Please sign in again.',
+    'refreshToken required': 'Please sign in again.',
+    'tg_id required': 'Telegram id is required.',
+    'tg_id and initData required': 'Telegram login data is required.',
+    'initData is required': 'Telegram login data is required.',
+    'Invalid initData signature': 'Telegram login data could not be verified.',
+    'initData expired': 'Telegram login data is too old. Please reopen the app.',
+    'need_fragments_1_2_3': 'Collect fragments #1, #2 and #3 before burning.',
+    'quiz_bank_empty': 'No quests are available right now. Please try later.',
+    'invoice not found': 'Invoice not found.',
+    'invoice not paid': 'The invoice has not been paid yet.',
+    'not_cancellable': 'This invoice can no longer be cancelled.',
+    'answer required': 'Please provide an answer.',
+    'unsupported_task_type': 'This quest cannot be checked right now.',
+    'wrong_answer': 'Wrong answer. Try again.',
+    'bad_frag_id': 'Unknown fragment.',
+    'fragment_not_owned': 'You do not own this fragment yet.',
+    'cipher_not_found': 'Cipher not found.',
+    'bad_number': 'Choose a number between 0 and 99.',
+    'number_not_in_grid': 'That number is not in the grid.',
+    'wrong_number': 'That is not the answer to the riddle.',
+    'cipher_locked': 'Too many wrong answers. The cipher is locked for a while.',
+    'already claimed': 'The reward has already been claimed.',
+    'not enough invited': 'Invite more friends to claim this reward.',
+    'unknown_tier': 'There is no such referral reward.',
+    'awaiting_paid_burn': 'Counts once your friend pays for their first burn.',
+    'awaiting_paid_invoice': 'Counts once your friend makes their first payment.',
+    'same_wallet': 'Not counted: paid from the same wallet as you.',
+    'referral_loop': 'Not counted: the accounts are linked through a chain of invites or a shared wallet.',
+    'Already claimed today': 'Come back tomorrow for a new daily quest.',
+    'Missing phrase': 'Enter the final phrase.',
+    'Fragments missing': 'Collect all eight fragments first.',
+    'Incorrect final phrase': 'The phrase is incorrect.',
+    'Time window for final phrase has expired': 'The window for the final phrase is closed.',
+    'Runes missing': 'Choose a rune in every fragment cipher first.',
+    'Too many attempts': 'Too many wrong phrases. Try again later.',
+    'not_completed': 'Solve the final phrase first.',
+    'cursed': 'You are cursed. Wait for the curse to fade or purify it.',
+    'not_cursed': 'You are not cursed.',
+    'not_a_burn_invoice': 'This invoice is not a burn.',
+    'bad_client_seed': 'The client seed must be at most 64 characters.',
+  },
+  ru: {
+    'internal': 'Что-то пошло не так. Попробуйте позже.',
+    'Internal server error': 'Что-то пошло не так. Попробуйте позже.',
+    'not found': 'Не найдено.',
+    'not_found': 'Не найдено.',
+    'player not found': 'Игрок не найден.',
+    'Player not found': 'Игрок не найден.',
+    'Forbidden': 'Доступ запрещён.',
+    'No token provided': 'Пожалуйста, войдите снова.',
+    'Invalid token': 'Сессия истекла. Пожалуйста, войдите снова.',
+    'session_revoked': 'Вы вышли из аккаунта. Пожалуйста, войдите снова.',
+    'invalid_refresh_token': 'Сессия истекла. Пожалуйста, войдите снова.',
+    'refreshToken required': 'Пожалуйста, войдите снова.',
+    'tg_id required': 'Требуется Telegram id.',
+    'tg_id and initData required': 'Требуются данные входа Telegram.',
+    'initData is required': 'Требуются данные входа Telegram.',
+    'Invalid initData signature': 'Не удалось проверить данные входа Telegram.',
+    'initData expired': 'Данные входа Telegram устарели. Откройте приложение заново.',
+    'need_fragments_1_2_3': 'Соберите фрагменты №1, №2 и №3, прежде чем сжигать.',
+    'quiz_bank_empty': 'Сейчас нет доступных заданий. Попробуйте позже.',
+    'invoice not found': 'Счёт не найден.',
+    'invoice not paid': 'Счёт ещё не оплачен.',
+    'not_cancellable': 'Этот счёт уже нельзя отменить.',
+    'answer required': 'Введите ответ.',
+    'unsupported_task_type': 'Это задание сейчас нельзя проверить.',
+    'wrong_answer': 'Неверный ответ. Попробуйте ещё раз.',
+    'bad_frag_id': 'Неизвестный фрагмент.',
+    'fragment_not_owned': 'У вас ещё нет этого фрагмента.',
+    'cipher_not_found': 'Шифр не найден.',
+    'bad_number': 'Выберите число от 0 до 99.',
+    'number_not_in_grid': 'Этого числа нет в сетке.',
+    'wrong_number': 'Это не ответ на загадку.',
+    'cipher_locked': 'Слишком много неверных ответов. Шифр временно заблокирован.',
+    'already claimed': 'Награда уже получена.',
+    'not enough invited': 'Пригласите больше друзей, чтобы получить награду.',
+    'unknown_tier': 'Такой реферальной награды нет.',
+    'awaiting_paid_burn': 'Засчитается, когда друг оплатит первое сожжение.',
+    'awaiting_paid_invoice': 'Засчитается, когда друг совершит первый платёж.',
+    'same_wallet': 'Не засчитано: оплата с того же кошелька, что и у вас.',
+    'referral_loop': 'Не засчитано: аккаунты связаны цепочкой приглашений или общим кошельком.',
+    'Already claimed today': 'Возвращайтесь завтра за новым заданием.',
+    'Missing phrase': 'Введите финальную фразу.',
+    'Fragments missing': 'Сначала соберите все восемь фрагментов.',
+    'Incorrect final phrase': 'Фраза неверна.',
+    'Time window for final phrase has expired': 'Окно для финальной фразы закрыто.',
+    'Runes missing': 'Сначала выберите руну в каждом шифре фрагментов.',
+    'Too many attempts': 'Слишком много неверных фраз. Попробуйте позже.',
+    'not_completed': 'Сначала разгадайте финальную фразу.',
+    'cursed': 'На вас проклятие. Дождитесь, пока оно спадёт, или очиститесь.',
+    'not_cursed': 'На вас нет проклятия.',
+    'not_a_burn_invoice': 'Этот счёт не относится к сжиганию.',
+    'bad_client_seed': 'Клиентский сид должен быть не длиннее 64 символов.',
+  },
+};
+
+/**
+ * Localised message for a key, falling back to English, then to null.
+ * @returns {string|null}
+ */
+export function translate(locale, key) {
+  return MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? null;
+}
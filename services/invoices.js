@@ -0,0 +1,148 @@
+// services/invoices.js
+// Burn-invoice lifecycle helpers shared by routes/player.js, routes/admin.js and the payment worker.
+
+import pool from '../db.js';
+import { restoreCoupons, reclaimCoupon } from './coupons.js';
+import { liftCurse } from './curses.js';
+import { confirmOnMilestone } from './referrals.js';
+
+/**
+ * Moves pending invoices past expires_at to 'expired' and restores their coupons.
+ * @param {number|string|null} tgId limit to one player (null = everyone)
+ * @returns {Promise<string[]>} expired invoice ids
+ */
+export async function expireStaleInvoices(tgId = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `UPDATE burn_invoices
+          SET status    = 'expired',
+              closed_at = NOW()
+        WHERE status = 'pending'
+          AND expires_at <= NOW()
+          AND ($1::bigint IS NULL OR tg_id = $1)
+        RETURNING invoice_id`,
+      [tgId]
+    );
+    const ids = rows.map(r => r.invoice_id);
+    await restoreCoupons(client, ids);
+    await client.query('COMMIT');
+    return ids;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Side effects of an invoice becoming paid (worker match, operator mark-paid
+ * or an honored late payment). Runs inside the caller's transaction.
+ *  - a coupon given back when the invoice was closed is taken back (reclaimCoupon);
+ *  - the payer's pending referral is confirmed, or rejected on a shared wallet / loop
+ *    (services/referrals.js, milestone = game_config.referral.confirmOn);
+ *  - a purification invoice lifts the curse and is closed as processed right away
+ *    (burn invoices still wait for the quest in /burn-complete).
+ * @param {{invoice_id: string, tg_id: number|string, kind?: string}} inv
+ */
+export async function onInvoicePaid(client, inv) {
+  await reclaimCoupon(client, inv.invoice_id);
+  await confirmOnMilestone(client, inv);
+
+  if (inv.kind === 'purification') {
+    const lifted = await liftCurse(client, inv.tg_id, { source: 'purification', invoiceId: inv.invoice_id });
+    await client.query(
+      `UPDATE burn_invoices
+          SET processed=TRUE, quest_status='success', result_json=$2
+        WHERE invoice_id=$1`,
+      [inv.invoice_id, { ok: true, purified: Boolean(lifted) }]
+    );
+  }
+}
+
+/** Invoice status for a payment of `received` nano against `expected`. */
+function classifyPayment(expected, received) {
+  if (received < expected) return 'underpaid';
+  if (received > expected) return 'overpaid';
+  return 'paid';
+}
+
+/**
+ * Statuses a payment can still land on; closed ones turn into 'late_paid'.
+ * 'underpaid' stays open for a top-up to the same comment.
+ */
+export const SETTLEABLE = ['pending', 'underpaid', 'expired', 'cancelled'];
+
+/**
+ * Settles one open/closed invoice with the oldest unconsumed tx carrying its comment.
+ * The tx is marked consumed so it can never pay twice; payer, hash and the
+ * received amount are stored on the invoice. Runs inside the caller's transaction.
+ *
+ * A tx sent before expires_at still counts even if the sweep got there first;
+ * anything else hitting an expired/cancelled invoice becomes 'late_paid'.
+ * An underpaid invoice is re-classified on the sum of every tx it consumed, so a
+ * top-up sent before expires_at completes it; a later one is 'late_paid'.
+ * @returns {Promise<{status: string, txHash: string}|null>} null if nothing to settle
+ */
+export async function settleInvoice(client, invoiceId) {
+  const { rows: [inv] } = await client.query(
+    `SELECT invoice_id, tg_id, kind, comment, amount_nano, status, expires_at
+       FROM burn_invoices
+      WHERE invoice_id = $1 AND status = ANY($2)
+      FOR UPDATE`,
+    [invoiceId, SETTLEABLE]
+  );
+  if (!inv) return null;
+
+  const { rows: [tx] } = await client.query(
+    `SELECT hash, sender, amount, utime
+       FROM ton_transactions
+      WHERE comment = $1 AND consumed_by IS NULL
+      ORDER BY lt
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED`,
+    [inv.comment]
+  );
+  if (!tx) return null;
+
+  const { rows: [{ total: before }] } = await client.query(
+    `SELECT COALESCE(SUM(amount), 0)::text AS total
+       FROM ton_transactions
+      WHERE consumed_by = $1`,
+    [inv.invoice_id]
+  );
+  const received = BigInt(before) + BigInt(tx.amount);
+
+  const onTime = inv.status === 'pending'
+    || (['expired', 'underpaid'].includes(inv.status) && new Date(tx.utime) <= new Date(inv.expires_at));
+  const status = onTime
+    ? classifyPayment(BigInt(inv.amount_nano), received)
+    : 'late_paid';
+
+  await client.query(
+    `UPDATE ton_transactions
+        SET consumed_by = $2,
+            consumed_at = NOW()
+      WHERE hash = $1`,
+    [tx.hash, inv.invoice_id]
+  );
+
+  await client.query(
+    `UPDATE burn_invoices
+        SET status           = $2,
+            paid_at          = NOW(),
+            payer_address    = $3,
+            tx_hash          = $4,
+            paid_amount_nano = $5
+      WHERE invoice_id = $1`,
+    [inv.invoice_id, status, tx.sender, tx.hash, received.toString()]
+  );
+
+  if (status === 'paid' || status === 'overpaid') {
+    await onInvoicePaid(client, inv);
+  }
+
+  return { status, txHash: tx.hash };
+}
@@ -0,0 +1,116 @@
+// services/onboarding.js
+// Single sign-up path behind /api/validate and /api/init: creates the player
+// from a verified Telegram user with the same starting state everywhere
+// (fragment #1 + its cipher), records the referral and bumps total_users.
+import crypto from 'crypto';
+import pool from '../db.js';
+import { DEFAULT_LOCALE, normalizeLocale } from './i18n.js';
+import { ensureCipherForFragment } from './ciphers.js';
+import { recordEvent } from './playerEvents.js';
+import { recordReferral } from './referrals.js';
+
+/** Fragments every new player starts with */
+export const STARTING_FRAGMENTS = [1];
+
+/** Telegram start_param prefix carrying a referral code: t.me/<bot>/<app>?startapp=ref_CODE */
+const START_PARAM_REF_PREFIX = 'ref_';
+
+/**
+ * Shareable invite link opening the Mini App with start_param "ref_CODE":
+ * https://t.me/<TELEGRAM_BOT_USERNAME>/<TELEGRAM_APP_NAME>?startapp=ref_CODE
+ * (the bot's main Mini App when TELEGRAM_APP_NAME is unset). Null without a bot username.
+ */
+export function referralLink(refCode) {
+  const bot = String(process.env.TELEGRAM_BOT_USERNAME || '').replace(/^@/, '').trim();
+  if (!bot || !refCode) return null;
+  const app = String(process.env.TELEGRAM_APP_NAME || '').trim();
+  const base = `https://t.me/${encodeURIComponent(bot)}${app ? `/${encodeURIComponent(app)}` : ''}`;
+  return `${base}?startapp=${encodeURIComponent(START_PARAM_REF_PREFIX + refCode)}`;
+}
+
+/** Generate a unique referral code (best-effort with a few retries). */
+export async function genUniqueCode(db = pool) {
+  for (let i = 0; i < 8; i++) {
+    const code = crypto.randomBytes(6).toString('base64url');
+    const { rows } = await db.query(`SELECT 1 FROM players WHERE ref_code=$1 LIMIT 1`, [code]);
+    if (!rows.length) return code;
+  }
+  return crypto.randomBytes(6).toString('base64url');
+}
+
+/** Referral code from a start_param ("ref_CODE"), null otherwise. */
+export function referralCodeFromStartParam(startParam) {
+  const value = String(startParam ?? '');
+  if (!value.startsWith(START_PARAM_REF_PREFIX)) return null;
+  return value.slice(START_PARAM_REF_PREFIX.length).trim() || null;
+}
+
+/**
+ * onboardPlayer options of a sign-in request, shared by /api/validate and /api/init
+ * so both settle on the same referral and locale for the same initData.
+ * @param {import('express').Request} req body may carry `referrer_code`; req.locale from middleware/locale.js
+ * @param {{params: URLSearchParams}} verified verifyInitData() result
+ */
+export function onboardingOptions(req, verified, source) {
+  return {
+    source,
+    startParam: verified.params.get('start_param'),
+    referrerCode: req.body?.referrer_code ?? null,
+    fallbackLocale: req.locale ?? null,
+  };
+}
+
+/**
+ * Creates the player on first sign-in, otherwise refreshes the stored locale.
+ * The referral (start_param first, then an explicit code) only counts for new
+ * players; it stays 'pending' until the newcomer's first paid burn (services/referrals.js).
+ * @param {object} tgUser verified initData user (services/telegramAuth.js)
+ * @param {{source: string, startParam?: string|null, referrerCode?: string|null, fallbackLocale?: string|null}} opts
+ * @returns {Promise<{player: object, created: boolean}>}
+ */
+export async function onboardPlayer(tgUser, { source, startParam = null, referrerCode = null, fallbackLocale = null }) {
+  const tgId = tgUser.id;
+  const name = String(tgUser.first_name || '').trim() || null;
+  const locale = normalizeLocale(tgUser.language_code) || fallbackLocale; // null -> keep stored locale
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const code = await genUniqueCode(client);
+    const { rows: [me] } = await client.query(
+      `INSERT INTO players
+         (tg_id, name, ref_code, referral_reward_issued, fragments, locale)
+       VALUES ($1, $2, $3, FALSE, $4::int[], $5)
+       ON CONFLICT (tg_id) DO NOTHING
+       RETURNING *`,
+      [tgId, name, code, STARTING_FRAGMENTS, locale || DEFAULT_LOCALE]
+    );
+
+    if (!me) {
+      const { rows: [existing] } = await client.query(
+        `UPDATE players SET locale = COALESCE($2, locale) WHERE tg_id = $1 RETURNING *`,
+        [tgId, locale]
+      );
+      await client.query('COMMIT');
+      return { player: existing, created: false };
+    }
+
+    await recordEvent(client, tgId, 'player_created', { source, after: me });
+    for (const fragId of STARTING_FRAGMENTS) {
+      await ensureCipherForFragment(client, tgId, fragId);
+    }
+
+    const refCode = referralCodeFromStartParam(startParam) || String(referrerCode ?? '').trim() || null;
+    if (refCode) await recordReferral(client, refCode, tgId);
+
+    await client.query(`UPDATE global_stats SET value = value + 1 WHERE id = 'total_users'`);
+    await client.query('COMMIT');
+    return { player: me, created: true };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
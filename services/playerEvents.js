@@ -0,0 +1,84 @@
+// services/playerEvents.js
+// Append-only player history (player_events). Every change of fragments, curses
+// or pity writes one row through recordEvent() inside the same transaction.
+import pool from '../db.js';
+
+/** players columns the history tracks */
+export const TRACKED_FIELDS = ['fragments', 'curses_count', 'pity_counter', 'is_cursed', 'curse_expires'];
+
+/** State of a player with no events yet (mirrors the players column defaults). */
+const EMPTY_STATE = {
+  fragments: [],
+  curses_count: 0,
+  pity_counter: 0,
+  is_cursed: false,
+  curse_expires: null,
+};
+
+/**
+ * Normalises a (partial) players row to the tracked fields only, so snapshots
+ * compare equal regardless of where they came from (pg row, JSONB, JS object).
+ */
+export function snapshot(row) {
+  const out = {};
+  for (const key of TRACKED_FIELDS) {
+    if (!row || !(key in row)) continue;
+    const v = row[key];
+    if (key === 'fragments') out[key] = (Array.isArray(v) ? v.map(Number) : []).sort((a, b) => a - b);
+    else if (key === 'curse_expires') out[key] = v ? new Date(v).toISOString() : null;
+    else if (key === 'is_cursed') out[key] = Boolean(v);
+    else out[key] = Number(v || 0);
+  }
+  return out;
+}
+
+/**
+ * Writes one history row. Pass the transaction client so the event commits
+ * (or rolls back) together with the change it describes.
+ * @param {import('pg').PoolClient|import('pg').Pool} db
+ * @param {number|string} tgId
+ * @param {string} type 'player_created' | 'fragment_granted' | 'fragment_revoked' | 'curse_applied' | 'curse_lifted' | 'pity_changed'
+ * @param {{source: string, invoiceId?: string|null, actorTgId?: number|string|null, before?: object, after?: object}} opts
+ */
+export async function recordEvent(db, tgId, type, { source, invoiceId = null, actorTgId = null, before = {}, after = {} }) {
+  await (db || pool).query(
+    `INSERT INTO player_events (tg_id, event_type, source, invoice_id, actor_tg_id, before, after)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [tgId, type, source, invoiceId, actorTgId, snapshot(before), snapshot(after)]
+  );
+}
+
+/**
+ * Player timeline, newest first. `beforeId` pages further back.
+ * @returns {Promise<object[]>}
+ */
+export async function listEvents(tgId, { limit = 50, beforeId = null, db = pool } = {}) {
+  const { rows } = await db.query(
+    `SELECT id, event_type, source, invoice_id, actor_tg_id, before, after, created_at
+       FROM player_events
+      WHERE tg_id=$1 AND ($2::bigint IS NULL OR id < $2)
+      ORDER BY id DESC
+      LIMIT $3`,
+    [tgId, beforeId, limit]
+  );
+  return rows;
+}
+
+/**
+ * Folds events (oldest first) into the resulting tracked state.
+ * @returns {{state: object, applied: number}}
+ */
+export function replayEvents(events) {
+  let state = { ...EMPTY_STATE };
+  for (const ev of events) {
+    state = { ...state, ...snapshot(ev.after) };
+  }
+  return { state, applied: events.length };
+}
+
+/** Tracked fields whose values differ between two snapshots. */
+export function diffState(a, b) {
+  const left = snapshot(a);
+  const right = snapshot(b);
+  return TRACKED_FIELDS.filter(k => JSON.stringify(left[k]) !== JSON.stringify(right[k]));
+}
@@ -0,0 +1,83 @@
+// services/quizBank.js
+// Quiz questions from the quiz_questions table with a small in-process cache.
+// Admin writes call invalidateQuizCache() so edits show up immediately on this instance;
+// other instances pick them up after QUIZ_CACHE_TTL_SEC.
+
+import pool from '../db.js';
+import { shuffleInPlace, pickWeighted } from './random.js';
+
+const { QUIZ_CACHE_TTL_SEC = 60 } = process.env;
+
+const DEFAULT_LOCALE = 'en';
+
+let cache = null;      // { loadedAt: number, rows: object[] }
+let loading = null;    // in-flight load shared by concurrent callers
+
+/** Drops the cached question list. */
+export function invalidateQuizCache() {
+  cache = null;
+}
+
+async function loadEnabled() {
+  if (cache && Date.now() - cache.loadedAt < Number(QUIZ_CACHE_TTL_SEC) * 1000) {
+    return cache.rows;
+  }
+  if (!loading) {
+    loading = pool
+      .query(
+        `SELECT id, category, rarity, question, options, answer, locale, weight
+           FROM quiz_questions
+          WHERE enabled`
+      )
+      .then(({ rows }) => {
+        cache = { loadedAt: Date.now(), rows };
+        return rows;
+      })
+      .finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+/** Client/task shape of a question row with options shuffled. */
+function toQuiz(row) {
+  const options = Array.isArray(row.options) ? row.options.map(String) : [];
+  if (options.length > 1) shuffleInPlace(options);
+  return { id: row.id, question: row.question, options, answer: String(row.answer) };
+}
+
+/**
+ * Weighted pick of one enabled question.
+ * Falls back to the default locale, and for burn quizzes to 'common' rarity.
+ * @param {{category?: string, rarity?: string|null, locale?: string}} filter
+ * @returns {Promise<{id: number, question: string, options: string[], answer: string}|null>}
+ */
+export async function pickQuiz({ category = 'burn', rarity = null, locale = DEFAULT_LOCALE } = {}) {
+  const rows = await loadEnabled();
+
+  const attempts = [
+    [rarity, locale],
+    [rarity, DEFAULT_LOCALE],
+    ...(category === 'burn' ? [['common', locale], ['common', DEFAULT_LOCALE]] : []),
+  ];
+
+  for (const [r, l] of attempts) {
+    const candidates = rows.filter(q =>
+      q.category === category && q.locale === l && (r === null || q.rarity === r)
+    );
+    const row = pickWeighted(candidates, q => Number(q.weight));
+    if (row) return toQuiz(row);
+  }
+  return null;
+}
+
+/**
+ * A specific question by id (enabled or not — already issued questions must stay answerable).
+ * @returns {Promise<{id: number, question: string, options: string[], answer: string}|null>}
+ */
+export async function getQuiz(id) {
+  const { rows: [row] } = await pool.query(
+    `SELECT id, question, options, answer FROM quiz_questions WHERE id=$1`,
+    [id]
+  );
+  return row ? toQuiz(row) : null;
+}
@@ -0,0 +1,30 @@
+// services/random.js
+import crypto from 'crypto';
+
+/** In-place Fisher–Yates shuffle using crypto.randomInt. */
+export function shuffleInPlace(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/**
+ * Picks one item proportionally to its weight (crypto.randomInt).
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => number} weightOf
+ * @returns {T|null}
+ */
+export function pickWeighted(items, weightOf) {
+  const total = items.reduce((sum, it) => sum + Math.max(0, weightOf(it)), 0);
+  if (!items.length || total <= 0) return null;
+  let r = crypto.randomInt(total);
+  for (const it of items) {
+    const w = Math.max(0, weightOf(it));
+    if (r < w) return it;
+    r -= w;
+  }
+  return items[items.length - 1];
+}
@@ -0,0 +1,222 @@
+// services/referrals.js
+// Referral lifecycle: recorded 'pending' at sign-up, confirmed when the newcomer
+// reaches game_config.referral.confirmOn (first paid burn by default) or
+// 'rejected' with a reason; confirmed invites unlock the configured reward tiers.
+import pool from '../db.js';
+import { getActiveConfig } from './gameConfig.js';
+import { grantCoupon } from './coupons.js';
+import { ensureCipherForFragment } from './ciphers.js';
+import { recordEvent } from './playerEvents.js';
+
+/** Upline depth searched for referral rings (A → B → … → A, or one wallet behind several accounts). */
+const LOOP_DEPTH = 10;
+
+/**
+ * Records who invited a brand-new player (inside the onboarding transaction) as
+ * 'pending'; self-referrals are ignored. Abuse checks need payments, so they run
+ * when the referral reaches its milestone (confirmOnMilestone).
+ * @returns {Promise<boolean>} true when a referral was recorded
+ */
+export async function recordReferral(client, refCode, referredId) {
+  const { rows: [ref] } = await client.query(
+    `SELECT tg_id FROM players WHERE ref_code=$1 LIMIT 1`,
+    [refCode]
+  );
+  if (!ref || String(ref.tg_id) === String(referredId)) return false;
+
+  const { rowCount } = await client.query(
+    `INSERT INTO referrals (referrer_id, referred_id, status)
+     VALUES ($1, $2, 'pending')
+     ON CONFLICT (referred_id) DO NOTHING`,
+    [ref.tg_id, referredId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Milestone check for a paid invoice (called from onInvoicePaid inside its
+ * transaction). The payer's pending referral is
+ *  - rejected 'same_wallet' when any wallet the newcomer paid from was also used by the referrer;
+ *  - rejected 'referral_loop' when the newcomer sits in the referrer's upline, or shares
+ *    a payer wallet with someone up there (one owner farming through a chain of accounts);
+ *  - confirmed otherwise.
+ * @param {{invoice_id: string, tg_id: number|string, kind?: string}} inv
+ * @returns {Promise<'confirmed'|'rejected'|null>} null when nothing was pending
+ */
+export async function confirmOnMilestone(client, inv) {
+  const { config } = await getActiveConfig();
+  const kind = inv.kind || 'burn';
+  if (config.referral.confirmOn === 'paid_burn' && kind !== 'burn') return null;
+
+  const { rows: [r] } = await client.query(
+    `SELECT id, referrer_id FROM referrals
+      WHERE referred_id = $1 AND status = 'pending'
+      FOR UPDATE`,
+    [inv.tg_id]
+  );
+  if (!r) return null;
+
+  // upline: the referrer (depth 0), whoever invited them (1), and so on
+  const { rows: [check] } = await client.query(
+    `WITH RECURSIVE upline (tg_id, depth) AS (
+       SELECT $2::bigint, 0
+       UNION ALL
+       SELECT rr.referrer_id, u.depth + 1
+         FROM referrals rr JOIN upline u ON rr.referred_id = u.tg_id
+        WHERE u.depth < $3
+     )
+     SELECT (SELECT MIN(depth) FROM upline WHERE tg_id = $1) AS loop_depth,
+            (SELECT MIN(u.depth)
+               FROM upline u
+               JOIN burn_invoices theirs ON theirs.tg_id = u.tg_id AND theirs.payer_address IS NOT NULL
+               JOIN burn_invoices mine   ON mine.tg_id = $1 AND mine.payer_address = theirs.payer_address
+            ) AS wallet_depth`,
+    [inv.tg_id, r.referrer_id, LOOP_DEPTH]
+  );
+
+  let reason = null;
+  if (check.wallet_depth === 0) reason = 'same_wallet';
+  else if (check.loop_depth !== null || check.wallet_depth !== null) reason = 'referral_loop';
+  const status = reason ? 'rejected' : 'confirmed';
+
+  await client.query(
+    `UPDATE referrals
+        SET status        = $2,
+            reject_reason = $3,
+            confirmed_at  = CASE WHEN $2 = 'confirmed' THEN NOW() END,
+            updated_at    = NOW()
+      WHERE id = $1`,
+    [r.id, status, reason]
+  );
+  return status;
+}
+
+/**
+ * Referral counters and tier progress of a referrer.
+ * @returns {Promise<{confirmed: number, pending: number, rejected: number, tiers: object[]}>}
+ */
+export async function referralProgress(tgId, { config, db = pool }) {
+  const { rows: counts } = await db.query(
+    `SELECT status, COUNT(*)::int AS cnt FROM referrals WHERE referrer_id=$1 GROUP BY status`,
+    [tgId]
+  );
+  const by = Object.fromEntries(counts.map(r => [r.status, r.cnt]));
+  const { rows: claimed } = await db.query(
+    `SELECT tier, awarded_at FROM referral_rewards WHERE referrer_id=$1`,
+    [tgId]
+  );
+  const claimedAt = new Map(claimed.map(r => [r.tier, r.awarded_at]));
+
+  const confirmed = by.confirmed || 0;
+  return {
+    confirmed,
+    pending: by.pending || 0,
+    rejected: by.rejected || 0,
+    tiers: config.referral.tiers.map(t => ({
+      id: t.id,
+      invites: t.invites,
+      reward: t.reward,
+      progress: Math.min(confirmed, t.invites),
+      claimed: claimedAt.has(t.id),
+      claimedAt: claimedAt.has(t.id) ? new Date(claimedAt.get(t.id)).toISOString() : null,
+      claimable: !claimedAt.has(t.id) && confirmed >= t.invites,
+    })),
+  };
+}
+
+/**
+ * Why an invite does not count (yet): the awaited milestone while pending
+ * ('awaiting_paid_burn' | 'awaiting_paid_invoice'), the reject reason once
+ * rejected ('same_wallet' | 'referral_loop'), null when confirmed.
+ */
+export function inviteeReason(row, confirmOn) {
+  if (row.status === 'pending') return `awaiting_${confirmOn}`;
+  if (row.status === 'rejected') return row.reject_reason || 'rejected';
+  return null;
+}
+
+/**
+ * Page of a referrer's invitees, newest first: display name, join date, the
+ * referral status and the reason it does not count (see inviteeReason).
+ * @returns {Promise<{total: number, invitees: object[]}>}
+ */
+export async function listInvitees(tgId, { limit, offset, confirmOn, db = pool }) {
+  const { rows } = await db.query(
+    `SELECT p.name, p.created_at AS joined_at, r.status, r.reject_reason, r.confirmed_at
+       FROM referrals r
+       JOIN players p ON p.tg_id = r.referred_id
+      WHERE r.referrer_id = $1
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT $2 OFFSET $3`,
+    [tgId, limit, offset]
+  );
+  const { rows: [{ total }] } = await db.query(
+    `SELECT COUNT(*)::int AS total FROM referrals WHERE referrer_id=$1`,
+    [tgId]
+  );
+  return {
+    total,
+    invitees: rows.map(r => ({
+      name: r.name,
+      joinedAt: new Date(r.joined_at).toISOString(),
+      status: r.status,
+      reason: inviteeReason(r, confirmOn),
+      confirmedAt: r.confirmed_at ? new Date(r.confirmed_at).toISOString() : null,
+    })),
+  };
+}
+
+/**
+ * Claims one tier (tierId) or the first claimable one. Locks the player row so
+ * concurrent claims serialise; referral_rewards' primary key is the last guard.
+ * Runs inside the caller's transaction.
+ * @returns {Promise<{ok: true, tier: string, reward: object, awarded?: number[], coupon?: object} | {ok: false, error: string}>}
+ */
+export async function claimReferralTier(client, tgId, tierId, { config }) {
+  const { rows: [p] } = await client.query(
+    `SELECT fragments FROM players WHERE tg_id=$1 FOR UPDATE`,
+    [tgId]
+  );
+  if (!p) return { ok: false, error: 'not found' };
+
+  const progress = await referralProgress(tgId, { config, db: client });
+  const tier = tierId
+    ? progress.tiers.find(t => t.id === tierId)
+    : progress.tiers.find(t => t.claimable) || progress.tiers.find(t => !t.claimed);
+  if (!tier) return { ok: false, error: tierId ? 'unknown_tier' : 'already claimed' };
+  if (tier.claimed) return { ok: false, error: 'already claimed' };
+  if (!tier.claimable) return { ok: false, error: 'not enough invited' };
+
+  await client.query(
+    `INSERT INTO referral_rewards (referrer_id, tier, reward) VALUES ($1, $2, $3)`,
+    [tgId, tier.id, tier.reward]
+  );
+
+  const out = { ok: true, tier: tier.id, reward: tier.reward };
+  if (tier.reward.type === 'fragment') {
+    const fragId = tier.reward.fragmentId;
+    const owned = (p.fragments || []).map(Number);
+    if (!owned.includes(fragId)) {
+      const { rows: [after] } = await client.query(
+        `UPDATE players
+            SET fragments = array_append(coalesce(fragments,'{}'::int[]), $2::int),
+                referral_reward_issued = TRUE
+          WHERE tg_id=$1
+          RETURNING fragments`,
+        [tgId, fragId]
+      );
+      await recordEvent(client, tgId, 'fragment_granted', {
+        source: 'referral/claim', before: p, after,
+      });
+      await ensureCipherForFragment(client, tgId, fragId);
+    } else {
+      await client.query(`UPDATE players SET referral_reward_issued = TRUE WHERE tg_id=$1`, [tgId]);
+    }
+    out.awarded = [fragId];
+  } else {
+    const expiresAt = new Date(Date.now() + tier.reward.days * 24 * 60 * 60 * 1000);
+    const coupon = await grantCoupon(client, tgId, tier.reward.percent, expiresAt);
+    out.coupon = { percent: coupon.percent, expiresAt: coupon.expiresAt.toISOString() };
+  }
+  return out;
+}
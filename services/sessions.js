@@ -0,0 +1,148 @@
+// services/sessions.js
+// Player sessions: a short-lived access JWT { tg_id, name, locale, sid, tv } plus
+// an opaque refresh token (stored as sha256 in `sessions`, rotated on every use).
+// Revocation: one session (logout) or all of them by bumping players.token_version.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuid } from 'uuid';
+import pool from '../db.js';
+
+const {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL = '15m',
+  REFRESH_TOKEN_TTL_DAYS = 30,
+} = process.env;
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+const refreshExpiry = () => new Date(Date.now() + Number(REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000);
+
+/** Access JWT for a player row within a session. */
+export function signAccessToken(player, sessionId) {
+  return jwt.sign(
+    {
+      tg_id: player.tg_id,
+      name: player.name,
+      locale: player.locale,
+      sid: sessionId,
+      tv: Number(player.token_version || 0),
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/** Response payload shared by sign-in and refresh. */
+function tokenPair(player, sessionId, refreshToken, expiresAt) {
+  return {
+    token: signAccessToken(player, sessionId),
+    refreshToken,
+    refreshExpiresAt: expiresAt.toISOString(),
+  };
+}
+
+/**
+ * Opens a session for a (freshly loaded) player row.
+ * @returns {Promise<{token: string, refreshToken: string, refreshExpiresAt: string}>}
+ */
+export async function createSession(player, { userAgent = null, db = pool } = {}) {
+  const id = uuid();
+  const refreshToken = newRefreshToken();
+  const expiresAt = refreshExpiry();
+  await db.query(
+    `INSERT INTO sessions (id, tg_id, token_version, refresh_hash, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [id, player.tg_id, Number(player.token_version || 0), hashToken(refreshToken), userAgent?.slice(0, 256) ?? null, expiresAt]
+  );
+  return tokenPair(player, id, refreshToken, expiresAt);
+}
+
+/**
+ * Exchanges a refresh token for a new access + refresh token pair.
+ * Presenting an already rotated-out token means it leaked (the thief or the owner
+ * refreshed first): every session of the player is revoked, as on logout all=true.
+ * @returns {Promise<{ok: true, tokens: object} | {ok: false, error: string}>}
+ */
+export async function refreshSession(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [s] } = await client.query(
+      `SELECT s.id, s.tg_id, s.token_version, s.refresh_hash, s.expires_at, s.revoked_at,
+              p.name, p.locale, p.token_version AS player_token_version
+         FROM sessions s
+         JOIN players p ON p.tg_id = s.tg_id
+        WHERE s.refresh_hash = $1 OR s.previous_refresh_hash = $1
+        FOR UPDATE OF s`,
+      [hash]
+    );
+
+    if (!s) {
+      await client.query('ROLLBACK');
+      return { ok: false, error: 'invalid_refresh_token' };
+    }
+    if (s.refresh_hash !== hash) {
+      await revokeAllSessions(s.tg_id, client);
+      await client.query('COMMIT');
+      return { ok: false, error: 'invalid_refresh_token' };
+    }
+    if (s.revoked_at || new Date(s.expires_at) <= new Date() || s.token_version !== s.player_token_version) {
+      await client.query('ROLLBACK');
+      return { ok: false, error: 'session_revoked' };
+    }
+
+    const refreshTokenNext = newRefreshToken();
+    const expiresAt = refreshExpiry();
+    await client.query(
+      `UPDATE sessions
+          SET previous_refresh_hash = refresh_hash,
+              refresh_hash = $2,
+              last_used_at = NOW(),
+              expires_at = $3
+        WHERE id = $1`,
+      [s.id, hashToken(refreshTokenNext), expiresAt]
+    );
+    await client.query('COMMIT');
+
+    const player = { tg_id: s.tg_id, name: s.name, locale: s.locale, token_version: s.player_token_version };
+    return { ok: true, tokens: tokenPair(player, s.id, refreshTokenNext, expiresAt) };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/** Revokes one session of the player. */
+export async function revokeSession(tgId, sessionId, db = pool) {
+  await db.query(
+    `UPDATE sessions SET revoked_at = COALESCE(revoked_at, NOW()) WHERE id = $1 AND tg_id = $2`,
+    [sessionId, tgId]
+  );
+}
+
+/** Revokes every session of the player (access tokens die with the token_version bump). */
+export async function revokeAllSessions(tgId, db = pool) {
+  await db.query(`UPDATE players SET token_version = token_version + 1 WHERE tg_id = $1`, [tgId]);
+  await db.query(
+    `UPDATE sessions SET revoked_at = NOW() WHERE tg_id = $1 AND revoked_at IS NULL`,
+    [tgId]
+  );
+}
+
+/**
+ * True while the access token's session is open and its token_version current.
+ * Called by middleware/auth.js on every request.
+ */
+export async function isSessionActive({ tg_id, sid, tv }) {
+  const { rows: [row] } = await pool.query(
+    `SELECT p.token_version, s.revoked_at
+       FROM players p
+       JOIN sessions s ON s.id = $2 AND s.tg_id = p.tg_id
+      WHERE p.tg_id = $1`,
+    [tg_id, sid]
+  );
+  return Boolean(row) && !row.revoked_at && row.token_version === Number(tv);
+}
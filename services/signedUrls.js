@@ -0,0 +1,72 @@
+// services/signedUrls.js
+// HMAC-signed, expiring URL parameters with key rotation.
+//
+// Keys come from ASSET_HMAC_KEYS="kid2:secret2,kid1:secret1" — the first key signs,
+// every listed key verifies, so a secret is rotated by prepending the new key and
+// dropping the old one after the longest link TTL. A bare FRAG_HMAC_SECRET is
+// still accepted as the single key 'default'. Links carry ?exp=&kid=&sig=,
+// exp in unix seconds; signatures are compared in constant time.
+
+import crypto from 'crypto';
+
+const LEGACY_KID = 'default';
+
+/** @returns {{kid: string, secret: string}[]} signing key first; [] = signing disabled (dev) */
+function loadKeys() {
+  const { ASSET_HMAC_KEYS, FRAG_HMAC_SECRET } = process.env;
+  if (ASSET_HMAC_KEYS) {
+    return ASSET_HMAC_KEYS.split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const i = entry.indexOf(':');
+        return { kid: entry.slice(0, i).trim(), secret: entry.slice(i + 1) };
+      })
+      .filter(k => k.kid && k.secret);
+  }
+  return FRAG_HMAC_SECRET ? [{ kid: LEGACY_KID, secret: FRAG_HMAC_SECRET }] : [];
+}
+
+/** False in dev without secrets: links are then plain and never expire. */
+export function signingEnabled() {
+  return loadKeys().length > 0;
+}
+
+function hmac(secret, payload, exp) {
+  return crypto.createHmac('sha256', secret).update(`${payload}|${exp}`).digest('hex');
+}
+
+/** Constant-time comparison of two hex strings. */
+export function safeEqualHex(a, b) {
+  const left = Buffer.from(String(a ?? ''), 'hex');
+  const right = Buffer.from(String(b ?? ''), 'hex');
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Query params signing `payload` for ttlSec seconds with the current key.
+ * @returns {{exp: string, kid: string, sig: string}|null} null when signing is disabled
+ */
+export function signParams(payload, ttlSec) {
+  const [key] = loadKeys();
+  if (!key) return null;
+  const exp = String(Math.floor(Date.now() / 1000) + ttlSec);
+  return { exp, kid: key.kid, sig: hmac(key.secret, payload, exp) };
+}
+
+/**
+ * Checks exp/kid/sig query params against `payload`.
+ * A missing kid means the legacy FRAG_HMAC_SECRET key (links issued before rotation).
+ * @returns {{ok: true} | {ok: false, code: number, msg: string}}
+ */
+export function verifyParams(payload, { exp, kid, sig } = {}) {
+  const keys = loadKeys();
+  if (!keys.length) return { ok: true };
+  if (!exp || !/^\d+$/.test(String(exp))) return { ok: false, code: 400, msg: 'bad_exp' };
+  if (Date.now() / 1000 > Number(exp)) return { ok: false, code: 403, msg: 'expired' };
+
+  const key = keys.find(k => k.kid === String(kid || LEGACY_KID));
+  if (!key) return { ok: false, code: 403, msg: 'unknown_kid' };
+  if (!safeEqualHex(hmac(key.secret, payload, exp), sig)) return { ok: false, code: 403, msg: 'bad_sig' };
+  return { ok: true };
+}
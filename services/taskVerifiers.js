@@ -0,0 +1,58 @@
+// services/taskVerifiers.js
+// Server-side verification of burn mini-quests. Each task type (quest_data.type)
+// registers a verifier; the client only submits an answer, never the verdict.
+
+/** type -> (params, answer) => boolean */
+const VERIFIERS = new Map();
+
+/**
+ * Registers the verifier for a task type. Later registrations replace earlier ones.
+ * @param {string} type quest_data.type
+ * @param {(params: object, answer: unknown) => boolean} fn
+ */
+export function registerVerifier(type, fn) {
+  VERIFIERS.set(type, fn);
+}
+
+/**
+ * Normalises free-text input: Unicode NFKC, trimmed, inner whitespace collapsed,
+ * case-folded, Russian ё folded to е. "  ﬁRE " and "Fire" compare equal.
+ */
+export function normalizeFreeText(value) {
+  return String(value ?? '')
+    .normalize('NFKC')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+    .replace(/ё/g, 'е');
+}
+
+/**
+ * Verifies an answer against a stored task.
+ * @param {{type: string, params?: object}|null} task quest_data of the invoice
+ * @param {unknown} answer as submitted by the client
+ * @returns {{correct: boolean}|null} null when no verifier exists for the task type
+ */
+export function verifyTask(task, answer) {
+  const fn = task && VERIFIERS.get(task.type);
+  if (!fn) return null;
+  return { correct: !!fn(task.params || {}, answer) };
+}
+
+/* ── Built-in verifiers ──────────────────────────────────────────────── */
+
+/**
+ * quiz — multiple choice when `options` is non-empty (answer must be one of the
+ * options and match the correct one), otherwise free-text ("type the word").
+ */
+registerVerifier('quiz', (params, answer) => {
+  const correct = String(params.answer ?? '');
+  if (!correct || answer === undefined || answer === null) return false;
+
+  const options = Array.isArray(params.options) ? params.options.map(String) : [];
+  if (options.length) {
+    const provided = String(answer);
+    return options.includes(provided) && provided === correct;
+  }
+  return normalizeFreeText(answer) === normalizeFreeText(correct);
+});
@@ -0,0 +1,104 @@
+// services/telegramAuth.js
+// Telegram WebApp initData verification shared by /api/validate, /api/init and the admin login.
+//
+//  • HMAC (bot token): secret = HMAC-SHA256(key "WebAppData", bot token),
+//    hash = hex HMAC-SHA256(secret, data-check-string) — per the Mini Apps spec;
+//  • Ed25519 (third-party, optional): `signature` over "<bot_id>:WebAppData\n" +
+//    data-check-string without hash/signature, checked against Telegram's public key.
+// Every configured method must pass. auth_date older than INIT_DATA_MAX_AGE_SEC is rejected.
+import crypto from 'crypto';
+import { safeEqualHex } from './signedUrls.js';
+
+/** DER prefix turning a raw 32-byte Ed25519 key into SPKI. */
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/** Options from the environment (BOT_TOKEN, INIT_DATA_MAX_AGE_SEC, TELEGRAM_BOT_ID, TELEGRAM_ED25519_PUBLIC_KEY). */
+export function initDataOptionsFromEnv() {
+  const {
+    BOT_TOKEN,
+    INIT_DATA_MAX_AGE_SEC = 86_400, // 1 day
+    TELEGRAM_BOT_ID,
+    TELEGRAM_ED25519_PUBLIC_KEY,    // hex, from the Telegram docs (production or test environment)
+  } = process.env;
+  const botId = TELEGRAM_BOT_ID || (BOT_TOKEN?.includes(':') ? BOT_TOKEN.split(':')[0] : null);
+  return {
+    botToken: BOT_TOKEN || null,
+    maxAgeSec: Number(INIT_DATA_MAX_AGE_SEC),
+    ed25519: TELEGRAM_ED25519_PUBLIC_KEY && botId
+      ? { botId, publicKey: TELEGRAM_ED25519_PUBLIC_KEY }
+      : null,
+  };
+}
+
+/** Sorted "key=value" lines of every field except the excluded ones. */
+function dataCheckString(params, exclude) {
+  return [...params.entries()]
+    .filter(([key]) => !exclude.includes(key))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+}
+
+function validHmac(params, hash, botToken) {
+  const secret = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const computed = crypto.createHmac('sha256', secret)
+                         .update(dataCheckString(params, ['hash']))
+                         .digest('hex');
+  return safeEqualHex(computed, hash);
+}
+
+function validEd25519(params, signature, { botId, publicKey }) {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+      format: 'der',
+      type: 'spki',
+    });
+    const message = `${botId}:WebAppData\n${dataCheckString(params, ['hash', 'signature'])}`;
+    return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature, 'base64url'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Verifies initData and extracts the Telegram user.
+ * @param {string} initData raw "key1=value1&key2=value2..." string
+ * @param {{botToken: string|null, maxAgeSec: number, ed25519: {botId: string, publicKey: string}|null}} [options]
+ * @returns {{ok: true, user: object, authDate: Date, params: URLSearchParams} | {ok: false, status: number, error: string}}
+ */
+export function verifyInitData(initData, options = initDataOptionsFromEnv()) {
+  const { botToken, maxAgeSec, ed25519 } = options;
+  if (!botToken && !ed25519) return { ok: false, status: 503, error: 'initData verification unavailable' };
+
+  const params = new URLSearchParams(String(initData ?? ''));
+  const hash = params.get('hash');
+  const signature = params.get('signature');
+
+  if (botToken) {
+    if (!hash) return { ok: false, status: 400, error: 'Missing hash parameter' };
+    if (!validHmac(params, hash, botToken)) return { ok: false, status: 403, error: 'Invalid initData signature' };
+  }
+  if (ed25519) {
+    if (!signature || !validEd25519(params, signature, ed25519)) {
+      return { ok: false, status: 403, error: 'Invalid initData signature' };
+    }
+  }
+
+  // Защита от повторного использования перехваченного initData
+  const authDate = Number(params.get('auth_date'));
+  if (!Number.isInteger(authDate) || authDate <= 0) return { ok: false, status: 400, error: 'Missing auth_date' };
+  if (Date.now() / 1000 - authDate > maxAgeSec) return { ok: false, status: 401, error: 'initData expired' };
+
+  // Извлекаем данные пользователя из initData
+  let user;
+  try {
+    user = JSON.parse(params.get('user') || 'null');
+  } catch {
+    user = null;
+  }
+  if (!user || !Number.isSafeInteger(Number(user.id)) || Number(user.id) <= 0) {
+    return { ok: false, status: 400, error: 'Missing user data' };
+  }
+  return { ok: true, user, authDate: new Date(authDate * 1000), params };
+}
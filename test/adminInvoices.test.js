@@ -0,0 +1,108 @@
+// test/adminInvoices.test.js
+// Operator settlement: mark-paid / honor refuse while the player has another open
+// or paid-but-unprocessed invoice of the same kind (one purchase, one burn).
+import './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { v4 as uuid } from 'uuid';
+import { installFakeDb } from './helpers/fakeDb.js';
+import { startApp } from './helpers/http.js';
+import { signAdminToken } from '../middleware/adminAuth.js';
+import adminRoutes from '../routes/admin.js';
+
+const ADMIN = '9001';
+const TG = 1001;
+
+/** invoice_id -> row; the competing-invoice query is answered from it. */
+let invoices;
+const add = row => {
+  const inv = { invoice_id: uuid(), tg_id: TG, kind: 'burn', processed: false, created_at: new Date(), ...row };
+  invoices.set(inv.invoice_id, inv);
+  return inv;
+};
+
+const calls = installFakeDb((sql, p) => {
+  if (sql.includes('FROM admins')) return [{ tg_id: ADMIN, role: 'support', name: null }];
+  if (sql.includes('FROM game_config')) return [];
+  if (sql.includes('FROM burn_invoices') && sql.includes('FOR UPDATE')) {
+    const inv = invoices.get(p[0]);
+    if (!inv || (sql.includes("status='late_paid'") && inv.status !== 'late_paid')) return [];
+    return [{ ...inv }];
+  }
+  if (sql.includes('invoice_id <> $3')) {
+    return [...invoices.values()]
+      .filter(i => Number(i.tg_id) === Number(p[0]) && i.kind === p[1] && i.invoice_id !== p[2])
+      .filter(i => ['pending', 'underpaid'].includes(i.status) || (['paid', 'overpaid'].includes(i.status) && !i.processed))
+      .map(({ invoice_id, status }) => ({ invoice_id, status }));
+  }
+  if (sql.includes('UPDATE burn_invoices') && sql.includes('resolved_at')) {
+    const inv = invoices.get(p[0]);
+    inv.status = p[1] ?? 'paid';
+    return [{ ...inv }];
+  }
+  if (sql.includes('SET coupon_restored_at = NULL')) return [];
+  if (sql.includes('FROM referrals')) return [];
+  if (sql.includes('INSERT INTO admin_audit_log')) return [];
+  return undefined;
+});
+
+let app;
+before(async () => { app = await startApp('/api/admin', adminRoutes); });
+after(() => app.close());
+beforeEach(() => { invoices = new Map(); });
+
+async function post(path, body) {
+  const res = await fetch(app.base + path, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${signAdminToken({ tg_id: ADMIN })}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const wasUpdated = from => calls.slice(from).some(c => c.sql.includes('UPDATE burn_invoices'));
+
+test('mark-paid of an expired invoice is refused while a newer one is pending', async () => {
+  const old = add({ status: 'expired' });
+  const open = add({ status: 'pending' });
+  const from = calls.length;
+
+  const res = await post(`/api/admin/invoices/${old.invoice_id}/mark-paid`, { reason: 'paid by hand' });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.conflictInvoiceId, open.invoice_id);
+  assert.equal(res.body.conflictStatus, 'pending');
+  assert.equal(old.status, 'expired');
+  assert.equal(wasUpdated(from), false);
+});
+
+test('mark-paid is refused while a paid invoice of the same kind awaits its burn', async () => {
+  const old = add({ status: 'cancelled' });
+  add({ status: 'paid', processed: false });
+  const res = await post(`/api/admin/invoices/${old.invoice_id}/mark-paid`, { reason: 'paid by hand' });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.conflictStatus, 'paid');
+});
+
+test('processed invoices and other kinds do not block mark-paid', async () => {
+  const old = add({ status: 'expired' });
+  add({ status: 'paid', processed: true });
+  add({ status: 'pending', kind: 'purification' });
+
+  const res = await post(`/api/admin/invoices/${old.invoice_id}/mark-paid`, { reason: 'paid by hand' });
+  assert.equal(res.status, 200);
+  assert.equal(old.status, 'paid');
+});
+
+test('honoring a late payment is refused while another burn invoice is open', async () => {
+  const late = add({ status: 'late_paid' });
+  add({ status: 'underpaid' });
+  const from = calls.length;
+
+  const res = await post(`/api/admin/late-payments/${late.invoice_id}/resolve`, { action: 'honor' });
+  assert.equal(res.status, 409);
+  assert.equal(late.status, 'late_paid');
+  assert.equal(wasUpdated(from), false);
+
+  const refund = await post(`/api/admin/late-payments/${late.invoice_id}/resolve`, { action: 'refund' });
+  assert.deepEqual(refund.body, { ok: true, status: 'refunded' });
+});
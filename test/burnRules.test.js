@@ -0,0 +1,167 @@
+// test/burnRules.test.js
+// Burn economy rules with a fixed-seed RNG: same seed -> same outcomes.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  seededRng,
+  rarityWeights,
+  rollRarity,
+  decideBurn,
+  failedQuestPity,
+} from '../services/burnRules.js';
+import { DEFAULT_GAME_CONFIG, mergeConfig, validateConfig } from '../services/gameConfigSections.js';
+
+const SEED = 42;
+const cfg = patch => mergeConfig(DEFAULT_GAME_CONFIG, patch);
+const always = v => () => v;
+
+/** Owns the mandatory fragments plus `paid` fragments of the paid pool. */
+const player = (paid = 0, extra = {}) => ({
+  fragments: [...DEFAULT_GAME_CONFIG.mandatory, ...DEFAULT_GAME_CONFIG.paidPool.slice(0, paid)],
+  curses_count: 0,
+  pity_counter: 0,
+  ...extra,
+});
+
+test('seededRng is deterministic and within [0, 1)', () => {
+  const a = seededRng(SEED), b = seededRng(SEED);
+  const xs = Array.from({ length: 1000 }, () => a());
+  assert.deepEqual(xs, Array.from({ length: 1000 }, () => b()));
+  assert.ok(xs.every(x => x >= 0 && x < 1));
+  assert.notDeepEqual(xs.slice(0, 10), Array.from({ length: 10 }, seededRng(SEED + 1)));
+});
+
+/* ── config ─────────────────────────────────────────────────────────── */
+
+test('mergeConfig keeps defaults for untouched keys and replaces arrays', () => {
+  const c = cfg({ curse: { chance: 0.5 }, paidPool: [4, 5], referral: { tiers: [] } });
+  assert.equal(c.curse.chance, 0.5);
+  assert.equal(c.curse.max, DEFAULT_GAME_CONFIG.curse.max);
+  assert.deepEqual(c.paidPool, [4, 5]);
+  assert.deepEqual(c.referral.tiers, []);
+  assert.equal(c.referral.confirmOn, DEFAULT_GAME_CONFIG.referral.confirmOn);
+  assert.deepEqual(c.cipher, DEFAULT_GAME_CONFIG.cipher);
+  assert.equal(DEFAULT_GAME_CONFIG.curse.chance, 0.35, 'defaults are not mutated');
+  assert.equal(validateConfig(c), null);
+});
+
+test('validateConfig accepts the defaults and reports the broken section', () => {
+  assert.equal(validateConfig(DEFAULT_GAME_CONFIG), null);
+  assert.equal(validateConfig(null), 'config must be an object');
+  assert.equal(validateConfig(cfg({ paidPool: [3, 4] })), 'paidPool overlaps mandatory');
+  assert.equal(validateConfig(cfg({ curse: { chance: 2 } })), 'curse.chance must be within 0..1');
+  assert.equal(validateConfig(cfg({ rarity: { pityBoostCap: 60 } })), 'rarity weights plus pityBoostCap exceed 100');
+  assert.match(validateConfig(cfg({ cipher: { mode: 'hard' } })), /^cipher\.mode/);
+  assert.match(validateConfig(cfg({ final: { windowMinutes: 0 } })), /^final\.windowMinutes/);
+  assert.match(validateConfig(cfg({ prizes: { maxWinners: -1 } })), /^prizes\.maxWinners/);
+  assert.match(validateConfig(cfg({ referral: { tiers: [{ id: 'x', invites: 1, reward: { type: 'tshirt' } }] } })), /reward\.type/);
+});
+
+test('validateConfig rejects non-finite and non-numeric burn numbers', () => {
+  const inf = JSON.parse('1e999'); // what an admin PUT of 1e999 turns into
+  assert.equal(validateConfig(cfg({ rarity: { weights: { rare: '15' } } })), 'rarity.weights.rare must be a number >= 0');
+  assert.equal(validateConfig(cfg({ rarity: { weights: { rare: null } } })), 'rarity.weights.rare must be a number >= 0');
+  assert.match(validateConfig(cfg({ rarity: { pityBoostPerPoint: inf } })), /pityBoostPerPoint/);
+  assert.match(validateConfig(cfg({ rarity: { pityBoostCap: '5' } })), /pityBoostCap/);
+  assert.equal(validateConfig(cfg({ curse: { chance: '0.5' } })), 'curse.chance must be within 0..1');
+  assert.equal(validateConfig(cfg({ curse: { durationHours: inf } })), 'curse.durationHours must be > 0');
+  assert.match(validateConfig(cfg({ final: { lockoutMinutes: inf } })), /^final\.lockoutMinutes/);
+});
+
+/* ── rarity ─────────────────────────────────────────────────────────── */
+
+test('pity boosts the configured rarity up to the cap', () => {
+  assert.deepEqual(rarityWeights(DEFAULT_GAME_CONFIG, 0), { legendary: 5, rare: 15, uncommon: 30, common: 50 });
+  assert.deepEqual(rarityWeights(DEFAULT_GAME_CONFIG, 7), { legendary: 5, rare: 22, uncommon: 30, common: 43 });
+  const capped = { legendary: 5, rare: 35, uncommon: 30, common: 30 };
+  assert.deepEqual(rarityWeights(DEFAULT_GAME_CONFIG, 20), capped);
+  assert.deepEqual(rarityWeights(DEFAULT_GAME_CONFIG, 500), capped);
+});
+
+test('rollRarity maps rng bands onto the weights', () => {
+  assert.equal(rollRarity(DEFAULT_GAME_CONFIG, 0, always(0)), 'legendary');
+  assert.equal(rollRarity(DEFAULT_GAME_CONFIG, 0, always(0.049)), 'legendary');
+  assert.equal(rollRarity(DEFAULT_GAME_CONFIG, 0, always(0.05)), 'rare');
+  assert.equal(rollRarity(DEFAULT_GAME_CONFIG, 0, always(0.2)), 'uncommon');
+  assert.equal(rollRarity(DEFAULT_GAME_CONFIG, 0, always(0.5)), 'common');
+  assert.equal(rollRarity(DEFAULT_GAME_CONFIG, 0, always(0.999999)), 'common');
+});
+
+test('rollRarity distribution stays within bounds of the weights (fixed seed)', () => {
+  const N = 20_000;
+  for (const pity of [0, 10, 20]) {
+    const rng = seededRng(SEED);
+    const counts = {};
+    for (let i = 0; i < N; i++) {
+      const r = rollRarity(DEFAULT_GAME_CONFIG, pity, rng);
+      counts[r] = (counts[r] || 0) + 1;
+    }
+    for (const [rarity, weight] of Object.entries(rarityWeights(DEFAULT_GAME_CONFIG, pity))) {
+      const share = (counts[rarity] || 0) / N;
+      assert.ok(Math.abs(share - weight / 100) < 0.015, `pity ${pity} ${rarity}: ${share} vs ${weight}%`);
+    }
+  }
+});
+
+/* ── burn decision ──────────────────────────────────────────────────── */
+
+test('no curse before the mandatory fragments are owned', () => {
+  const d = decideBurn(DEFAULT_GAME_CONFIG, { fragments: [1], curses_count: 0, pity_counter: 3 }, always(0));
+  assert.equal(d.cursed, false);
+  assert.equal(d.newFragment, 4);
+  assert.equal(d.pity, 0);
+});
+
+test('the first guaranteedPaidFragments paid burns always grant a fragment', () => {
+  const { guaranteedPaidFragments } = DEFAULT_GAME_CONFIG.curse;
+  for (let paid = 0; paid < guaranteedPaidFragments; paid++) {
+    const d = decideBurn(DEFAULT_GAME_CONFIG, player(paid), always(0));
+    assert.equal(d.cursed, false, `paid=${paid}`);
+    assert.ok(DEFAULT_GAME_CONFIG.paidPool.includes(d.newFragment));
+  }
+  const d = decideBurn(DEFAULT_GAME_CONFIG, player(guaranteedPaidFragments), always(0));
+  assert.equal(d.cursed, true);
+  assert.deepEqual(
+    { cursesCount: d.cursesCount, pity: d.pity, curseHours: d.curseHours },
+    { cursesCount: 1, pity: 1, curseHours: DEFAULT_GAME_CONFIG.curse.durationHours }
+  );
+});
+
+test('curse.max and the pity immunity threshold stop curses', () => {
+  assert.equal(decideBurn(DEFAULT_GAME_CONFIG, player(2, { curses_count: 2 }), always(0)).cursed, false);
+
+  const immune = cfg({ curse: { pityImmunityAt: 5 } });
+  assert.equal(decideBurn(immune, player(2, { pity_counter: 4 }), always(0)).cursed, true);
+  assert.equal(decideBurn(immune, player(2, { pity_counter: 5 }), always(0)).cursed, false);
+  assert.equal(decideBurn(immune, player(2, { pity_counter: 9 }), always(0)).cursed, false);
+});
+
+test('curse.chance splits curse / fragment at the rng value', () => {
+  assert.equal(decideBurn(DEFAULT_GAME_CONFIG, player(2), always(0.3499)).cursed, true);
+  assert.equal(decideBurn(DEFAULT_GAME_CONFIG, player(2), always(0.35)).cursed, false);
+});
+
+test('a full collection only grows pity; a fragment resets it', () => {
+  const full = decideBurn(DEFAULT_GAME_CONFIG, player(5, { curses_count: 2, pity_counter: 4 }), always(0.9));
+  assert.deepEqual(full, { cursed: false, newFragment: null, cursesCount: 2, pity: 5, curseHours: null });
+
+  const got = decideBurn(DEFAULT_GAME_CONFIG, player(3, { pity_counter: 4 }), always(0.9));
+  assert.equal(got.pity, 0);
+  assert.ok([7, 8].includes(got.newFragment));
+  assert.equal(failedQuestPity({ pity_counter: 4 }), 5);
+  assert.equal(failedQuestPity({}), 1);
+});
+
+test('decideBurn is reproducible from a seed and only awards missing fragments', () => {
+  const run = () => {
+    const rng = seededRng(SEED);
+    const out = [];
+    for (let paid = 0; paid < 5; paid++) out.push(decideBurn(DEFAULT_GAME_CONFIG, player(paid), rng));
+    return out;
+  };
+  const a = run();
+  assert.deepEqual(a, run());
+  a.forEach((d, paid) => {
+    if (d.newFragment) assert.ok(!player(paid).fragments.includes(d.newFragment));
+  });
+});
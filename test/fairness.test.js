@@ -0,0 +1,115 @@
+// test/fairness.test.js
+// Commit–reveal: GET /api/burn-verify/:id must reproduce the recorded burn from the
+// revealed server seed and flag anything that does not match.
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { v4 as uuid } from 'uuid';
+import { installFakeDb } from './helpers/fakeDb.js';
+import { startApp } from './helpers/http.js';
+import {
+  NONCE_RARITY,
+  NONCE_BURN,
+  newServerSeed,
+  hashServerSeed,
+  fairRng,
+  recomputeBurn,
+} from '../services/fairness.js';
+import { rollRarity, decideBurn } from '../services/burnRules.js';
+import { DEFAULT_GAME_CONFIG } from '../services/gameConfigSections.js';
+import playerRoutes from '../routes/player.js';
+
+/** invoice_id -> burn_invoices row */
+const invoices = new Map();
+
+installFakeDb((sql, p) => {
+  if (sql.includes('FROM burn_invoices') && sql.includes('WHERE invoice_id=$1')) {
+    const inv = invoices.get(p[0]);
+    return inv ? [inv] : [];
+  }
+  return undefined;
+});
+
+let app;
+before(async () => { app = await startApp('/api', playerRoutes); });
+after(() => app.close());
+
+/**
+ * Records a burn the way /burn-invoice (rarity, nonce 0) and /burn-complete
+ * (decision, nonce 1) do, on the built-in config (config_version null).
+ */
+function recordBurn({ pity = 2, player = { fragments: [1, 2, 3, 4, 5], curses_count: 0, pity_counter: 2 } } = {}) {
+  const serverSeed = newServerSeed();
+  const rarityClientSeed = 'invoice-seed';
+  const burnClientSeed = 'complete-seed';
+  const rarity = rollRarity(DEFAULT_GAME_CONFIG, pity, fairRng(serverSeed, rarityClientSeed, NONCE_RARITY));
+  const outcome = decideBurn(DEFAULT_GAME_CONFIG, player, fairRng(serverSeed, burnClientSeed, NONCE_BURN));
+
+  const inv = {
+    invoice_id: uuid(), kind: 'burn', status: 'paid', processed: true,
+    quest_data: { type: 'quiz', rarity },
+    result_json: { ok: true, newFragment: outcome.newFragment, cursed: outcome.cursed },
+    server_seed: serverSeed,
+    server_seed_hash: hashServerSeed(serverSeed),
+    fair_data: {
+      rarity: { clientSeed: rarityClientSeed, pity },
+      burn: { clientSeed: burnClientSeed, player },
+    },
+    config_version: null,
+    resolved_config_version: null,
+  };
+  invoices.set(inv.invoice_id, inv);
+  return { inv, rarity, outcome };
+}
+
+async function verify(id) {
+  const res = await fetch(`${app.base}/api/burn-verify/${id}`);
+  return { status: res.status, body: await res.json() };
+}
+
+test('recomputeBurn is a pure function of the revealed inputs', () => {
+  const { inv, rarity, outcome } = recordBurn();
+  const args = { serverSeed: inv.server_seed, pricedConfig: DEFAULT_GAME_CONFIG, resolvedConfig: DEFAULT_GAME_CONFIG, fairData: inv.fair_data };
+  assert.deepEqual(recomputeBurn(args), { rarity, outcome });
+  assert.deepEqual(recomputeBurn(args), recomputeBurn(args));
+});
+
+test('burn-verify reproduces the recorded rarity and outcome', async () => {
+  for (let i = 0; i < 5; i++) {
+    const { inv, rarity, outcome } = recordBurn();
+    const { status, body } = await verify(inv.invoice_id);
+    assert.equal(status, 200);
+    assert.equal(body.serverSeed, inv.server_seed);
+    assert.equal(body.recomputed.rarity, rarity);
+    assert.deepEqual(body.recomputed.outcome, outcome);
+    assert.deepEqual(body.checks, { seedMatchesHash: true, rarityMatches: true, outcomeMatches: true });
+    assert.equal(body.verified, true);
+  }
+});
+
+test('a result that does not follow from the seed fails verification', async () => {
+  const { inv, outcome } = recordBurn();
+  inv.result_json = outcome.cursed
+    ? { ok: true, newFragment: 6, cursed: false }
+    : { ok: true, newFragment: null, cursed: true };
+  const { body } = await verify(inv.invoice_id);
+  assert.equal(body.checks.outcomeMatches, false);
+  assert.equal(body.verified, false);
+});
+
+test('a revealed seed that does not match the commitment fails verification', async () => {
+  const { inv } = recordBurn();
+  inv.server_seed_hash = hashServerSeed(newServerSeed());
+  const { body } = await verify(inv.invoice_id);
+  assert.equal(body.checks.seedMatchesHash, false);
+  assert.equal(body.verified, false);
+});
+
+test('the server seed stays secret until the burn is resolved', async () => {
+  const { inv } = recordBurn();
+  inv.processed = false;
+  const { body } = await verify(inv.invoice_id);
+  assert.deepEqual(body, {
+    invoiceId: inv.invoice_id, provablyFair: true, serverSeedHash: inv.server_seed_hash, revealed: false,
+  });
+});
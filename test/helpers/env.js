@@ -0,0 +1,8 @@
+// test/helpers/env.js
+// Imported first by every test: pins the env the modules read at load time
+// (dotenv never overrides these) and keeps db.js away from any real database.
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = 'postgres://test@127.0.0.1:1/test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.BOT_TOKEN = '1:test-bot-token';
+process.env.TON_WALLET_ADDRESS = 'EQTestWallet';
@@ -0,0 +1,31 @@
+// test/helpers/fakeDb.js
+// In-memory stand-in for the pg pool: every query / client.query goes to
+// `handler(sql, params)`, which returns the rows (or undefined for "unexpected
+// query" -> throws, so a leak past a guard fails loudly).
+import pool from '../../db.js';
+
+/**
+ * Pool-shaped fake ({ query, connect }) plus a log of every query run.
+ * @param {(sql: string, params: any[]) => any[]|undefined|Promise<any[]|undefined>} handler
+ * @returns {{query: Function, connect: Function, calls: {sql: string, params: any[]}[]}}
+ */
+export function fakeDb(handler) {
+  const calls = [];
+  const query = async (sql, params = []) => {
+    const text = String(sql);
+    calls.push({ sql: text, params });
+    if (/^\s*(BEGIN|COMMIT|ROLLBACK)\b/i.test(text)) return { rows: [], rowCount: 0 };
+    const result = await handler(text, params);
+    if (result === undefined) throw new Error(`unexpected query: ${text.trim().split('\n')[0]}`);
+    return Array.isArray(result) ? { rows: result, rowCount: result.length } : result;
+  };
+  return { query, connect: async () => ({ query, release() {} }), calls };
+}
+
+/** Routes the shared db.js pool through fakeDb(handler); returns the query log. */
+export function installFakeDb(handler) {
+  const db = fakeDb(handler);
+  pool.query = db.query;
+  pool.connect = db.connect;
+  return db.calls;
+}
@@ -0,0 +1,25 @@
+// test/helpers/http.js
+import express from 'express';
+import { v4 as uuid } from 'uuid';
+import { signAccessToken } from '../../services/sessions.js';
+
+/** Serves `router` under `mount` on an ephemeral port. */
+export async function startApp(mount, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(mount, router);
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    base,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/** Bearer header of a player access token (session checks are up to the fake db). */
+export function bearer(tgId) {
+  const token = signAccessToken({ tg_id: tgId, name: `p${tgId}`, locale: 'en', token_version: 0 }, uuid());
+  return { Authorization: `Bearer ${token}` };
+}
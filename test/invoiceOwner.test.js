@@ -0,0 +1,84 @@
+// test/invoiceOwner.test.js
+// Cross-player access: player B must not read, complete or cancel player A's invoice.
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { v4 as uuid } from 'uuid';
+import { installFakeDb } from './helpers/fakeDb.js';
+import { startApp, bearer } from './helpers/http.js';
+import playerRoutes from '../routes/player.js';
+
+const PLAYER_A = 1001;
+const PLAYER_B = 2002;
+const INVOICE_A = uuid();
+
+/** Only A's invoice exists; sessions are always active. */
+const calls = installFakeDb((sql, params) => {
+  if (sql.includes('FROM players p') && sql.includes('JOIN sessions s')) {
+    return [{ token_version: 0, revoked_at: null }];
+  }
+  if (sql.includes('SELECT 1 FROM burn_invoices WHERE invoice_id=$1 AND tg_id=$2')) {
+    return params[0] === INVOICE_A && Number(params[1]) === PLAYER_A ? [{ '?column?': 1 }] : [];
+  }
+  if (sql.includes('FROM burn_invoices') && sql.includes('WHERE invoice_id=$1')) {
+    return [{ status: 'pending', expires_at: new Date(Date.now() + 60_000), amount_nano: '1', server_seed_hash: null }];
+  }
+  if (sql.includes("SET status='cancelled'")) return [{ invoice_id: params[0] }];
+  if (sql.includes('daily_coupon_percent')) return [];
+  return undefined;
+});
+
+const ROUTES = [
+  ['GET',  id => `/api/burn-status/${id}`],
+  ['POST', id => `/api/burn-complete/${id}`, { answer: 1 }],
+  ['POST', id => `/api/burn-invoice/${id}/cancel`],
+];
+
+let app;
+before(async () => { app = await startApp('/api', playerRoutes); });
+after(() => app.close());
+
+async function call(method, path, tgId, body) {
+  const res = await fetch(app.base + path, {
+    method,
+    headers: { ...bearer(tgId), 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+/** Queries the route handler itself ran (past auth + the ownership guard). */
+const handlerQueries = from => calls.slice(from).filter(c =>
+  !c.sql.includes('JOIN sessions s') && !c.sql.includes('SELECT 1 FROM burn_invoices'));
+
+for (const [method, path, body] of ROUTES) {
+  test(`${method} ${path(':id')}: another player's invoice -> 404 before the handler runs`, async () => {
+    const from = calls.length;
+    const res = await call(method, path(INVOICE_A), PLAYER_B, body);
+    assert.equal(res.status, 404);
+    assert.deepEqual(res.body, { error: 'not found' });
+    assert.deepEqual(handlerQueries(from), []);
+  });
+
+  test(`${method} ${path(':id')}: malformed and unknown ids -> 404`, async () => {
+    for (const id of ['not-a-uuid', uuid()]) {
+      const res = await call(method, path(id), PLAYER_A, body);
+      assert.equal(res.status, 404);
+    }
+  });
+}
+
+test('the owner gets through the guard', async () => {
+  const status = await call('GET', `/api/burn-status/${INVOICE_A}`, PLAYER_A);
+  assert.equal(status.status, 200);
+  assert.equal(status.body.status, 'pending');
+
+  const cancel = await call('POST', `/api/burn-invoice/${INVOICE_A}/cancel`, PLAYER_A);
+  assert.equal(cancel.status, 200);
+  assert.deepEqual(cancel.body, { ok: true, status: 'cancelled' });
+});
+
+test('no token -> 401', async () => {
+  const res = await fetch(`${app.base}/api/burn-status/${INVOICE_A}`);
+  assert.equal(res.status, 401);
+});
@@ -0,0 +1,175 @@
+// test/invoices.test.js
+// Invoice settlement against an in-memory burn_invoices / players / ton_transactions:
+// coupons restored on expiry, on-time vs late payments, underpaid top-ups.
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { v4 as uuid } from 'uuid';
+import { installFakeDb } from './helpers/fakeDb.js';
+import { expireStaleInvoices, settleInvoice } from '../services/invoices.js';
+import { invalidateGameConfigCache } from '../services/gameConfig.js';
+import pool from '../db.js';
+
+const TG = 1001;
+const HOUR = 60 * 60 * 1000;
+
+let state;
+const player = () => state.players.get(TG);
+const invoice = id => state.invoices.get(id);
+const sameTime = (a, b) => a != null && b != null && new Date(a).getTime() === new Date(b).getTime();
+
+installFakeDb((sql, p) => {
+  if (sql.includes('FROM game_config')) return [];
+
+  // expireStaleInvoices
+  if (sql.includes("SET status    = 'expired'")) {
+    const rows = [];
+    for (const inv of state.invoices.values()) {
+      if (inv.status === 'pending' && new Date(inv.expires_at) <= new Date()) {
+        inv.status = 'expired';
+        rows.push({ invoice_id: inv.invoice_id });
+      }
+    }
+    return rows;
+  }
+  // restoreCoupons
+  if (sql.includes('WITH restored AS')) {
+    let n = 0;
+    for (const id of p[0]) {
+      const inv = invoice(id), pl = state.players.get(inv.tg_id);
+      const slotFree = !pl.daily_coupon_percent || !pl.daily_coupon_expires || new Date(pl.daily_coupon_expires) <= new Date();
+      if (inv.coupon_percent > 0 && new Date(inv.coupon_expires_at) > new Date() && slotFree) {
+        pl.daily_coupon_percent = inv.coupon_percent;
+        pl.daily_coupon_expires = inv.coupon_expires_at;
+        inv.coupon_restored_at = new Date();
+        n++;
+      }
+    }
+    return { rows: [], rowCount: n };
+  }
+  // settleInvoice
+  if (sql.includes('FROM burn_invoices') && sql.includes('status = ANY($2)') && sql.includes('FOR UPDATE')) {
+    const inv = invoice(p[0]);
+    return inv && p[1].includes(inv.status) ? [{ ...inv }] : [];
+  }
+  if (sql.includes('FROM ton_transactions') && sql.includes('consumed_by IS NULL')) {
+    return state.txs.filter(t => t.comment === p[0] && !t.consumed_by).slice(0, 1);
+  }
+  if (sql.includes('SUM(amount)') && sql.includes('consumed_by')) {
+    const sum = state.txs.filter(t => t.consumed_by === p[0]).reduce((a, t) => a + BigInt(t.amount), 0n);
+    return [{ total: String(sum) }];
+  }
+  if (sql.includes('UPDATE ton_transactions')) {
+    state.txs.find(t => t.hash === p[0]).consumed_by = p[1];
+    return [];
+  }
+  if (sql.includes('UPDATE burn_invoices') && sql.includes('paid_amount_nano =')) {
+    Object.assign(invoice(p[0]), { status: p[1], payer_address: p[2], tx_hash: p[3], paid_amount_nano: String(p[4]) });
+    return [];
+  }
+  // reclaimCoupon
+  if (sql.includes('SET coupon_restored_at = NULL')) {
+    const inv = invoice(p[0]);
+    if (!inv?.coupon_restored_at) return [];
+    inv.coupon_restored_at = null;
+    return [{ tg_id: inv.tg_id, coupon_percent: inv.coupon_percent, coupon_expires_at: inv.coupon_expires_at }];
+  }
+  if (sql.includes('SET daily_coupon_percent = 0')) {
+    const pl = state.players.get(p[0]);
+    if (pl.daily_coupon_percent !== p[1] || !sameTime(pl.daily_coupon_expires, p[2])) return { rows: [], rowCount: 0 };
+    pl.daily_coupon_percent = 0;
+    pl.daily_coupon_expires = null;
+    return { rows: [], rowCount: 1 };
+  }
+  // confirmOnMilestone: nobody invited this player
+  if (sql.includes('FROM referrals')) return [];
+  return undefined;
+});
+
+beforeEach(() => {
+  invalidateGameConfigCache();
+  state = { players: new Map(), invoices: new Map(), txs: [] };
+  state.players.set(TG, { tg_id: TG, daily_coupon_percent: 0, daily_coupon_expires: null });
+});
+
+/** A 30 % coupon invoice (0.35 TON) whose payment window closed `agoMs` ago. */
+function couponInvoice(agoMs = 60_000) {
+  const inv = {
+    invoice_id: uuid(), tg_id: TG, kind: 'burn', comment: 'c0ffee01', status: 'pending',
+    amount_nano: '350000000', expires_at: new Date(Date.now() - agoMs),
+    coupon_percent: 30, coupon_expires_at: new Date(Date.now() + 12 * HOUR), coupon_restored_at: null,
+  };
+  state.invoices.set(inv.invoice_id, inv);
+  return inv;
+}
+
+async function settle(invoiceId) {
+  const client = await pool.connect();
+  return settleInvoice(client, invoiceId);
+}
+
+test('expiry gives the coupon back', async () => {
+  const inv = couponInvoice();
+  assert.deepEqual(await expireStaleInvoices(TG), [inv.invoice_id]);
+  assert.equal(player().daily_coupon_percent, 30);
+  assert.ok(inv.coupon_restored_at);
+});
+
+test('expire -> on-time payment -> the restored coupon is gone', async () => {
+  const inv = couponInvoice();
+  await expireStaleInvoices(TG);
+  // sent a second before the window closed, indexed after the sweep
+  state.txs.push({ hash: 'tx1', sender: 'EQPayer', amount: '350000000', comment: inv.comment,
+                   utime: new Date(inv.expires_at.getTime() - 1000), consumed_by: null });
+
+  assert.deepEqual(await settle(inv.invoice_id), { status: 'paid', txHash: 'tx1' });
+  assert.equal(inv.status, 'paid');
+  assert.equal(player().daily_coupon_percent, 0);
+  assert.equal(player().daily_coupon_expires, null);
+  assert.equal(inv.coupon_restored_at, null);
+});
+
+test('a late payment keeps the coupon (the operator decides on late_paid)', async () => {
+  const inv = couponInvoice();
+  await expireStaleInvoices(TG);
+  state.txs.push({ hash: 'tx2', sender: 'EQPayer', amount: '350000000', comment: inv.comment,
+                   utime: new Date(), consumed_by: null });
+
+  assert.deepEqual(await settle(inv.invoice_id), { status: 'late_paid', txHash: 'tx2' });
+  assert.equal(player().daily_coupon_percent, 30);
+});
+
+test('a newer coupon in the slot is left alone', async () => {
+  const inv = couponInvoice();
+  await expireStaleInvoices(TG);
+  Object.assign(player(), { daily_coupon_percent: 50, daily_coupon_expires: new Date(Date.now() + 5 * HOUR) });
+  state.txs.push({ hash: 'tx3', sender: 'EQPayer', amount: '350000000', comment: inv.comment,
+                   utime: new Date(inv.expires_at.getTime() - 1000), consumed_by: null });
+
+  await settle(inv.invoice_id);
+  assert.equal(player().daily_coupon_percent, 50);
+});
+
+test('underpaid -> top-up before expiry -> paid on the sum of both txs', async () => {
+  const inv = couponInvoice(-HOUR);
+  const sentAt = new Date();
+  state.txs.push({ hash: 'part1', sender: 'EQPayer', amount: '200000000', comment: inv.comment, utime: sentAt, consumed_by: null });
+  assert.deepEqual(await settle(inv.invoice_id), { status: 'underpaid', txHash: 'part1' });
+  assert.equal(inv.paid_amount_nano, '200000000');
+
+  state.txs.push({ hash: 'part2', sender: 'EQPayer', amount: '150000000', comment: inv.comment, utime: sentAt, consumed_by: null });
+  assert.deepEqual(await settle(inv.invoice_id), { status: 'paid', txHash: 'part2' });
+  assert.equal(inv.paid_amount_nano, '350000000');
+});
+
+test('a top-up after expires_at turns the underpaid invoice into late_paid', async () => {
+  const inv = couponInvoice();
+  const late = new Date();
+  state.txs.push({ hash: 'part1', sender: 'EQPayer', amount: '200000000', comment: inv.comment,
+                   utime: new Date(inv.expires_at.getTime() - 1000), consumed_by: null });
+  assert.equal((await settle(inv.invoice_id)).status, 'underpaid');
+
+  state.txs.push({ hash: 'part2', sender: 'EQPayer', amount: '150000000', comment: inv.comment, utime: late, consumed_by: null });
+  assert.deepEqual(await settle(inv.invoice_id), { status: 'late_paid', txHash: 'part2' });
+  assert.equal(inv.paid_amount_nano, '350000000');
+});
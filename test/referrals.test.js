@@ -0,0 +1,105 @@
+// test/referrals.test.js
+// Referral milestone: a newcomer paying from the referrer's wallet (or from a wallet
+// used further up the referral chain) must not confirm the invite.
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDb } from './helpers/fakeDb.js';
+import { confirmOnMilestone, recordReferral } from '../services/referrals.js';
+import { invalidateGameConfigCache } from '../services/gameConfig.js';
+import pool from '../db.js';
+
+const GRAND = 1;
+const REFERRER = 2;
+const NEWCOMER = 3;
+
+/** referrals: referred_id -> row; wallets: tg_id -> payer addresses of their invoices */
+let referrals, wallets;
+
+/** In-memory version of the upline CTE in confirmOnMilestone. */
+function uplineCheck(payer, referrer, maxDepth) {
+  const upline = [];
+  for (let id = referrer, depth = 0; id != null && depth <= maxDepth; depth++) {
+    upline.push({ tgId: id, depth });
+    id = referrals.get(id)?.referrer_id ?? null;
+  }
+  const mine = wallets.get(payer) || [];
+  const min = list => (list.length ? Math.min(...list) : null);
+  return {
+    loop_depth: min(upline.filter(u => u.tgId === payer).map(u => u.depth)),
+    wallet_depth: min(upline.filter(u => (wallets.get(u.tgId) || []).some(w => mine.includes(w))).map(u => u.depth)),
+  };
+}
+
+installFakeDb((sql, p) => {
+  if (sql.includes('FROM game_config')) return [];
+  if (sql.includes('SELECT tg_id FROM players WHERE ref_code')) {
+    return p[0] === 'REF2' ? [{ tg_id: REFERRER }] : [];
+  }
+  if (sql.includes('INSERT INTO referrals')) {
+    if (referrals.has(p[1])) return { rows: [], rowCount: 0 };
+    referrals.set(p[1], { id: referrals.size + 1, referrer_id: p[0], referred_id: p[1], status: 'pending' });
+    return { rows: [], rowCount: 1 };
+  }
+  if (sql.includes("status = 'pending'") && sql.includes('FOR UPDATE')) {
+    const r = referrals.get(Number(p[0]));
+    return r?.status === 'pending' ? [{ id: r.id, referrer_id: r.referrer_id }] : [];
+  }
+  if (sql.includes('WITH RECURSIVE upline')) return [uplineCheck(Number(p[0]), Number(p[1]), p[2])];
+  if (sql.includes('UPDATE referrals')) {
+    const r = [...referrals.values()].find(x => x.id === p[0]);
+    Object.assign(r, { status: p[1], reject_reason: p[2] });
+    return [];
+  }
+  return undefined;
+});
+
+beforeEach(() => {
+  invalidateGameConfigCache();
+  referrals = new Map([[REFERRER, { id: 1, referrer_id: GRAND, referred_id: REFERRER, status: 'confirmed' }]]);
+  wallets = new Map([[GRAND, ['EQgrand']], [REFERRER, ['EQreferrer']]]);
+});
+
+async function reachMilestone(kind = 'burn') {
+  const client = await pool.connect();
+  return confirmOnMilestone(client, { invoice_id: 'inv', tg_id: NEWCOMER, kind });
+}
+
+async function invite() {
+  const client = await pool.connect();
+  return recordReferral(client, 'REF2', NEWCOMER);
+}
+
+test('a newcomer paying from their own wallet confirms the referral', async () => {
+  assert.equal(await invite(), true);
+  wallets.set(NEWCOMER, ['EQnewcomer']);
+  assert.equal(await reachMilestone(), 'confirmed');
+  assert.equal(referrals.get(NEWCOMER).status, 'confirmed');
+});
+
+test("paying from the referrer's wallet -> rejected 'same_wallet'", async () => {
+  await invite();
+  wallets.set(NEWCOMER, ['EQnewcomer', 'EQreferrer']);
+  assert.equal(await reachMilestone(), 'rejected');
+  assert.deepEqual(
+    { status: referrals.get(NEWCOMER).status, reason: referrals.get(NEWCOMER).reject_reason },
+    { status: 'rejected', reason: 'same_wallet' }
+  );
+});
+
+test("a wallet shared with someone further up the chain -> rejected 'referral_loop'", async () => {
+  await invite();
+  wallets.set(NEWCOMER, ['EQgrand']);
+  assert.equal(await reachMilestone(), 'rejected');
+  assert.equal(referrals.get(NEWCOMER).reject_reason, 'referral_loop');
+});
+
+test('a purification is not the paid_burn milestone; self-referrals are ignored', async () => {
+  await invite();
+  wallets.set(NEWCOMER, ['EQreferrer']);
+  assert.equal(await reachMilestone('purification'), null);
+  assert.equal(referrals.get(NEWCOMER).status, 'pending');
+
+  const client = await pool.connect();
+  assert.equal(await recordReferral(client, 'REF2', REFERRER), false);
+});
@@ -0,0 +1,85 @@
+// test/sessions.test.js
+// Refresh-token rotation against an in-memory players / sessions store.
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { installFakeDb } from './helpers/fakeDb.js';
+import { createSession, refreshSession, isSessionActive } from '../services/sessions.js';
+
+const TG = 1001;
+
+let players, sessions;
+
+installFakeDb((sql, p) => {
+  if (sql.includes('INSERT INTO sessions')) {
+    const [id, tg_id, token_version, refresh_hash, , expires_at] = p;
+    sessions.set(id, { id, tg_id, token_version, refresh_hash, previous_refresh_hash: null, expires_at, revoked_at: null });
+    return [];
+  }
+  if (sql.includes('FROM sessions s') && sql.includes('JOIN players p')) {
+    const s = [...sessions.values()].find(x => x.refresh_hash === p[0] || x.previous_refresh_hash === p[0]);
+    if (!s) return [];
+    const pl = players.get(s.tg_id);
+    return [{ ...s, name: pl.name, locale: pl.locale, player_token_version: pl.token_version }];
+  }
+  if (sql.includes('SET previous_refresh_hash = refresh_hash')) {
+    const s = sessions.get(p[0]);
+    Object.assign(s, { previous_refresh_hash: s.refresh_hash, refresh_hash: p[1], expires_at: p[2] });
+    return [];
+  }
+  if (sql.includes('SET token_version = token_version + 1')) {
+    players.get(Number(p[0])).token_version += 1;
+    return [];
+  }
+  if (sql.includes('UPDATE sessions SET revoked_at = NOW() WHERE tg_id = $1')) {
+    for (const s of sessions.values()) if (s.tg_id === Number(p[0]) && !s.revoked_at) s.revoked_at = new Date();
+    return [];
+  }
+  if (sql.includes('FROM players p') && sql.includes('JOIN sessions s')) {
+    const s = sessions.get(p[1]);
+    return s && s.tg_id === Number(p[0]) ? [{ token_version: players.get(s.tg_id).token_version, revoked_at: s.revoked_at }] : [];
+  }
+  return undefined;
+});
+
+beforeEach(() => {
+  players = new Map([[TG, { tg_id: TG, name: 'p', locale: 'en', token_version: 0 }]]);
+  sessions = new Map();
+});
+
+const player = () => players.get(TG);
+const claims = tokens => jwt.decode(tokens.token);
+
+test('refresh rotates the token; the new pair works', async () => {
+  const first = await createSession(player());
+  const r1 = await refreshSession(first.refreshToken);
+  assert.equal(r1.ok, true);
+  assert.notEqual(r1.tokens.refreshToken, first.refreshToken);
+
+  const r2 = await refreshSession(r1.tokens.refreshToken);
+  assert.equal(r2.ok, true);
+  assert.equal(await isSessionActive(claims(r2.tokens)), true);
+});
+
+test('reusing a rotated-out refresh token revokes every session of the player', async () => {
+  const phone = await createSession(player());
+  const laptop = await createSession(player());
+  const rotated = await refreshSession(phone.refreshToken);
+
+  // the old phone token shows up again: stolen
+  assert.deepEqual(await refreshSession(phone.refreshToken), { ok: false, error: 'invalid_refresh_token' });
+
+  assert.equal(player().token_version, 1);
+  assert.ok([...sessions.values()].every(s => s.revoked_at));
+  assert.equal(await isSessionActive(claims(rotated.tokens)), false);
+  assert.equal(await isSessionActive(claims(laptop)), false);
+  assert.equal((await refreshSession(rotated.tokens.refreshToken)).ok, false);
+  assert.equal((await refreshSession(laptop.refreshToken)).ok, false);
+});
+
+test('an unknown refresh token is rejected without touching anything', async () => {
+  await createSession(player());
+  assert.deepEqual(await refreshSession('nope'), { ok: false, error: 'invalid_refresh_token' });
+  assert.equal(player().token_version, 0);
+});
@@ -0,0 +1,143 @@
+// test/tonIndexer.test.js
+// worker/ton-indexer.js against a local fake toncenter (getTransactions with
+// inclusive lt/hash paging) and an in-memory ton_transactions / cursor store.
+import './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { fakeDb } from './helpers/fakeDb.js';
+import { collectSinceCursor, syncTransactions } from '../worker/ton-indexer.js';
+
+const ADDRESS = 'EQTestWallet';
+
+/** Chain of the fake wallet, newest first. */
+let chain = [];
+/** Query strings the fake toncenter was called with. */
+let requests = [];
+
+const tx = (lt, { source = 'EQPayer', value = '1000', text } = {}) => ({
+  transaction_id: { lt: String(lt), hash: `h${lt}` },
+  utime: 1_700_000_000 + lt,
+  in_msg: {
+    source: source ?? '',
+    value,
+    msg_data: text ? { text: Buffer.from(text).toString('base64url') } : {},
+  },
+});
+
+/** Prepends newer transactions (lt ascending in `lts`). */
+const push = (...lts) => { chain = [...lts.map(lt => tx(lt)).reverse(), ...chain]; };
+
+let server, endpoint;
+before(async () => {
+  server = http.createServer((req, res) => {
+    const qs = new URL(req.url, 'http://x').searchParams;
+    requests.push(qs);
+    const limit = Number(qs.get('limit'));
+    let start = 0;
+    if (qs.get('lt')) {
+      start = chain.findIndex(t => t.transaction_id.lt === qs.get('lt') && t.transaction_id.hash === qs.get('hash'));
+    }
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ ok: true, result: start < 0 ? [] : chain.slice(start, start + limit) }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => { chain = []; requests = []; });
+
+const opts = extra => ({ endpoint, address: ADDRESS, apiKey: 'k', limit: 3, pageDelayMs: 0, ...extra });
+const lts = txs => txs.map(t => Number(t.transaction_id.lt));
+
+/** ton_transactions (unique hash) + ton_indexer_cursor kept in memory. */
+function memoryDb() {
+  const store = { txs: new Map(), cursor: null };
+  const db = fakeDb((sql, p) => {
+    if (sql.includes('FROM ton_indexer_cursor')) return store.cursor ? [store.cursor] : [];
+    if (sql.includes('INSERT INTO ton_transactions')) {
+      if (store.txs.has(p[0])) return { rows: [], rowCount: 0 };
+      store.txs.set(p[0], { hash: p[0], lt: p[1], sender: p[2], amount: p[3], comment: p[4] });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('INSERT INTO ton_indexer_cursor')) {
+      store.cursor = { last_lt: p[1], last_hash: p[2] };
+      return [];
+    }
+    return undefined;
+  });
+  return { db, store };
+}
+
+test('collectSinceCursor pages back through the whole bootstrap window without repeats', async () => {
+  push(1, 2, 3, 4, 5, 6, 7);
+  const txs = await collectSinceCursor(null, opts({ bootstrapPages: 10 }));
+
+  assert.deepEqual(lts(txs), [7, 6, 5, 4, 3, 2, 1]);
+  assert.equal(requests.length, 4); // 7,6,5 | 5,4,3 | 3,2,1 | 1 (nothing new -> stop)
+  assert.equal(requests[0].get('lt'), null);
+  assert.deepEqual([requests[1].get('lt'), requests[1].get('hash')], ['5', 'h5']);
+  assert.deepEqual([requests[2].get('lt'), requests[2].get('hash')], ['3', 'h3']);
+});
+
+test('collectSinceCursor without a cursor stops after bootstrapPages', async () => {
+  push(1, 2, 3, 4, 5, 6, 7);
+  const txs = await collectSinceCursor(null, opts({ bootstrapPages: 1 }));
+  assert.deepEqual(lts(txs), [7, 6, 5]);
+  assert.equal(requests.length, 1);
+});
+
+test('collectSinceCursor stops at the cursor', async () => {
+  push(1, 2, 3, 4, 5, 6, 7);
+  const txs = await collectSinceCursor({ last_lt: '4', last_hash: 'h4' }, opts());
+  assert.deepEqual(lts(txs), [7, 6, 5]);
+  assert.equal(requests.length, 2); // the page reaching lt 4 ends the walk
+});
+
+test('collectSinceCursor surfaces toncenter errors', async () => {
+  await assert.rejects(
+    collectSinceCursor(null, opts({ fetchImpl: async () => ({
+      ok: false, status: 500, json: async () => ({ ok: false, error: 'boom' }),
+    }) })),
+    /toncenter getTransactions 500: boom/
+  );
+});
+
+test('syncTransactions stores inbound txs and advances the cursor run after run', async () => {
+  const { db, store } = memoryDb();
+  push(1, 2, 3, 4);
+  chain.unshift(tx(5, { source: null })); // outbound-only: fetched, not stored
+
+  assert.deepEqual(await syncTransactions(opts({ db, bootstrapPages: 10 })), { fetched: 5, stored: 4 });
+  assert.deepEqual(store.cursor, { last_lt: '5', last_hash: 'h5' });
+  assert.deepEqual([...store.txs.keys()].sort(), ['h1', 'h2', 'h3', 'h4']);
+
+  requests = [];
+  assert.deepEqual(await syncTransactions(opts({ db })), { fetched: 0, stored: 0 });
+  assert.deepEqual(store.cursor, { last_lt: '5', last_hash: 'h5' });
+
+  push(6, 7);
+  chain[0] = tx(7, { text: 'ash:burn' });
+  assert.deepEqual(await syncTransactions(opts({ db })), { fetched: 2, stored: 2 });
+  assert.deepEqual(store.cursor, { last_lt: '7', last_hash: 'h7' });
+  assert.equal(store.txs.get('h7').comment, 'ash:burn');
+});
+
+test('syncTransactions does not double-store known tx hashes', async () => {
+  const { db, store } = memoryDb();
+  push(1, 2, 3, 4, 5);
+  await syncTransactions(opts({ db, bootstrapPages: 10 }));
+
+  // cursor lost (e.g. reset by hand): the same history is fetched again
+  store.cursor = null;
+  assert.deepEqual(await syncTransactions(opts({ db, bootstrapPages: 10 })), { fetched: 5, stored: 0 });
+  assert.equal(store.txs.size, 5);
+
+  // toncenter returning the same hash twice in one window
+  push(6);
+  chain.unshift({ ...tx(7), transaction_id: { lt: '7', hash: 'h6' } });
+  assert.deepEqual(await syncTransactions(opts({ db })), { fetched: 2, stored: 1 });
+  assert.equal(store.txs.size, 6);
+  assert.deepEqual(store.cursor, { last_lt: '7', last_hash: 'h6' });
+});
@@ -0,0 +1,81 @@
+// test/validateFinal.test.js
+// Final phrase brute force: final.maxAttempts wrong phrases lock the player out (423).
+import './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDb } from './helpers/fakeDb.js';
+import { startApp, bearer } from './helpers/http.js';
+import { invalidateGameConfigCache } from '../services/gameConfig.js';
+import validateFinalRoute from '../routes/validateFinal.js';
+
+const TG = 1001;
+const FINAL = { window: 'always', maxAttempts: 3, lockoutMinutes: 60 };
+
+let player;
+
+installFakeDb((sql, p) => {
+  if (sql.includes('FROM players p') && sql.includes('JOIN sessions s')) {
+    return [{ token_version: 0, revoked_at: null }];
+  }
+  if (sql.includes('FROM game_config')) {
+    return [{ version: 7, name: 'test', config: { final: FINAL }, effective_from: new Date(0) }];
+  }
+  if (sql.includes('LEFT JOIN completions')) {
+    return [{ ...player, rank: null, completed_at: null, prize_eligible: null }];
+  }
+  if (sql.includes('FROM fragment_ciphers')) {
+    // rune x01 chosen everywhere -> "ash ember veil bone moon blood crown gate"
+    return [1, 2, 3, 4, 5, 6, 7, 8].map(id => ({ frag_id: id, chosen_rune_id: id * 100 + 1 }));
+  }
+  if (sql.includes('SET final_wrong_attempts')) {
+    Object.assign(player, { final_wrong_attempts: p[1], final_locked_until: p[2] });
+    return [];
+  }
+  return undefined;
+});
+
+let app;
+before(async () => { app = await startApp('/api/validate-final', validateFinalRoute); });
+after(() => app.close());
+beforeEach(() => {
+  invalidateGameConfigCache();
+  player = {
+    created_at: new Date(), fragments: [1, 2, 3, 4, 5, 6, 7, 8],
+    final_wrong_attempts: 0, final_locked_until: null,
+  };
+});
+
+async function submit(phrase) {
+  const res = await fetch(`${app.base}/api/validate-final`, {
+    method: 'POST',
+    headers: { ...bearer(TG), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ phrase }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('final.maxAttempts wrong phrases -> 423 with lockedUntil', async () => {
+  assert.deepEqual((await submit('wrong one')).body, { ok: false, error: 'Incorrect final phrase', attemptsLeft: 2 });
+  assert.equal((await submit('wrong two')).body.attemptsLeft, 1);
+
+  const locked = await submit('wrong three');
+  assert.equal(locked.status, 423);
+  const until = new Date(locked.body.lockedUntil).getTime();
+  assert.ok(Math.abs(until - (Date.now() + FINAL.lockoutMinutes * 60_000)) < 5_000);
+  assert.equal(player.final_wrong_attempts, 0); // next round starts fresh after the lockout
+});
+
+test('while locked even the right phrase gets 423 and nothing is written', async () => {
+  player.final_locked_until = new Date(Date.now() + 10 * 60_000);
+  const res = await submit('ash ember veil bone moon blood crown gate');
+  assert.equal(res.status, 423);
+  assert.equal(res.body.lockedUntil, player.final_locked_until.toISOString());
+  assert.equal(player.final_wrong_attempts, 0);
+});
+
+test('an expired lockout lets the player try again', async () => {
+  player.final_locked_until = new Date(Date.now() - 1000);
+  const res = await submit('wrong again');
+  assert.equal(res.status, 400);
+  assert.equal(res.body.attemptsLeft, 2);
+});
@@ -1,28 +1,32 @@
-/* Order-of-Ash · worker/check-payments.js — v2.2
+/* Order-of-Ash · worker/check-payments.js — v2.3
    ───────────────────────────────────────────────────────────────────
    • больше НЕТ «вечного» клиента → каждую итерацию берём, используем, release
    • тем самым pool-exhaustion исключён
+   • вместо окна «последние 40 tx» — ton-indexer с курсором в БД;
+     квитанции сверяются с таблицей ton_transactions
+   • сумма сверяется с amount_nano квитанции (paid / underpaid / overpaid),
+     tx помечается consumed_by → одна tx не может оплатить дважды
+   • underpaid ждёт доплаты: сверяется сумма всех tx квитанции
+   • просроченные pending → 'expired'; оплата закрытой квитанции → 'late_paid'
+     (ждёт решения оператора, деньги не теряются)
+   • при истечении неоплаченной квитанции купон возвращается игроку
+   • оплаченная purification-квитанция снимает проклятие; истёкшие проклятия
+     снимаются здесь же, каждую итерацию
 */
 
 import 'dotenv/config.js';
-import fetch   from 'node-fetch';
 import pool    from '../db.js';
 import { setTimeout as wait } from 'timers/promises';
+import { syncTransactions } from './ton-indexer.js';
+import { SETTLEABLE, expireStaleInvoices, settleInvoice } from '../services/invoices.js';
+import { clearExpiredCurses } from '../services/curses.js';
 
 /* ─ env ─────────────────────────────────────────────────────────── */
 const {
-  TON_WALLET_ADDRESS : ADDRESS,
-  TONCENTER_API_KEY  : API_KEY,
-  TON_RPC_ENDPOINT   : ENDPOINT = 'https://toncenter.com/api/v2',
   CHECK_INTERVAL_SEC : INTERVAL = 30
 } = process.env;
 
 /* ─ helpers ─────────────────────────────────────────────────────── */
-const b64urlDecode = str => {
-  if (!str) return undefined;
-  try   { return Buffer.from(str, 'base64url').toString('utf-8'); }
-  catch { return str; }
-};
 const log = (...args) => console.log(...args);
 
 /* ─ main loop ───────────────────────────────────────────────────── */
@@ -31,63 +35,29 @@ async function checkLoop() {
 
   while (true) {
     try {
-      /* 1. pending invoices */
-      const { rows: pending } = await pool.query(`
-        SELECT invoice_id, tg_id, comment
-          FROM burn_invoices
-         WHERE status = 'pending'
-      `);
+      /* 1. подтягиваем новые входящие tx (курсор хранится в БД) */
+      const { fetched, stored } = await syncTransactions();
+      if (fetched) log(`📥 indexer: fetched ${fetched}, stored ${stored} inbound`);
 
-      if (!pending.length) {
-        await wait(INTERVAL * 1000);
-        continue;
-      }
-
-      /* 2. last inbound tx */
-      const url  = `${ENDPOINT}/getTransactions?address=${ADDRESS}&limit=40&decode=true`;
-      const hdrs = API_KEY ? { 'X-API-Key': API_KEY } : {};
-      const resp = await fetch(url, { headers: hdrs });
-      const data = await resp.json();
-      const txs  = data.result ?? [];
-
-      const decoded = txs
-        .map(t => ({
-          nano: Number(t.in_msg?.value ?? 0),
-          text: b64urlDecode(t.in_msg?.msg_data?.text)
-        }))
-        .filter(d => d.text);
+      /* 2. квитанции, для которых есть неиспользованная tx с тем же comment */
+      const { rows: candidates } = await pool.query(`
+        SELECT b.invoice_id
+          FROM ton_transactions t
+          JOIN burn_invoices b ON b.comment = t.comment
+         WHERE t.consumed_by IS NULL
+           AND b.status = ANY($1)
+         GROUP BY b.invoice_id
+      `, [SETTLEABLE]);
 
       /* 3. обрабатываем каждую квитанцию */
-      for (const inv of pending) {
-        const match = decoded.find(d =>
-          d.text === inv.comment && d.nano >= 500_000_000
-        );
-        if (!match) continue;
-
+      for (const { invoice_id } of candidates) {
         /* транзакция — один клиент, автокоммит OFF */
         const client = await pool.connect();
         try {
           await client.query('BEGIN');
-
-          await client.query(
-            `UPDATE burn_invoices
-                SET status = 'paid',
-                    paid_at = NOW()
-              WHERE invoice_id = $1`,
-            [inv.invoice_id]
-          );
-
-          await client.query(
-            `UPDATE referrals
-                SET status     = 'confirmed',
-                    updated_at = NOW()
-              WHERE referred_id = $1
-                AND status = 'pending'`,
-            [inv.tg_id]
-          );
-
+          const settled = await settleInvoice(client, invoice_id);
           await client.query('COMMIT');
-          log('✅ invoice paid', inv.invoice_id);
+          if (settled) log(`✅ invoice ${settled.status}`, invoice_id, settled.txHash);
         } catch (err) {
           await client.query('ROLLBACK');
           console.error('🔥 worker tx error:', err);
@@ -95,6 +65,14 @@ async function checkLoop() {
           client.release();
         }
       }
+
+      /* 4. закрываем просроченные (после сверки — чтобы успевшие оплаты не ушли в late_paid) */
+      const expired = await expireStaleInvoices();
+      if (expired.length) log(`⌛ expired ${expired.length} invoice(s)`);
+
+      /* 5. снимаем истёкшие проклятия */
+      const uncursed = await clearExpiredCurses();
+      if (uncursed.length) log(`🕊  curse expired for ${uncursed.length} player(s)`);
     } catch (err) {
       console.error('🔥 payment-checker loop error:', err);
     }
@@ -0,0 +1,171 @@
+/* Order-of-Ash · worker/ton-indexer.js
+   ───────────────────────────────────────────────────────────────────
+   • хранит курсор (last lt/hash) в ton_indexer_cursor
+   • листает toncenter getTransactions назад, пока не дойдёт до курсора
+   • каждую входящую tx кладёт в ton_transactions (hash, lt, sender, amount, comment, utime)
+   • endpoint/fetch передаются параметрами → можно гонять против локального fake-toncenter
+*/
+
+import fetch   from 'node-fetch';
+import pool    from '../db.js';
+import { setTimeout as wait } from 'timers/promises';
+
+/* ─ env ─────────────────────────────────────────────────────────── */
+const {
+  TON_WALLET_ADDRESS     : ADDRESS,
+  TONCENTER_API_KEY      : API_KEY,
+  TON_RPC_ENDPOINT       : ENDPOINT = 'https://toncenter.com/api/v2',
+  TON_INDEXER_PAGE_SIZE  : PAGE_SIZE = 50,
+  TON_INDEXER_BOOTSTRAP_PAGES : BOOTSTRAP_PAGES = 5,
+} = process.env;
+
+/** toncenter без ключа пропускает ~1 rps */
+const PAGE_DELAY_MS = 1100;
+
+/* ─ helpers ─────────────────────────────────────────────────────── */
+export const b64urlDecode = str => {
+  if (!str) return undefined;
+  try   { return Buffer.from(str, 'base64url').toString('utf-8'); }
+  catch { return str; }
+};
+
+/**
+ * Normalises a raw toncenter transaction into a ton_transactions row.
+ * Returns null for anything that is not an inbound internal message.
+ */
+export function parseInbound(tx) {
+  const msg = tx?.in_msg;
+  if (!msg?.source) return null; // external / outbound-only
+
+  const text = b64urlDecode(msg.msg_data?.text) ?? (msg.message || null);
+  return {
+    hash:    tx.transaction_id.hash,
+    lt:      String(tx.transaction_id.lt),
+    sender:  msg.source,
+    amount:  String(msg.value ?? '0'),
+    comment: text || null,
+    utime:   new Date(Number(tx.utime) * 1000),
+  };
+}
+
+/** One getTransactions call; lt/hash = start from that tx (inclusive). */
+export async function fetchTransactionsPage({
+  endpoint = ENDPOINT,
+  address  = ADDRESS,
+  apiKey   = API_KEY,
+  limit    = Number(PAGE_SIZE),
+  lt,
+  hash,
+  fetchImpl = fetch,
+}) {
+  const qs = new URLSearchParams({ address, limit: String(limit), archival: 'true' });
+  if (lt && hash) {
+    qs.set('lt', String(lt));
+    qs.set('hash', hash);
+  }
+
+  const hdrs = apiKey ? { 'X-API-Key': apiKey } : {};
+  const resp = await fetchImpl(`${endpoint}/getTransactions?${qs}`, { headers: hdrs });
+  const data = await resp.json();
+  if (!resp.ok || data.ok === false) {
+    throw new Error(`toncenter getTransactions ${resp.status}: ${data.error || 'unknown error'}`);
+  }
+  return data.result ?? [];
+}
+
+/**
+ * Pages backwards (newest → oldest) until a transaction at or below the cursor
+ * is seen. Without a cursor only `bootstrapPages` pages are read.
+ * @returns {Promise<object[]>} raw transactions newer than the cursor, newest first
+ */
+export async function collectSinceCursor(cursor, opts = {}) {
+  const limit          = Number(opts.limit ?? PAGE_SIZE);
+  const bootstrapPages = Number(opts.bootstrapPages ?? BOOTSTRAP_PAGES);
+  const apiKey         = opts.apiKey ?? API_KEY;
+  const pageDelayMs    = opts.pageDelayMs ?? (apiKey ? 0 : PAGE_DELAY_MS);
+  const stopLt         = cursor ? BigInt(cursor.last_lt) : null;
+
+  const out = [];
+  let lt, hash;
+
+  for (let page = 0; ; page++) {
+    if (stopLt === null && page >= bootstrapPages) break;
+    if (page > 0 && pageDelayMs) await wait(pageDelayMs);
+
+    const txs = await fetchTransactionsPage({ ...opts, limit, lt, hash });
+
+    // lt/hash paging is inclusive → the first row repeats the previous page's last one
+    const fresh = lt
+      ? txs.filter(t => !(String(t.transaction_id.lt) === lt && t.transaction_id.hash === hash))
+      : txs;
+
+    let reached = false;
+    for (const t of fresh) {
+      if (stopLt !== null && BigInt(t.transaction_id.lt) <= stopLt) { reached = true; break; }
+      out.push(t);
+    }
+
+    if (reached || !fresh.length || txs.length < limit) break;
+
+    const last = txs[txs.length - 1];
+    lt   = String(last.transaction_id.lt);
+    hash = last.transaction_id.hash;
+  }
+
+  return out;
+}
+
+/**
+ * Pulls everything newer than the stored cursor, stores inbound transactions
+ * and advances the cursor — all in a single DB transaction.
+ * @returns {Promise<{fetched: number, stored: number}>}
+ */
+export async function syncTransactions(opts = {}) {
+  const db      = opts.db || pool;
+  const address = opts.address || ADDRESS;
+
+  const { rows: [cursor] } = await db.query(
+    `SELECT last_lt, last_hash FROM ton_indexer_cursor WHERE address = $1`,
+    [address]
+  );
+
+  const txs = await collectSinceCursor(cursor || null, { ...opts, address });
+  if (!txs.length) return { fetched: 0, stored: 0 };
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    let stored = 0;
+    for (const tx of txs) {
+      const row = parseInbound(tx);
+      if (!row) continue;
+      const { rowCount } = await client.query(
+        `INSERT INTO ton_transactions (hash, lt, sender, amount, comment, utime)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (hash) DO NOTHING`,
+        [row.hash, row.lt, row.sender, row.amount, row.comment, row.utime]
+      );
+      stored += rowCount;
+    }
+
+    const newest = txs[0].transaction_id;
+    await client.query(
+      `INSERT INTO ton_indexer_cursor (address, last_lt, last_hash, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (address) DO UPDATE
+         SET last_lt = EXCLUDED.last_lt,
+             last_hash = EXCLUDED.last_hash,
+             updated_at = NOW()`,
+      [address, String(newest.lt), newest.hash]
+    );
+
+    await client.query('COMMIT');
+    return { fetched: txs.length, stored };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}